@@ -10,9 +10,11 @@ const logger = require('../utils/logger');
 
 class DatabaseManager {
   constructor() {
-    this.dbPath = path.join(__dirname, '../../data/game.db');
+    this.dbPath = process.env.DB_PATH || path.join(__dirname, '../../data/game.db');
     this.db = null;
     this.isInitialized = false;
+    this.transactionQueue = Promise.resolve();
+    this.inTransaction = false;
   }
 
   async initializeDatabase() {
@@ -35,6 +37,9 @@ class DatabaseManager {
       
       // Create tables
       await this.createTables();
+
+      // Bring tables created by older versions up to date
+      await this.runMigrations();
       
       this.isInitialized = true;
       logger.info('Database initialized successfully');
@@ -52,11 +57,16 @@ class DatabaseManager {
         id TEXT PRIMARY KEY,
         name TEXT NOT NULL,
         email TEXT UNIQUE,
+        password_hash TEXT, -- bcrypt hash, NULL for guests and bots
+        is_guest BOOLEAN DEFAULT FALSE,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
         games_played INTEGER DEFAULT 0,
         games_won INTEGER DEFAULT 0,
-        rating INTEGER DEFAULT 1000
+        rating INTEGER DEFAULT 1000,
+        ffa_games_played INTEGER DEFAULT 0, -- Free-for-all games are rated separately
+        ffa_games_won INTEGER DEFAULT 0,
+        ffa_rating INTEGER DEFAULT 1000
       )`,
 
       // Games table
@@ -65,10 +75,21 @@ class DatabaseManager {
         room_id TEXT NOT NULL,
         player1_id TEXT NOT NULL,
         player2_id TEXT,
+        seats TEXT, -- JSON player IDs in turn order, set for free-for-all games
         winner_id TEXT,
         status TEXT DEFAULT 'waiting', -- waiting, playing, finished, abandoned
-        board TEXT, -- JSON representation of the board
+        result TEXT, -- win, draw, forfeit, timeout
+        board TEXT, -- JSON representation of the board (2D, or 3D for the cube variant)
         moves TEXT, -- JSON array of moves
+        settings TEXT, -- JSON game settings (variant, board size, win length, time control)
+        clock TEXT, -- JSON clock state (remaining time per player)
+        abilities TEXT, -- JSON ability uses, cooldowns and frozen pieces, abilities ruleset only
+        players TEXT, -- JSON seats by key (name, symbol, bot level, elimination) for restoring the game
+        current_player TEXT, -- Seat key on move
+        series TEXT, -- JSON best-of-N series state after this game, set for series games
+        end_reason TEXT,
+        winning_line TEXT, -- JSON positions of the completed line
+        last_move_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         started_at DATETIME,
         finished_at DATETIME,
@@ -85,8 +106,12 @@ class DatabaseManager {
         password TEXT,
         max_players INTEGER DEFAULT 2,
         current_players INTEGER DEFAULT 0,
-        status TEXT DEFAULT 'waiting', -- waiting, playing, finished
+        status TEXT DEFAULT 'waiting', -- waiting, selecting, playing, finished
+        allow_spectators BOOLEAN DEFAULT TRUE,
+        game_settings TEXT, -- JSON game settings for the room's games
         created_by TEXT NOT NULL,
+        host_id TEXT, -- Current host, who may differ from the creator
+        is_locked BOOLEAN DEFAULT FALSE, -- Closed to new players
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (created_by) REFERENCES players (id)
       )`,
@@ -112,6 +137,77 @@ class DatabaseManager {
         character_used TEXT,
         FOREIGN KEY (game_id) REFERENCES games (id),
         FOREIGN KEY (player_id) REFERENCES players (id)
+      )`,
+
+      // Rating history table (one row per player per rated game)
+      `CREATE TABLE IF NOT EXISTS rating_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_id TEXT NOT NULL,
+        game_id TEXT NOT NULL,
+        opponent_id TEXT,
+        rating_before INTEGER NOT NULL,
+        rating_after INTEGER NOT NULL,
+        score REAL NOT NULL, -- 1 win, 0.5 draw, 0 loss
+        mode TEXT DEFAULT 'duel', -- duel or ffa, which rating the row belongs to
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (player_id) REFERENCES players (id),
+        FOREIGN KEY (game_id) REFERENCES games (id),
+        FOREIGN KEY (opponent_id) REFERENCES players (id)
+      )`,
+
+      // Tournaments table
+      `CREATE TABLE IF NOT EXISTS tournaments (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        format TEXT NOT NULL, -- single-elimination, round-robin, swiss
+        status TEXT DEFAULT 'registration', -- registration, running, finished
+        created_by TEXT NOT NULL,
+        max_players INTEGER DEFAULT 8,
+        requested_rounds INTEGER, -- Swiss rounds chosen by the organizer, NULL for the default
+        total_rounds INTEGER, -- Set when the tournament starts
+        current_round INTEGER DEFAULT 0,
+        game_settings TEXT, -- JSON game settings for every match
+        winner_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME,
+        FOREIGN KEY (created_by) REFERENCES players (id),
+        FOREIGN KEY (winner_id) REFERENCES players (id)
+      )`,
+
+      // Tournament registrations, with the rating and seed each player started with
+      `CREATE TABLE IF NOT EXISTS tournament_players (
+        tournament_id TEXT NOT NULL,
+        player_id TEXT NOT NULL,
+        player_name TEXT NOT NULL,
+        rating INTEGER,
+        seed INTEGER, -- 1 for the best rated, set when the tournament starts
+        registered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (tournament_id, player_id),
+        FOREIGN KEY (tournament_id) REFERENCES tournaments (id),
+        FOREIGN KEY (player_id) REFERENCES players (id)
+      )`,
+
+      // Tournament matches, one row per pairing (a bye has no second player)
+      `CREATE TABLE IF NOT EXISTS tournament_matches (
+        id TEXT PRIMARY KEY,
+        tournament_id TEXT NOT NULL,
+        round INTEGER NOT NULL,
+        slot INTEGER NOT NULL, -- Position within the round; knockout winners move to slot / 2
+        player1_id TEXT,
+        player2_id TEXT,
+        winner_id TEXT,
+        result TEXT, -- win, draw, forfeit, timeout, bye, walkover, tiebreak
+        status TEXT DEFAULT 'pending', -- pending, playing, finished
+        room_id TEXT,
+        game_id TEXT, -- Last game played for the match
+        games_played INTEGER DEFAULT 0, -- More than one when drawn knockout games were replayed
+        started_at DATETIME,
+        finished_at DATETIME,
+        FOREIGN KEY (tournament_id) REFERENCES tournaments (id),
+        FOREIGN KEY (player1_id) REFERENCES players (id),
+        FOREIGN KEY (player2_id) REFERENCES players (id),
+        FOREIGN KEY (winner_id) REFERENCES players (id)
       )`
     ];
 
@@ -124,8 +220,14 @@ class DatabaseManager {
       'CREATE INDEX IF NOT EXISTS idx_players_rating ON players (rating DESC)',
       'CREATE INDEX IF NOT EXISTS idx_games_status ON games (status)',
       'CREATE INDEX IF NOT EXISTS idx_games_created_at ON games (created_at DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_games_player1 ON games (player1_id)',
+      'CREATE INDEX IF NOT EXISTS idx_games_player2 ON games (player2_id)',
       'CREATE INDEX IF NOT EXISTS idx_rooms_status ON rooms (status)',
-      'CREATE INDEX IF NOT EXISTS idx_chat_room_timestamp ON chat_messages (room_id, timestamp DESC)'
+      'CREATE INDEX IF NOT EXISTS idx_chat_room_timestamp ON chat_messages (room_id, timestamp DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_rating_history_player ON rating_history (player_id, created_at DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_game_stats_player ON game_stats (player_id)',
+      'CREATE INDEX IF NOT EXISTS idx_tournaments_status ON tournaments (status, created_at DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_tournament_matches_round ON tournament_matches (tournament_id, round, slot)'
     ];
 
     for (const indexSQL of indexes) {
@@ -135,57 +237,109 @@ class DatabaseManager {
     logger.info('Database tables and indexes created successfully');
   }
 
+  async runMigrations() {
+    // Columns added after the initial schema: [table, column, definition]
+    const columns = [
+      ['games', 'settings', 'TEXT'],
+      ['games', 'result', 'TEXT'],
+      ['games', 'clock', 'TEXT'],
+      ['players', 'password_hash', 'TEXT'],
+      ['players', 'is_guest', 'BOOLEAN DEFAULT FALSE'],
+      ['rooms', 'allow_spectators', 'BOOLEAN DEFAULT TRUE'],
+      ['players', 'ffa_games_played', 'INTEGER DEFAULT 0'],
+      ['players', 'ffa_games_won', 'INTEGER DEFAULT 0'],
+      ['players', 'ffa_rating', 'INTEGER DEFAULT 1000'],
+      ['games', 'seats', 'TEXT'],
+      ['rating_history', 'mode', 'TEXT DEFAULT \'duel\''],
+      ['games', 'abilities', 'TEXT'],
+      ['rooms', 'host_id', 'TEXT'],
+      ['rooms', 'is_locked', 'BOOLEAN DEFAULT FALSE'],
+      ['rooms', 'game_settings', 'TEXT'],
+      ['games', 'players', 'TEXT'],
+      ['games', 'current_player', 'TEXT'],
+      ['games', 'series', 'TEXT'],
+      ['games', 'end_reason', 'TEXT'],
+      ['games', 'winning_line', 'TEXT'],
+      ['games', 'last_move_at', 'DATETIME']
+    ];
+
+    for (const [table, column, definition] of columns) {
+      await this.addColumnIfMissing(table, column, definition);
+    }
+  }
+
+  async addColumnIfMissing(table, column, definition) {
+    const existingColumns = await this.all(`PRAGMA table_info(${table})`);
+
+    if (!existingColumns.some(c => c.name === column)) {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info(`Added column ${table}.${column}`);
+    }
+  }
+
   // Promisified database operations
+  // While a transaction is open, other statements wait for it so they don't land inside it
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          logger.error('Database run error:', err);
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
-    });
+    return this.whenIdle(() => this.execute('run', sql, params));
   }
 
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          logger.error('Database get error:', err);
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    return this.whenIdle(() => this.execute('get', sql, params));
   }
 
   all(sql, params = []) {
+    return this.whenIdle(() => this.execute('all', sql, params));
+  }
+
+  whenIdle(operation) {
+    return this.inTransaction ? this.transactionQueue.then(operation) : operation();
+  }
+
+  execute(method, sql, params) {
     return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
+      this.db[method](sql, params, function(err, result) {
         if (err) {
-          logger.error('Database all error:', err);
+          logger.error(`Database ${method} error:`, err);
           reject(err);
+        } else if (method === 'run') {
+          resolve({ id: this.lastID, changes: this.changes });
         } else {
-          resolve(rows);
+          resolve(result);
         }
       });
     });
   }
 
   // Transaction support
-  async transaction(callback) {
-    await this.run('BEGIN TRANSACTION');
-    try {
-      const result = await callback(this);
-      await this.run('COMMIT');
-      return result;
-    } catch (error) {
-      await this.run('ROLLBACK');
-      throw error;
-    }
+  // Transactions share one connection, so they are queued instead of nested; the callback
+  // gets a handle that runs its statements straight away, inside the transaction
+  transaction(callback) {
+    const tx = {
+      run: (sql, params = []) => this.execute('run', sql, params),
+      get: (sql, params = []) => this.execute('get', sql, params),
+      all: (sql, params = []) => this.execute('all', sql, params)
+    };
+
+    const execute = async () => {
+      this.inTransaction = true;
+      try {
+        await tx.run('BEGIN TRANSACTION');
+        try {
+          const result = await callback(tx);
+          await tx.run('COMMIT');
+          return result;
+        } catch (error) {
+          await tx.run('ROLLBACK');
+          throw error;
+        }
+      } finally {
+        this.inTransaction = false;
+      }
+    };
+
+    const pending = this.transactionQueue.then(execute);
+    this.transactionQueue = pending.catch(() => {});
+    return pending;
   }
 
   // Close database connection
@@ -7,10 +7,26 @@ const socketIo = require('socket.io');
 const logger = require('../utils/logger');
 const GameController = require('../controllers/GameController');
 const RoomController = require('../controllers/RoomController');
+const MatchmakingController = require('../controllers/MatchmakingController');
+const ReplayController = require('../controllers/ReplayController');
+const TournamentController = require('../controllers/TournamentController');
 const { validateSocketEvent } = require('../middleware/validation');
+const { socketAuth } = require('../middleware/auth');
 const SocketRateLimiter = require('../middleware/socketRateLimiter');
+const SessionService = require('../services/SessionService');
 
-function setupSocket(server) {
+// Events that write rows referencing the player (rooms, games, tournaments, chat)
+const GUEST_SAVING_EVENTS = new Set([
+  'join-room',
+  'create-room',
+  'create-bot-game',
+  'find-match',
+  'create-tournament',
+  'register-tournament',
+  'chat-message'
+]);
+
+function setupSocket(server, { authService, replayService, statsService, liveGamesService, tournamentService }) {
   const io = socketIo(server, {
     // Performance optimizations
     transports: ['websocket'], // Only WebSocket, no polling fallback
@@ -31,13 +47,23 @@ function setupSocket(server) {
   });
 
   // Initialize controllers
+  const sessionService = new SessionService();
   const gameController = new GameController(io);
-  const roomController = new RoomController(io);
+  const roomController = new RoomController(io, gameController, sessionService);
+  const matchmakingController = new MatchmakingController(io, roomController);
+  const replayController = new ReplayController(io, replayService);
+  const tournamentController = new TournamentController(io, roomController, tournamentService);
   const rateLimiter = new SocketRateLimiter();
 
+  statsService.setLiveSources({ io, gameController, roomController });
+  liveGamesService.setLiveSources({ io, gameController, roomController });
+
+  // Resolve every connection to a player account (or a new guest) before any events
+  io.use(socketAuth(authService));
+
   // Connection handling
   io.on('connection', (socket) => {
-    logger.info(`Client connected: ${socket.id} from ${socket.handshake.address}`);
+    logger.info(`Client connected: ${socket.id} as ${socket.playerId} from ${socket.handshake.address}`);
 
     // Rate limiting middleware for socket events
     socket.use((packet, next) => {
@@ -77,9 +103,27 @@ function setupSocket(server) {
       next();
     });
 
+    // Guests get their player row on the first event that records them in the database
+    socket.use(async (packet, next) => {
+      if (!socket.isGuest || socket.guestSaved || !GUEST_SAVING_EVENTS.has(packet[0])) {
+        return next();
+      }
+
+      try {
+        await authService.saveGuest({ id: socket.playerId, name: socket.playerName });
+        socket.guestSaved = true;
+        next();
+      } catch (error) {
+        logger.error(`Error saving guest player for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to save guest player' });
+      }
+    });
+
     // Game events
     socket.on('join-room', async (data) => {
       try {
+        // Taking a seat in a room gives up any place in the matchmaking queue
+        matchmakingController.leaveQueue(socket);
         await roomController.joinRoom(socket, data);
       } catch (error) {
         logger.error(`Error joining room for ${socket.id}:`, error);
@@ -89,6 +133,7 @@ function setupSocket(server) {
 
     socket.on('create-room', async (data) => {
       try {
+        matchmakingController.leaveQueue(socket);
         await roomController.createRoom(socket, data);
       } catch (error) {
         logger.error(`Error creating room for ${socket.id}:`, error);
@@ -96,6 +141,79 @@ function setupSocket(server) {
       }
     });
 
+    socket.on('create-bot-game', async (data) => {
+      try {
+        matchmakingController.leaveQueue(socket);
+        await roomController.createBotGame(socket, data);
+      } catch (error) {
+        logger.error(`Error creating bot game for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to create bot game' });
+      }
+    });
+
+    socket.on('find-match', async (data) => {
+      try {
+        await matchmakingController.findMatch(socket, data);
+      } catch (error) {
+        logger.error(`Error finding match for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to find match' });
+      }
+    });
+
+    socket.on('cancel-match', async () => {
+      try {
+        await matchmakingController.cancelMatch(socket);
+      } catch (error) {
+        logger.error(`Error cancelling match for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to cancel match' });
+      }
+    });
+
+    socket.on('create-tournament', async (data) => {
+      try {
+        await tournamentController.createTournament(socket, data);
+      } catch (error) {
+        logger.error(`Error creating tournament for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to create tournament' });
+      }
+    });
+
+    socket.on('register-tournament', async (data) => {
+      try {
+        await tournamentController.registerPlayer(socket, data);
+      } catch (error) {
+        logger.error(`Error registering for tournament for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to register for tournament' });
+      }
+    });
+
+    socket.on('unregister-tournament', async (data) => {
+      try {
+        await tournamentController.unregisterPlayer(socket, data);
+      } catch (error) {
+        logger.error(`Error withdrawing from tournament for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to withdraw from tournament' });
+      }
+    });
+
+    socket.on('start-tournament', async (data) => {
+      try {
+        await tournamentController.startTournament(socket, data);
+      } catch (error) {
+        logger.error(`Error starting tournament for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to start tournament' });
+      }
+    });
+
+    socket.on('watch-tournament', async (data) => {
+      try {
+        await tournamentController.watchTournament(socket, data);
+      } catch (error) {
+        logger.error(`Error watching tournament for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to watch tournament' });
+      }
+    });
+
     socket.on('leave-room', async (data) => {
       try {
         await roomController.leaveRoom(socket, data);
@@ -114,6 +232,141 @@ function setupSocket(server) {
       }
     });
 
+    socket.on('use-ability', async (data) => {
+      try {
+        await gameController.useAbility(socket, data);
+      } catch (error) {
+        logger.error(`Error using ability for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to use ability' });
+      }
+    });
+
+    socket.on('request-rematch', async (data) => {
+      try {
+        await roomController.requestRematch(socket, data);
+      } catch (error) {
+        logger.error(`Error requesting rematch for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to request rematch' });
+      }
+    });
+
+    socket.on('accept-rematch', async (data) => {
+      try {
+        await roomController.acceptRematch(socket, data);
+      } catch (error) {
+        logger.error(`Error accepting rematch for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to accept rematch' });
+      }
+    });
+
+    socket.on('kick-player', async (data) => {
+      try {
+        await roomController.kickPlayer(socket, data);
+      } catch (error) {
+        logger.error(`Error kicking player for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to kick player' });
+      }
+    });
+
+    socket.on('transfer-host', async (data) => {
+      try {
+        await roomController.transferHost(socket, data);
+      } catch (error) {
+        logger.error(`Error transferring host for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to transfer host' });
+      }
+    });
+
+    socket.on('lock-room', async (data) => {
+      try {
+        await roomController.lockRoom(socket, data);
+      } catch (error) {
+        logger.error(`Error locking room for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to lock room' });
+      }
+    });
+
+    socket.on('update-room', async (data) => {
+      try {
+        await roomController.updateRoom(socket, data);
+      } catch (error) {
+        logger.error(`Error updating room for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to update room' });
+      }
+    });
+
+    socket.on('set-ready', async (data) => {
+      try {
+        await roomController.setReady(socket, data);
+      } catch (error) {
+        logger.error(`Error setting ready status for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to set ready status' });
+      }
+    });
+
+    socket.on('select-character', async (data) => {
+      try {
+        await roomController.selectCharacter(socket, data);
+      } catch (error) {
+        logger.error(`Error selecting character for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to select character' });
+      }
+    });
+
+    socket.on('request-takeback', async (data) => {
+      try {
+        await gameController.requestTakeback(socket, data);
+      } catch (error) {
+        logger.error(`Error requesting takeback for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to request takeback' });
+      }
+    });
+
+    socket.on('accept-takeback', async (data) => {
+      try {
+        await gameController.respondToTakeback(socket, data, true);
+      } catch (error) {
+        logger.error(`Error accepting takeback for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to accept takeback' });
+      }
+    });
+
+    socket.on('decline-takeback', async (data) => {
+      try {
+        await gameController.respondToTakeback(socket, data, false);
+      } catch (error) {
+        logger.error(`Error declining takeback for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to decline takeback' });
+      }
+    });
+
+    socket.on('replay-start', async (data) => {
+      try {
+        await replayController.startReplay(socket, data);
+      } catch (error) {
+        logger.error(`Error starting replay for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to start replay' });
+      }
+    });
+
+    socket.on('replay-step', (data) => {
+      try {
+        replayController.stepReplay(socket, data);
+      } catch (error) {
+        logger.error(`Error stepping replay for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to step replay' });
+      }
+    });
+
+    socket.on('replay-seek', (data) => {
+      try {
+        replayController.seekReplay(socket, data);
+      } catch (error) {
+        logger.error(`Error seeking replay for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to seek replay' });
+      }
+    });
+
     socket.on('chat-message', async (data) => {
       try {
         await roomController.handleChatMessage(socket, data);
@@ -132,6 +385,27 @@ function setupSocket(server) {
       }
     });
 
+    socket.on('get-live-games', async (data) => {
+      try {
+        socket.emit('live-games', {
+          sortBy: data.sortBy,
+          games: await liveGamesService.getLiveGames(data)
+        });
+      } catch (error) {
+        logger.error(`Error getting live games for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to get live games' });
+      }
+    });
+
+    socket.on('resume-session', async (data) => {
+      try {
+        await roomController.resumeSession(socket, data);
+      } catch (error) {
+        logger.error(`Error resuming session for ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to resume session' });
+      }
+    });
+
     socket.on('spectate-game', async (data) => {
       try {
         await roomController.spectateGame(socket, data);
@@ -147,6 +421,8 @@ function setupSocket(server) {
       
       // Clean up player from all rooms
       roomController.handleDisconnect(socket);
+      matchmakingController.handleDisconnect(socket);
+      replayController.stopReplay(socket.id);
       rateLimiter.cleanup(socket.id);
     });
 
@@ -154,10 +430,18 @@ function setupSocket(server) {
       logger.error(`Socket error for ${socket.id}:`, error);
     });
 
+    // Issue a resumable session so a refresh or network blip doesn't cost the seat
+    socket.sessionToken = sessionService.createSession(socket.playerId);
+
     // Send welcome message
     socket.emit('connected', {
       message: 'Connected to game server',
       socketId: socket.id,
+      playerId: socket.playerId,
+      playerName: socket.playerName,
+      isGuest: socket.isGuest,
+      sessionToken: socket.sessionToken,
+      ...(socket.authToken && { authToken: socket.authToken }),
       timestamp: new Date().toISOString()
     });
   });
@@ -170,6 +454,7 @@ function setupSocket(server) {
   // Periodic cleanup
   setInterval(() => {
     rateLimiter.cleanup();
+    sessionService.cleanup();
     roomController.cleanupEmptyRooms();
   }, 60000); // Every minute
 
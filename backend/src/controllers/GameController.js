@@ -3,16 +3,27 @@
  * Handles game logic and move validation
  */
 
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const GameService = require('../services/GameService');
+const AIService = require('../services/AIService');
+const RatingService = require('../services/RatingService');
 const { getDatabase } = require('../config/database');
 
-class GameController {
+class GameController extends EventEmitter {
   constructor(io) {
+    super();
     this.io = io;
     this.gameService = new GameService();
+    this.aiService = new AIService(this.gameService);
+    this.ratingService = new RatingService();
     this.activeGames = new Map(); // In-memory game states for fast access
+    this.botTimers = new Map(); // Pending bot moves by room ID
+    this.clockTimers = new Map(); // Running game clocks by room ID
+    this.takebackRequests = new Map(); // Pending takeback requests by room ID
+    this.CLOCK_UPDATE_INTERVAL = 1000;
+    this.TAKEBACK_TIMEOUT = 15000; // Time the opponent has to answer a takeback request
     
     logger.info('GameController initialized');
   }
@@ -20,14 +31,14 @@ class GameController {
   /**
    * Handle a player's move
    * @param {Object} socket - Socket.io socket object
-   * @param {Object} data - Move data {x, y, roomId}
+   * @param {Object} data - Move data {x, y, z, roomId} (z only in the cube variant)
    */
   async makeMove(socket, data) {
-    const { x, y, roomId } = data;
+    const { x, y, z, roomId } = data;
     const playerId = socket.playerId || socket.id;
 
     try {
-      logger.gameEvent('move_attempt', { playerId, x, y, roomId });
+      logger.gameEvent('move_attempt', { playerId, x, y, z, roomId });
 
       // Get current game state
       let gameState = this.activeGames.get(roomId);
@@ -45,10 +56,11 @@ class GameController {
         }
         
         this.activeGames.set(roomId, gameState);
+        this.startClock(gameState);
       }
 
       // Validate the move
-      const validation = this.gameService.validateMove(gameState, playerId, x, y);
+      const validation = this.gameService.validateMove(gameState, playerId, x, y, z);
       
       if (!validation.valid) {
         socket.emit('move-rejected', {
@@ -60,6 +72,7 @@ class GameController {
           playerId, 
           x, 
           y, 
+          z,
           roomId, 
           reason: validation.reason 
         });
@@ -67,7 +80,7 @@ class GameController {
       }
 
       // Apply the move
-      const moveResult = this.gameService.makeMove(gameState, playerId, x, y);
+      const moveResult = this.gameService.makeMove(gameState, playerId, x, y, z);
       
       if (!moveResult.success) {
         socket.emit('move-rejected', {
@@ -81,6 +94,9 @@ class GameController {
       gameState = moveResult.gameState;
       this.activeGames.set(roomId, gameState);
 
+      // A move answers any open takeback request with a no
+      this.cancelTakeback(roomId, 'move-made');
+
       // Save to database
       await this.saveGameToDatabase(gameState);
 
@@ -90,10 +106,12 @@ class GameController {
         currentPlayer: gameState.currentPlayer,
         status: gameState.status,
         winner: gameState.winner,
+        winningLine: gameState.winningLine,
+        clock: this.gameService.getClockState(gameState),
+        ...this.gameService.getAbilityState(gameState),
         lastMove: {
           playerId,
-          x,
-          y,
+          ...gameState.moveHistory[gameState.moveHistory.length - 1],
           timestamp: Date.now()
         }
       });
@@ -103,6 +121,7 @@ class GameController {
         playerId, 
         x, 
         y, 
+        z,
         roomId, 
         gameStatus: gameState.status 
       });
@@ -110,6 +129,8 @@ class GameController {
       // Handle game end
       if (gameState.status === 'finished' || gameState.status === 'draw') {
         await this.handleGameEnd(gameState);
+      } else {
+        this.scheduleBotMove(gameState);
       }
 
     } catch (error) {
@@ -121,18 +142,83 @@ class GameController {
     }
   }
 
+  /**
+   * Handle a player using a character ability (abilities ruleset)
+   * The turn stays with the player, who still places a piece afterwards
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - {roomId, ability, x, y, z, to} (to only for abilities that move a piece)
+   */
+  async useAbility(socket, data) {
+    const { roomId, ability, x, y, z, to } = data;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      let gameState = await this.getGameState(roomId);
+      if (!gameState) {
+        socket.emit('game-error', {
+          message: 'Game not found',
+          code: 'GAME_NOT_FOUND'
+        });
+        return;
+      }
+
+      const result = this.gameService.useAbility(gameState, playerId, ability, { x, y, z }, to);
+      if (!result.success) {
+        socket.emit('move-rejected', {
+          reason: result.reason,
+          message: result.message
+        });
+
+        logger.gameEvent('ability_rejected', { playerId, ability, roomId, reason: result.reason });
+        return;
+      }
+
+      gameState = result.gameState;
+      this.activeGames.set(roomId, gameState);
+      await this.saveGameToDatabase(gameState);
+
+      const entry = gameState.moveHistory[gameState.moveHistory.length - 1];
+      this.io.to(roomId).emit('ability-used', {
+        playerId,
+        playerKey: entry.playerKey,
+        ability,
+        target: this.gameService.toMove(this.gameService.toPosition(entry)),
+        ...(entry.to && { to: entry.to }),
+        board: gameState.board,
+        currentPlayer: gameState.currentPlayer,
+        status: gameState.status,
+        winner: gameState.winner,
+        winningLine: gameState.winningLine,
+        clock: this.gameService.getClockState(gameState),
+        ...this.gameService.getAbilityState(gameState)
+      });
+
+      if (gameState.status === 'finished' || gameState.status === 'draw') {
+        await this.handleGameEnd(gameState);
+      }
+
+    } catch (error) {
+      logger.error('Error using ability:', error);
+      socket.emit('game-error', {
+        message: 'Failed to use ability',
+        code: 'ABILITY_ERROR'
+      });
+    }
+  }
+
   /**
    * Start a new game
    * @param {string} roomId - Room ID
-   * @param {Array} players - Array of player objects
+   * @param {Array} players - Array of player objects in turn order
+   * @param {Object} settings - The room's game settings (see GameService.normalizeSettings)
+   * @param {Object} series - Best-of-N series the game counts towards (optional)
    */
-  async startGame(roomId, players) {
+  async startGame(roomId, players, settings = {}, series = null) {
     try {
-      if (players.length !== 2) {
-        throw new Error('Game requires exactly 2 players');
+      const gameState = this.gameService.createGame(roomId, players, settings);
+      if (series) {
+        gameState.series = series;
       }
-
-      const gameState = this.gameService.createGame(roomId, players);
       this.activeGames.set(roomId, gameState);
 
       // Save to database
@@ -143,15 +229,26 @@ class GameController {
         gameId: gameState.id,
         players: gameState.players,
         currentPlayer: gameState.currentPlayer,
-        board: gameState.board
+        board: gameState.board,
+        settings: gameState.settings,
+        clock: this.gameService.getClockState(gameState),
+        ...this.gameService.getAbilityState(gameState),
+        ...(series && { series })
       });
 
+      // Let listeners such as the live games directory know a game is on
+      this.emit('game-started', gameState);
+
       logger.gameEvent('game_started', { 
         roomId, 
         gameId: gameState.id, 
         players: players.map(p => p.id) 
       });
 
+      // Let the bot open if it moves first
+      this.startClock(gameState);
+      this.scheduleBotMove(gameState);
+
       return gameState;
 
     } catch (error) {
@@ -166,23 +263,54 @@ class GameController {
    */
   async handleGameEnd(gameState) {
     try {
+      this.cancelBotMove(gameState.roomId);
+      this.stopClock(gameState.roomId);
+      this.cancelTakeback(gameState.roomId, 'game-ended');
+
       // Update player statistics
-      await this.updatePlayerStats(gameState);
+      const ratingChanges = await this.updatePlayerStats(gameState);
+      await this.recordGameStats(gameState);
+
+      const series = gameState.series && this.gameService.recordSeriesResult(gameState.series, gameState);
+      if (series) {
+        // Store the new score so the series survives a restart between games
+        await this.saveGameToDatabase(gameState);
+      }
 
       // Broadcast game end
       this.io.to(gameState.roomId).emit('game-ended', {
         winner: gameState.winner,
         status: gameState.status,
+        result: gameState.result,
+        endReason: gameState.endReason,
         finalBoard: gameState.board,
+        winningLine: gameState.winningLine,
+        ratingChanges,
+        ...(series && { series }),
         gameStats: {
           duration: Date.now() - gameState.startedAt,
           totalMoves: gameState.moveHistory.length
         }
       });
 
-      // Clean up active game after a delay
+      if (series?.winner) {
+        this.io.to(gameState.roomId).emit('series-ended', {
+          winner: series.winner,
+          score: series.score,
+          draws: series.draws,
+          gamesPlayed: series.gamesPlayed,
+          bestOf: series.bestOf
+        });
+      }
+
+      // Let the room know it can offer a rematch
+      this.emit('game-ended', gameState);
+
+      // Clean up active game after a delay, unless a rematch has replaced it
       setTimeout(() => {
-        this.activeGames.delete(gameState.roomId);
+        if (this.activeGames.get(gameState.roomId)?.id === gameState.id) {
+          this.activeGames.delete(gameState.roomId);
+        }
       }, 30000); // Keep for 30 seconds for any late requests
 
       logger.gameEvent('game_ended', {
@@ -197,6 +325,446 @@ class GameController {
     }
   }
 
+  /**
+   * Ask the opponent to take back the player's last move
+   * Bots accept straight away
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Takeback data {roomId}
+   */
+  async requestTakeback(socket, data) {
+    const { roomId } = data;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      const gameState = await this.getGameState(roomId);
+      const playerKey = gameState && this.getPlayerKey(gameState, playerId);
+      if (!playerKey) {
+        socket.emit('game-error', {
+          message: 'Game not found',
+          code: 'GAME_NOT_FOUND'
+        });
+        return;
+      }
+
+      if (!gameState.settings.takebacksAllowed) {
+        socket.emit('game-error', {
+          message: 'Takebacks are disabled in this game',
+          code: 'TAKEBACKS_DISABLED'
+        });
+        return;
+      }
+
+      if (gameState.status !== 'playing') {
+        socket.emit('game-error', {
+          message: 'Game is not active',
+          code: 'GAME_NOT_ACTIVE'
+        });
+        return;
+      }
+
+      if (this.takebackRequests.has(roomId)) {
+        socket.emit('game-error', {
+          message: 'A takeback request is already pending',
+          code: 'TAKEBACK_PENDING'
+        });
+        return;
+      }
+
+      const moveCount = this.gameService.getTakebackMoveCount(gameState, playerId);
+      if (moveCount === 0) {
+        socket.emit('game-error', {
+          message: 'You have no move to take back',
+          code: 'NOTHING_TO_UNDO'
+        });
+        return;
+      }
+
+      const request = {
+        gameId: gameState.id,
+        playerId,
+        moveCount,
+        historyLength: gameState.moveHistory.length
+      };
+
+      const opponent = gameState.players[playerKey === 'player1' ? 'player2' : 'player1'];
+      if (opponent.isBot) {
+        await this.applyTakeback(roomId, request);
+        return;
+      }
+
+      request.timer = setTimeout(() => {
+        this.cancelTakeback(roomId, 'timeout');
+      }, this.TAKEBACK_TIMEOUT);
+      this.takebackRequests.set(roomId, request);
+
+      this.io.to(roomId).emit('takeback-requested', {
+        playerId,
+        playerName: gameState.players[playerKey].name,
+        moveCount,
+        expiresIn: this.TAKEBACK_TIMEOUT
+      });
+
+      logger.gameEvent('takeback_requested', { roomId, playerId, moveCount });
+
+    } catch (error) {
+      logger.error('Error requesting takeback:', error);
+      socket.emit('game-error', {
+        message: 'Failed to request takeback',
+        code: 'TAKEBACK_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Answer the opponent's pending takeback request
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Takeback data {roomId}
+   * @param {boolean} accepted - Whether the takeback is accepted
+   */
+  async respondToTakeback(socket, data, accepted) {
+    const { roomId } = data;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      const request = this.takebackRequests.get(roomId);
+      const gameState = this.activeGames.get(roomId);
+      if (!request || !gameState || !this.getPlayerKey(gameState, playerId) || request.playerId === playerId) {
+        socket.emit('game-error', {
+          message: 'There is no takeback request to answer',
+          code: 'NO_TAKEBACK_REQUEST'
+        });
+        return;
+      }
+
+      if (!accepted) {
+        this.cancelTakeback(roomId, 'declined');
+        return;
+      }
+
+      clearTimeout(request.timer);
+      this.takebackRequests.delete(roomId);
+      await this.applyTakeback(roomId, request);
+
+    } catch (error) {
+      logger.error('Error answering takeback:', error);
+      socket.emit('game-error', {
+        message: 'Failed to answer takeback',
+        code: 'TAKEBACK_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Roll the game back, persist it and broadcast the rewound state
+   * @param {string} roomId - Room ID
+   * @param {Object} request - Takeback request {gameId, playerId, moveCount, historyLength}
+   */
+  async applyTakeback(roomId, request) {
+    const gameState = this.activeGames.get(roomId);
+    if (!gameState || gameState.id !== request.gameId || gameState.moveHistory.length !== request.historyLength) {
+      return;
+    }
+
+    const takebackResult = this.gameService.takebackMoves(gameState, request.moveCount);
+    if (!takebackResult.success) {
+      return;
+    }
+
+    const rewoundState = takebackResult.gameState;
+    this.cancelBotMove(roomId);
+    this.activeGames.set(roomId, rewoundState);
+    await this.saveGameToDatabase(rewoundState);
+
+    this.io.to(roomId).emit('takeback-accepted', {
+      playerId: request.playerId,
+      undoneMoves: takebackResult.undoneMoves,
+      board: rewoundState.board,
+      currentPlayer: rewoundState.currentPlayer,
+      status: rewoundState.status,
+      moveCount: rewoundState.moveHistory.length,
+      clock: this.gameService.getClockState(rewoundState)
+    });
+
+    logger.gameEvent('takeback_accepted', { roomId, playerId: request.playerId, moveCount: request.moveCount });
+
+    this.scheduleBotMove(rewoundState);
+  }
+
+  /**
+   * Drop a pending takeback request and tell the room why
+   * @param {string} roomId - Room ID
+   * @param {string} reason - declined, timeout, move-made or game-ended
+   */
+  cancelTakeback(roomId, reason) {
+    const request = this.takebackRequests.get(roomId);
+    if (!request) {
+      return;
+    }
+
+    clearTimeout(request.timer);
+    this.takebackRequests.delete(roomId);
+
+    this.io.to(roomId).emit('takeback-declined', {
+      playerId: request.playerId,
+      reason
+    });
+  }
+
+  /**
+   * Find which seat a player occupies in a game
+   * @param {Object} gameState - Game state
+   * @param {string} playerId - Player ID
+   * @returns {string|null} Player key (player1 to player4) or null for non-players
+   */
+  getPlayerKey(gameState, playerId) {
+    return Object.keys(gameState.players).find(key => gameState.players[key].id === playerId) || null;
+  }
+
+  /**
+   * Forfeit the active game in a room on behalf of a player
+   * In a free-for-all with others still playing the player is only eliminated
+   * @param {string} roomId - Room ID
+   * @param {string} playerId - ID of the forfeiting player
+   * @param {string} reason - Why the game was forfeited (e.g. disconnect)
+   * @returns {Object|null} Updated game state or null if there was nothing to forfeit
+   */
+  async forfeitGame(roomId, playerId, reason) {
+    try {
+      const gameState = await this.getGameState(roomId);
+      if (!gameState || gameState.status !== 'playing') {
+        return null;
+      }
+
+      const forfeitResult = this.gameService.forfeitGame(gameState, playerId, reason);
+      if (!forfeitResult.success) {
+        return null;
+      }
+
+      const newState = forfeitResult.gameState;
+      this.activeGames.set(roomId, newState);
+      await this.saveGameToDatabase(newState);
+
+      this.io.to(roomId).emit('game-state-update', {
+        board: newState.board,
+        currentPlayer: newState.currentPlayer,
+        status: newState.status,
+        winner: newState.winner,
+        winningLine: newState.winningLine,
+        clock: this.gameService.getClockState(newState),
+        lastMove: null
+      });
+
+      if (newState.status === 'playing') {
+        this.announceElimination(newState, playerId, reason);
+      } else {
+        await this.handleGameEnd(newState);
+      }
+      return newState;
+
+    } catch (error) {
+      logger.error('Error forfeiting game:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build a full snapshot of a room's game for (re)joining clients
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Game snapshot or null if there is no game
+   */
+  async getGameSnapshot(roomId) {
+    const gameState = await this.getGameState(roomId);
+    if (!gameState) {
+      return null;
+    }
+
+    return {
+      gameId: gameState.id,
+      settings: gameState.settings,
+      players: gameState.players,
+      board: gameState.board,
+      currentPlayer: gameState.currentPlayer,
+      status: gameState.status,
+      result: gameState.result,
+      winner: gameState.winner,
+      winningLine: gameState.winningLine,
+      clock: this.gameService.getClockState(gameState),
+      ...this.gameService.getAbilityState(gameState),
+      ...(gameState.series && { series: gameState.series }),
+      moveHistory: gameState.moveHistory,
+      startedAt: gameState.startedAt,
+      lastMoveAt: gameState.lastMoveAt
+    };
+  }
+
+  /**
+   * Start broadcasting the clock for a timed game and watch for timeouts
+   * @param {Object} gameState - Current game state
+   */
+  startClock(gameState) {
+    if (!gameState.clock || gameState.status !== 'playing' || this.clockTimers.has(gameState.roomId)) {
+      return;
+    }
+
+    const timer = setInterval(() => {
+      this.tickClock(gameState.roomId).catch(error => {
+        logger.error('Error ticking game clock:', error);
+      });
+    }, this.CLOCK_UPDATE_INTERVAL);
+
+    this.clockTimers.set(gameState.roomId, timer);
+  }
+
+  /**
+   * Stop the clock for a room
+   * @param {string} roomId - Room ID
+   */
+  stopClock(roomId) {
+    const timer = this.clockTimers.get(roomId);
+    if (timer) {
+      clearInterval(timer);
+      this.clockTimers.delete(roomId);
+    }
+  }
+
+  /**
+   * Broadcast the clock and end the game if the player to move has run out of time
+   * @param {string} roomId - Room ID
+   */
+  async tickClock(roomId) {
+    const gameState = this.activeGames.get(roomId);
+    if (!gameState || gameState.status !== 'playing') {
+      this.stopClock(roomId);
+      return;
+    }
+
+    const flaggedPlayer = this.gameService.findFlaggedPlayer(gameState);
+    if (!flaggedPlayer) {
+      this.io.to(roomId).emit('clock-update', {
+        gameId: gameState.id,
+        ...this.gameService.getClockState(gameState)
+      });
+      return;
+    }
+
+    const newState = this.gameService.timeoutGame(gameState, flaggedPlayer);
+    this.activeGames.set(roomId, newState);
+
+    // A free-for-all carries on without the flagged player
+    if (newState.status !== 'playing') {
+      this.stopClock(roomId);
+    }
+
+    await this.saveGameToDatabase(newState);
+
+    this.io.to(roomId).emit('game-state-update', {
+      board: newState.board,
+      currentPlayer: newState.currentPlayer,
+      status: newState.status,
+      winner: newState.winner,
+      winningLine: newState.winningLine,
+      clock: this.gameService.getClockState(newState),
+      lastMove: null
+    });
+
+    if (newState.status === 'playing') {
+      this.announceElimination(newState, gameState.players[flaggedPlayer].id, 'timeout');
+    } else {
+      await this.handleGameEnd(newState);
+    }
+  }
+
+  /**
+   * Tell a room that a free-for-all player is out of the game
+   * @param {Object} gameState - Game state after the elimination
+   * @param {string} playerId - ID of the eliminated player
+   * @param {string} reason - Why the player is out (e.g. left, disconnect, timeout)
+   */
+  announceElimination(gameState, playerId, reason) {
+    this.io.to(gameState.roomId).emit('player-eliminated', {
+      gameId: gameState.id,
+      playerId,
+      reason,
+      remainingPlayers: this.gameService.getActivePlayerKeys(gameState)
+        .map(key => gameState.players[key].id),
+      currentPlayer: gameState.currentPlayer
+    });
+  }
+
+  /**
+   * Schedule a move for the bot seat if it is the bot's turn
+   * The bot plays through makeMove so persistence and broadcasts stay unchanged
+   * @param {Object} gameState - Current game state
+   */
+  scheduleBotMove(gameState) {
+    const botPlayer = gameState.players[gameState.currentPlayer];
+    if (gameState.status !== 'playing' || !botPlayer?.isBot) {
+      return;
+    }
+
+    this.cancelBotMove(gameState.roomId);
+
+    const delay = this.aiService.getThinkingDelay(gameState.board);
+    const timer = setTimeout(async () => {
+      this.botTimers.delete(gameState.roomId);
+
+      try {
+        const currentState = this.activeGames.get(gameState.roomId);
+        if (!currentState || currentState.id !== gameState.id || currentState.status !== 'playing') {
+          return;
+        }
+
+        const move = this.aiService.getMove(
+          currentState.board,
+          currentState.currentPlayer,
+          botPlayer.difficulty,
+          this.gameService.getWinLength(currentState)
+        );
+        if (!move) {
+          return;
+        }
+
+        await this.makeMove(this.createBotSocket(botPlayer), {
+          ...move,
+          roomId: currentState.roomId
+        });
+      } catch (error) {
+        logger.error('Error making bot move:', error);
+      }
+    }, delay);
+
+    this.botTimers.set(gameState.roomId, timer);
+  }
+
+  /**
+   * Cancel a pending bot move
+   * @param {string} roomId - Room ID
+   */
+  cancelBotMove(roomId) {
+    const timer = this.botTimers.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      this.botTimers.delete(roomId);
+    }
+  }
+
+  /**
+   * Create a socket-like object for a bot seat
+   * Rejections addressed to the bot are only logged
+   * @param {Object} botPlayer - Bot player from the game state
+   * @returns {Object} Minimal socket interface used by makeMove
+   */
+  createBotSocket(botPlayer) {
+    return {
+      id: botPlayer.id,
+      playerId: botPlayer.id,
+      isBot: true,
+      emit: (event, payload) => {
+        logger.warn(`Bot ${botPlayer.id} received ${event}:`, payload);
+      }
+    };
+  }
+
   /**
    * Get current game state
    * @param {string} roomId - Room ID
@@ -209,6 +777,8 @@ class GameController {
       gameState = await this.loadGameFromDatabase(roomId);
       if (gameState) {
         this.activeGames.set(roomId, gameState);
+        this.startClock(gameState);
+        this.scheduleBotMove(gameState);
       }
     }
     
@@ -232,20 +802,44 @@ class GameController {
         return null;
       }
 
+      const settings = this.gameService.normalizeSettings(JSON.parse(gameData.settings || '{}'));
+      const moveHistory = JSON.parse(gameData.moves || '[]');
+      const seats = gameData.seats
+        ? JSON.parse(gameData.seats)
+        : [gameData.player1_id, gameData.player2_id];
+      // Games saved before seat details were stored only have the player IDs
+      const players = gameData.players
+        ? JSON.parse(gameData.players)
+        : Object.fromEntries(seats.map((id, index) => [this.gameService.SEATS[index].key, id ? { id } : null]));
+      const clock = gameData.clock ? JSON.parse(gameData.clock) : null;
+
+      // Time the server was down is not charged to the player on move
+      if (clock) {
+        clock.turnStartedAt = Date.now();
+      }
+
       return {
         id: gameData.id,
         roomId: gameData.room_id,
-        board: JSON.parse(gameData.board || '[[null,null,null],[null,null,null],[null,null,null]]'),
-        players: {
-          player1: { id: gameData.player1_id },
-          player2: gameData.player2_id ? { id: gameData.player2_id } : null
-        },
-        currentPlayer: 'player1', // Will be updated based on move history
+        settings,
+        board: gameData.board
+          ? JSON.parse(gameData.board)
+          : this.gameService.createEmptyBoard(settings.boardSize, settings.dimensions),
+        players,
+        currentPlayer: gameData.current_player
+          || this.gameService.SEATS[this.gameService.getPlacements(moveHistory).length % seats.length].key,
         status: gameData.status,
+        result: gameData.result,
+        endReason: gameData.end_reason || null,
         winner: gameData.winner_id,
-        moveHistory: JSON.parse(gameData.moves || '[]'),
+        winningLine: gameData.winning_line ? JSON.parse(gameData.winning_line) : null,
+        moveHistory,
+        clock,
+        ...(gameData.abilities && JSON.parse(gameData.abilities)),
+        ...(gameData.series && { series: JSON.parse(gameData.series) }),
         createdAt: new Date(gameData.created_at).getTime(),
-        startedAt: gameData.started_at ? new Date(gameData.started_at).getTime() : null
+        startedAt: gameData.started_at ? new Date(gameData.started_at).getTime() : null,
+        lastMoveAt: gameData.last_move_at ? new Date(gameData.last_move_at).getTime() : null
       };
 
     } catch (error) {
@@ -256,6 +850,7 @@ class GameController {
 
   /**
    * Save game to database
+   * The row is updated in place: game_stats and rating_history rows reference it
    * @param {Object} gameState - Game state to save
    */
   async saveGameToDatabase(gameState) {
@@ -263,19 +858,49 @@ class GameController {
       const db = getDatabase();
       
       await db.run(`
-        INSERT OR REPLACE INTO games (
-          id, room_id, player1_id, player2_id, winner_id, status, 
-          board, moves, created_at, started_at, finished_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO games (
+          id, room_id, player1_id, player2_id, seats, winner_id, status, result,
+          board, moves, settings, clock, abilities, players, current_player,
+          series, end_reason, winning_line, last_move_at, created_at, started_at, finished_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          player1_id = excluded.player1_id, player2_id = excluded.player2_id, seats = excluded.seats,
+          winner_id = excluded.winner_id, status = excluded.status, result = excluded.result,
+          board = excluded.board, moves = excluded.moves, settings = excluded.settings,
+          clock = excluded.clock, abilities = excluded.abilities, players = excluded.players,
+          current_player = excluded.current_player, series = excluded.series,
+          end_reason = excluded.end_reason, winning_line = excluded.winning_line,
+          last_move_at = excluded.last_move_at, started_at = excluded.started_at,
+          finished_at = excluded.finished_at
       `, [
         gameState.id,
         gameState.roomId,
         gameState.players.player1?.id,
         gameState.players.player2?.id,
+        this.gameService.isFreeForAll(gameState)
+          ? JSON.stringify(Object.values(gameState.players).map(player => player.id))
+          : null,
         gameState.winner,
         gameState.status,
+        gameState.result,
         JSON.stringify(gameState.board),
         JSON.stringify(gameState.moveHistory),
+        JSON.stringify(gameState.settings || {}),
+        gameState.clock ? JSON.stringify(gameState.clock) : null,
+        gameState.abilities
+          ? JSON.stringify({
+            abilities: gameState.abilities,
+            frozen: gameState.frozen,
+            thawed: gameState.thawed,
+            turnAbilityUsed: gameState.turnAbilityUsed
+          })
+          : null,
+        JSON.stringify(gameState.players),
+        gameState.currentPlayer,
+        gameState.series ? JSON.stringify(gameState.series) : null,
+        gameState.endReason || null,
+        gameState.winningLine ? JSON.stringify(gameState.winningLine) : null,
+        gameState.lastMoveAt ? new Date(gameState.lastMoveAt).toISOString() : null,
         new Date(gameState.createdAt).toISOString(),
         gameState.startedAt ? new Date(gameState.startedAt).toISOString() : null,
         (gameState.status === 'finished' || gameState.status === 'draw') ? new Date().toISOString() : null
@@ -288,40 +913,197 @@ class GameController {
   }
 
   /**
-   * Update player statistics after game end
+   * Update player statistics and Elo ratings after game end
+   * Both players are updated in one transaction and each change is recorded in rating_history
    * @param {Object} gameState - Finished game state
+   * @returns {Object} Rating changes by player ID
    */
   async updatePlayerStats(gameState) {
+    // Games against a bot only count as casual, whatever their settings say
+    const hasBot = Object.values(gameState.players).some(player => player?.isBot);
+    if (!gameState.settings.ranked || hasBot) {
+      return this.updateCasualStats(gameState);
+    }
+
+    if (this.gameService.isFreeForAll(gameState)) {
+      return this.updateFreeForAllStats(gameState);
+    }
+
     try {
       const db = getDatabase();
-      
-      for (const [playerKey, player] of Object.entries(gameState.players)) {
-        if (!player) continue;
+      const { player1, player2 } = gameState.players;
+      if (!player1 || !player2) {
+        return {};
+      }
 
-        const isWinner = gameState.winner === player.id;
-        const isDraw = gameState.status === 'draw';
+      // Score from player 1's point of view: win 1, draw 0.5, loss 0
+      const isDraw = gameState.status === 'draw';
+      const scoreA = isDraw ? 0.5 : (gameState.winner === player1.id ? 1 : 0);
 
-        await db.run(`
-          UPDATE players 
-          SET games_played = games_played + 1,
-              games_won = games_won + ?,
-              last_seen = CURRENT_TIMESTAMP
-          WHERE id = ?
-        `, [isWinner ? 1 : 0, player.id]);
-
-        // Update rating (simple ELO-like system)
-        if (!isDraw) {
-          const ratingChange = isWinner ? 25 : -15;
-          await db.run(`
+      return await db.transaction(async (tx) => {
+        const rowA = await tx.get('SELECT rating, games_played FROM players WHERE id = ?', [player1.id]);
+        const rowB = await tx.get('SELECT rating, games_played FROM players WHERE id = ?', [player2.id]);
+
+        if (!rowA || !rowB) {
+          logger.warn(`Skipping rating update for game ${gameState.id}: player record missing`);
+          return {};
+        }
+
+        const { a, b } = this.ratingService.calculateMatch(
+          { rating: rowA.rating, gamesPlayed: rowA.games_played },
+          { rating: rowB.rating, gamesPlayed: rowB.games_played },
+          scoreA
+        );
+
+        const updates = [
+          { player: player1, opponent: player2, rating: a, score: scoreA },
+          { player: player2, opponent: player1, rating: b, score: 1 - scoreA }
+        ];
+
+        for (const { player, opponent, rating, score } of updates) {
+          await tx.run(`
             UPDATE players 
-            SET rating = MAX(100, rating + ?)
+            SET games_played = games_played + 1,
+                games_won = games_won + ?,
+                rating = ?,
+                last_seen = CURRENT_TIMESTAMP
             WHERE id = ?
-          `, [ratingChange, player.id]);
+          `, [score === 1 ? 1 : 0, rating.after, player.id]);
+
+          await tx.run(`
+            INSERT INTO rating_history (
+              player_id, game_id, opponent_id, rating_before, rating_after, score
+            ) VALUES (?, ?, ?, ?, ?, ?)
+          `, [player.id, gameState.id, opponent.id, rating.before, rating.after, score]);
         }
-      }
+
+        return {
+          [player1.id]: { before: a.before, after: a.after, change: a.change },
+          [player2.id]: { before: b.before, after: b.after, change: b.change }
+        };
+      });
 
     } catch (error) {
       logger.error('Error updating player stats:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Update free-for-all statistics and ratings after game end
+   * These are kept apart from the 1v1 record and rating; history rows use mode 'ffa'
+   * @param {Object} gameState - Finished game state
+   * @returns {Object} Rating changes by player ID
+   */
+  async updateFreeForAllStats(gameState) {
+    try {
+      const db = getDatabase();
+      const players = Object.values(gameState.players);
+      const winnerId = gameState.status === 'draw' ? null : gameState.winner;
+
+      return await db.transaction(async (tx) => {
+        const rows = [];
+        for (const player of players) {
+          const row = await tx.get('SELECT ffa_rating, ffa_games_played FROM players WHERE id = ?', [player.id]);
+          if (!row) {
+            logger.warn(`Skipping rating update for game ${gameState.id}: player record missing`);
+            return {};
+          }
+          rows.push({ id: player.id, rating: row.ffa_rating, gamesPlayed: row.ffa_games_played });
+        }
+
+        const ratings = this.ratingService.calculateFreeForAll(rows, winnerId);
+        const changes = {};
+
+        for (const player of players) {
+          const rating = ratings[player.id];
+          const score = winnerId === null ? 0.5 : (player.id === winnerId ? 1 : 0);
+
+          await tx.run(`
+            UPDATE players 
+            SET ffa_games_played = ffa_games_played + 1,
+                ffa_games_won = ffa_games_won + ?,
+                ffa_rating = ?,
+                last_seen = CURRENT_TIMESTAMP
+            WHERE id = ?
+          `, [score === 1 ? 1 : 0, rating.after, player.id]);
+
+          await tx.run(`
+            INSERT INTO rating_history (
+              player_id, game_id, opponent_id, rating_before, rating_after, score, mode
+            ) VALUES (?, ?, NULL, ?, ?, ?, 'ffa')
+          `, [player.id, gameState.id, rating.before, rating.after, score]);
+
+          changes[player.id] = { before: rating.before, after: rating.after, change: rating.change };
+        }
+
+        return changes;
+      });
+
+    } catch (error) {
+      logger.error('Error updating free-for-all stats:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Count a casual game towards each player's games played and won, leaving ratings alone
+   * @param {Object} gameState - Finished game state
+   * @returns {Object} Rating changes by player ID, always empty
+   */
+  async updateCasualStats(gameState) {
+    // Free-for-all games have their own tallies
+    const prefix = this.gameService.isFreeForAll(gameState) ? 'ffa_' : '';
+
+    try {
+      const db = getDatabase();
+      await db.transaction(async (tx) => {
+        for (const player of Object.values(gameState.players).filter(Boolean)) {
+          await tx.run(`
+            UPDATE players 
+            SET ${prefix}games_played = ${prefix}games_played + 1,
+                ${prefix}games_won = ${prefix}games_won + ?,
+                last_seen = CURRENT_TIMESTAMP
+            WHERE id = ?
+          `, [player.id === gameState.winner ? 1 : 0, player.id]);
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating casual game stats:', error);
+    }
+
+    return {};
+  }
+
+  /**
+   * Record each player's moves, time played and character in game_stats
+   * @param {Object} gameState - Finished game state
+   */
+  async recordGameStats(gameState) {
+    try {
+      const db = getDatabase();
+      const timePlayed = gameState.startedAt ? Math.round((Date.now() - gameState.startedAt) / 1000) : 0;
+
+      for (const player of Object.values(gameState.players)) {
+        if (!player) {
+          continue;
+        }
+
+        await db.run(`
+          INSERT INTO game_stats (game_id, player_id, moves_count, time_played, character_used)
+          VALUES (?, ?, ?, ?, ?)
+        `, [
+          gameState.id,
+          player.id,
+          this.gameService.getPlacements(gameState.moveHistory).filter(move => move.playerId === player.id).length,
+          timePlayed,
+          player.character || null
+        ]);
+      }
+
+    } catch (error) {
+      logger.error('Error recording game stats:', error);
     }
   }
 
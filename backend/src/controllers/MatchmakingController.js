@@ -0,0 +1,207 @@
+/**
+ * Matchmaking Controller
+ * Handles the matchmaking queue and hands matched pairs to the room controller
+ */
+
+const logger = require('../utils/logger');
+const { getDatabase } = require('../config/database');
+const MatchmakingService = require('../services/MatchmakingService');
+
+class MatchmakingController {
+  constructor(io, roomController) {
+    this.io = io;
+    this.roomController = roomController;
+    this.gameService = roomController.gameController.gameService;
+    this.ratingService = roomController.gameController.ratingService;
+    this.matchmakingService = new MatchmakingService();
+    this.MATCH_INTERVAL = 2000;
+    this.matchInterval = setInterval(() => this.processQueue(), this.MATCH_INTERVAL);
+
+    logger.info('MatchmakingController initialized');
+  }
+
+  /**
+   * Put a player in the matchmaking queue
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Queue data {gameSettings}
+   */
+  async findMatch(socket, data) {
+    const { gameSettings = {} } = data;
+    const playerId = socket.playerId || socket.id;
+    const playerName = socket.playerName || `Player_${socket.id.substring(0, 6)}`;
+
+    try {
+      let settings;
+      try {
+        settings = this.gameService.normalizeSettings({ ...gameSettings, ranked: true });
+        if (settings.playerCount > 2) {
+          throw new Error('Matchmaking pairs 1v1 games only');
+        }
+      } catch (error) {
+        socket.emit('matchmaking-error', {
+          message: error.message,
+          code: 'INVALID_SETTINGS'
+        });
+        return;
+      }
+
+      const currentRoomId = this.roomController.playerRooms.get(playerId);
+      const currentRoom = currentRoomId && this.roomController.activeRooms.get(currentRoomId);
+      if (this.isInGame(playerId)) {
+        socket.emit('matchmaking-error', {
+          message: 'Finish your current game before searching for a match',
+          code: 'ALREADY_IN_GAME'
+        });
+        return;
+      }
+
+      if (currentRoom) {
+        await this.roomController.leaveRoom(socket, { roomId: currentRoomId });
+      }
+
+      const rating = await this.getPlayerRating(playerId);
+      const entry = this.matchmakingService.enqueue({
+        playerId,
+        playerName,
+        socketId: socket.id,
+        rating,
+        settings,
+        queueKey: JSON.stringify(settings)
+      });
+
+      socket.playerId = playerId;
+      socket.playerName = playerName;
+
+      socket.emit('matchmaking-queued', {
+        rating,
+        gameSettings: settings,
+        estimatedWait: this.matchmakingService.estimateWaitTime(entry),
+        queueSize: this.matchmakingService.queue.size
+      });
+
+      logger.gameEvent('matchmaking_queued', { playerId, rating });
+
+      await this.processQueue();
+
+    } catch (error) {
+      logger.error('Error joining matchmaking queue:', error);
+      socket.emit('matchmaking-error', {
+        message: 'Failed to join matchmaking queue',
+        code: 'FIND_MATCH_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Take a player out of the matchmaking queue
+   * @param {Object} socket - Socket.io socket object
+   */
+  async cancelMatch(socket) {
+    const playerId = socket.playerId || socket.id;
+    const removed = this.matchmakingService.dequeue(playerId);
+
+    socket.emit('matchmaking-cancelled', { wasQueued: removed });
+
+    if (removed) {
+      logger.gameEvent('matchmaking_cancelled', { playerId });
+    }
+  }
+
+  /**
+   * Take a player out of the queue when they sit down in a room of their own
+   * @param {Object} socket - Socket.io socket object
+   */
+  leaveQueue(socket) {
+    const playerId = socket.playerId || socket.id;
+
+    if (this.matchmakingService.dequeue(playerId)) {
+      socket.emit('matchmaking-cancelled', { wasQueued: true, reason: 'joined-room' });
+      logger.gameEvent('matchmaking_cancelled', { playerId, reason: 'joined-room' });
+    }
+  }
+
+  /**
+   * Drop a disconnected socket from the queue
+   * @param {Object} socket - Socket.io socket object
+   */
+  handleDisconnect(socket) {
+    const playerId = socket.playerId || socket.id;
+    const entry = this.matchmakingService.queue.get(playerId);
+
+    if (entry && entry.socketId === socket.id) {
+      this.matchmakingService.dequeue(playerId);
+    }
+  }
+
+  /**
+   * Pair queued players and create a room for each pair
+   */
+  async processQueue() {
+    const pairs = this.matchmakingService.findMatches();
+
+    for (const pair of pairs) {
+      const stale = pair.filter(entry => !this.io.sockets.sockets.has(entry.socketId));
+      const busy = pair.filter(entry => this.isInGame(entry.playerId));
+
+      if (stale.length > 0 || busy.length > 0) {
+        // Put connected players back in line without losing their place; one still busy
+        // with a game is matched once it is over
+        for (const entry of pair) {
+          if (!stale.includes(entry)) {
+            this.matchmakingService.queue.set(entry.playerId, entry);
+          }
+        }
+        continue;
+      }
+
+      try {
+        await this.roomController.createMatchRoom(pair, pair[0].settings);
+      } catch (error) {
+        logger.error('Error creating match room:', error);
+        for (const entry of pair) {
+          this.io.to(entry.socketId).emit('matchmaking-error', {
+            message: 'Failed to create match',
+            code: 'CREATE_MATCH_ERROR'
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether a player is in a game or its character pick, which a match must not cut short
+   * @param {string} playerId - Player ID
+   * @returns {boolean} Whether the player is busy
+   */
+  isInGame(playerId) {
+    const roomId = this.roomController.playerRooms.get(playerId);
+    const room = roomId && this.roomController.activeRooms.get(roomId);
+    return Boolean(room) && (room.status === 'playing' || room.status === 'selecting');
+  }
+
+  /**
+   * Get a player's rating, falling back to the default for unknown players
+   * @param {string} playerId - Player ID
+   * @returns {Promise<number>} Rating
+   */
+  async getPlayerRating(playerId) {
+    try {
+      const db = getDatabase();
+      const player = await db.get('SELECT rating FROM players WHERE id = ?', [playerId]);
+      return player?.rating ?? this.ratingService.DEFAULT_RATING;
+    } catch (error) {
+      logger.error('Error loading player rating:', error);
+      return this.ratingService.DEFAULT_RATING;
+    }
+  }
+
+  /**
+   * Get matchmaking statistics
+   * @returns {Object} Queue statistics
+   */
+  getStats() {
+    return this.matchmakingService.getStats();
+  }
+}
+
+module.exports = MatchmakingController;
@@ -0,0 +1,196 @@
+/**
+ * Replay Controller
+ * Plays finished games back to a single client with their original timing
+ */
+
+const logger = require('../utils/logger');
+
+class ReplayController {
+  constructor(io, replayService) {
+    this.io = io;
+    this.replayService = replayService;
+    this.sessions = new Map(); // Replay sessions by socket ID
+    this.MAX_STEP_DELAY = 5000; // Long thinks are shortened during playback
+    this.MIN_SPEED = 0.25;
+    this.MAX_SPEED = 8;
+
+    logger.info('ReplayController initialized');
+  }
+
+  /**
+   * Start a replay session for a finished game
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Replay data {gameId, speed, autoplay}
+   */
+  async startReplay(socket, data) {
+    const { gameId, speed = 1, autoplay = true } = data;
+
+    try {
+      const replay = await this.replayService.getReplay(gameId);
+
+      this.stopReplay(socket.id);
+      const session = {
+        replay,
+        moveIndex: 0, // Moves applied so far
+        speed: Math.min(this.MAX_SPEED, Math.max(this.MIN_SPEED, speed)),
+        timer: null
+      };
+      this.sessions.set(socket.id, session);
+
+      socket.emit('replay-started', {
+        gameId: replay.gameId,
+        players: replay.players,
+        settings: replay.settings,
+        result: replay.result,
+        winner: replay.winner,
+        totalMoves: replay.totalMoves,
+        speed: session.speed,
+        board: replay.boards[0]
+      });
+
+      if (autoplay) {
+        this.scheduleNextStep(socket, session);
+      }
+
+      logger.gameEvent('replay_started', { socketId: socket.id, gameId });
+
+    } catch (error) {
+      if (!error.code) {
+        logger.error('Error starting replay:', error);
+      }
+      socket.emit('replay-error', {
+        message: error.code ? error.message : 'Failed to start replay',
+        code: error.code || 'REPLAY_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Step one move forward or backward; stepping pauses playback
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Step data {direction}
+   */
+  stepReplay(socket, data) {
+    const { direction = 'forward' } = data;
+    const session = this.getSession(socket);
+    if (!session) {
+      return;
+    }
+
+    this.pause(session);
+    this.emitState(socket, session, session.moveIndex + (direction === 'backward' ? -1 : 1));
+  }
+
+  /**
+   * Jump to a move and optionally continue playback from there
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Seek data {moveIndex, autoplay}
+   */
+  seekReplay(socket, data) {
+    const { moveIndex, autoplay = false } = data;
+    const session = this.getSession(socket);
+    if (!session) {
+      return;
+    }
+
+    this.pause(session);
+    this.emitState(socket, session, moveIndex);
+
+    if (autoplay) {
+      this.scheduleNextStep(socket, session);
+    }
+  }
+
+  /**
+   * Send the board after a number of moves
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} session - Replay session
+   * @param {number} moveIndex - Number of moves applied (clamped to the game)
+   */
+  emitState(socket, session, moveIndex) {
+    const { replay } = session;
+    session.moveIndex = Math.min(replay.totalMoves, Math.max(0, moveIndex));
+
+    socket.emit('replay-state', {
+      gameId: replay.gameId,
+      moveIndex: session.moveIndex,
+      totalMoves: replay.totalMoves,
+      move: session.moveIndex > 0 ? replay.moves[session.moveIndex - 1] : null,
+      board: replay.boards[session.moveIndex],
+      isFinalPosition: session.moveIndex === replay.totalMoves
+    });
+  }
+
+  /**
+   * Play the next move after the time it originally took
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} session - Replay session
+   */
+  scheduleNextStep(socket, session) {
+    const { replay } = session;
+
+    if (session.moveIndex >= replay.totalMoves) {
+      socket.emit('replay-ended', {
+        gameId: replay.gameId,
+        result: replay.result,
+        winner: replay.winner
+      });
+      return;
+    }
+
+    const nextMove = replay.moves[session.moveIndex];
+    const delay = Math.min(this.MAX_STEP_DELAY, nextMove.thinkTime ?? 1000) / session.speed;
+
+    session.timer = setTimeout(() => {
+      session.timer = null;
+      if (this.sessions.get(socket.id) !== session) {
+        return;
+      }
+
+      this.emitState(socket, session, session.moveIndex + 1);
+      this.scheduleNextStep(socket, session);
+    }, delay);
+  }
+
+  /**
+   * Pause automatic playback
+   * @param {Object} session - Replay session
+   */
+  pause(session) {
+    if (session.timer) {
+      clearTimeout(session.timer);
+      session.timer = null;
+    }
+  }
+
+  /**
+   * Get the socket's replay session or report that there is none
+   * @param {Object} socket - Socket.io socket object
+   * @returns {Object|null} Replay session
+   */
+  getSession(socket) {
+    const session = this.sessions.get(socket.id);
+    if (!session) {
+      socket.emit('replay-error', {
+        message: 'No replay in progress',
+        code: 'NO_REPLAY'
+      });
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * End a socket's replay session
+   * @param {string} socketId - Socket ID
+   */
+  stopReplay(socketId) {
+    const session = this.sessions.get(socketId);
+    if (session) {
+      this.pause(session);
+      this.sessions.delete(socketId);
+    }
+  }
+}
+
+module.exports = ReplayController;
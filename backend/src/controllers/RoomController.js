@@ -8,12 +8,27 @@ const bcrypt = require('bcrypt');
 const logger = require('../utils/logger');
 const { getDatabase } = require('../config/database');
 const { sanitizeChatMessage } = require('../middleware/validation');
+const AIService = require('../services/AIService');
+const CharacterService = require('../services/CharacterService');
 
 class RoomController {
-  constructor(io) {
+  constructor(io, gameController, sessionService) {
     this.io = io;
+    this.gameController = gameController;
+    this.sessionService = sessionService;
     this.activeRooms = new Map(); // In-memory room states
     this.playerRooms = new Map(); // Track which room each player is in
+    this.reconnectTimers = new Map(); // Seats held for disconnected players
+    this.reconnectGracePeriod = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 30000;
+    this.nextGameTimers = new Map(); // Pending king-of-the-hill games by room ID
+    this.hillNextGameDelay = 5000; // Pause between king-of-the-hill games to show the result
+    this.characterService = new CharacterService();
+    this.characterSelectTimers = new Map(); // Pick phase deadlines by room ID
+    this.characterPickTimeout = parseInt(process.env.CHARACTER_PICK_MS, 10) || 20000;
+    this.startCountdowns = new Map(); // Pre-game countdowns by room ID {timer, playerIds}
+    this.startCountdownDelay = 3000; // Countdown once every player is ready
+
+    this.gameController.on('game-ended', (gameState) => this.handleGameEnded(gameState));
     
     logger.info('RoomController initialized');
   }
@@ -24,7 +39,7 @@ class RoomController {
    * @param {Object} data - Room creation data
    */
   async createRoom(socket, data) {
-    const { roomName, isPrivate = false, password, maxPlayers = 2 } = data;
+    const { roomName, isPrivate = false, password, allowSpectators = true, gameSettings = {} } = data;
     const playerId = socket.playerId || socket.id;
     const playerName = socket.playerName || `Player_${socket.id.substring(0, 6)}`;
 
@@ -32,6 +47,21 @@ class RoomController {
       const roomId = uuidv4();
       const hashedPassword = password ? await bcrypt.hash(password, 10) : null;
 
+      let settings;
+      try {
+        // Spectating can be chosen with the other game settings or on its own
+        settings = this.gameController.gameService.normalizeSettings({ allowSpectators, ...gameSettings });
+      } catch (error) {
+        socket.emit('room-error', {
+          message: error.message,
+          code: 'INVALID_SETTINGS'
+        });
+        return;
+      }
+
+      // A free-for-all room seats exactly its players; bigger 1v1 rooms play king of the hill
+      const maxPlayers = settings.playerCount > 2 ? settings.playerCount : (data.maxPlayers || 2);
+
       // Create room object
       const room = {
         id: roomId,
@@ -41,8 +71,12 @@ class RoomController {
         maxPlayers,
         currentPlayers: 1,
         status: 'waiting',
+        allowSpectators: settings.allowSpectators,
         createdBy: playerId,
+        hostId: playerId,
+        isLocked: false,
         createdAt: Date.now(),
+        gameSettings: settings,
         players: new Map([[playerId, {
           id: playerId,
           name: playerName,
@@ -51,7 +85,8 @@ class RoomController {
           isReady: false
         }]]),
         spectators: new Map(),
-        chatHistory: []
+        chatHistory: [],
+        ...(maxPlayers > settings.playerCount && { hill: this.createHill([playerId]) })
       };
 
       // Store room
@@ -74,11 +109,15 @@ class RoomController {
         isPrivate,
         maxPlayers,
         currentPlayers: 1,
+        allowSpectators: settings.allowSpectators,
+        hostId: playerId,
+        gameSettings: settings,
         players: Array.from(room.players.values()).map(p => ({
           id: p.id,
           name: p.name,
           isReady: p.isReady
-        }))
+        })),
+        ...(room.hill && { hill: this.getHillState(room) })
       });
 
       // Broadcast room list update
@@ -95,14 +134,210 @@ class RoomController {
     }
   }
 
+  /**
+   * Create a private room against a server-side bot and start the game
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Bot game data {difficulty, gameSettings}
+   */
+  async createBotGame(socket, data) {
+    const { difficulty = 'medium', gameSettings = {} } = data;
+    const playerId = socket.playerId || socket.id;
+    const playerName = socket.playerName || `Player_${socket.id.substring(0, 6)}`;
+
+    try {
+      const level = AIService.DIFFICULTY_LEVELS[difficulty];
+      if (!level) {
+        socket.emit('room-error', {
+          message: 'Unknown bot difficulty',
+          code: 'INVALID_DIFFICULTY'
+        });
+        return;
+      }
+
+      // Bot games are casual so nobody can farm rating off a bot
+      const settings = this.gameController.gameService.normalizeSettings({ ...gameSettings, ranked: false });
+      if (settings.playerCount > 2) {
+        socket.emit('room-error', {
+          message: 'Bot games are 1v1 only',
+          code: 'INVALID_SETTINGS'
+        });
+        return;
+      }
+
+      // Leave any room the player is currently in
+      const currentRoom = this.playerRooms.get(playerId);
+      if (currentRoom) {
+        await this.leaveRoom(socket, { roomId: currentRoom });
+      }
+
+      const roomId = uuidv4();
+      const bot = {
+        id: `bot_${difficulty}`,
+        name: `${level.label} Bot`,
+        socketId: null,
+        joinedAt: Date.now(),
+        isReady: true,
+        isBot: true,
+        difficulty
+      };
+
+      const room = {
+        id: roomId,
+        name: `${playerName} vs ${bot.name}`,
+        isPrivate: true,
+        password: null,
+        maxPlayers: 2,
+        currentPlayers: 2,
+        status: 'waiting',
+        allowSpectators: settings.allowSpectators,
+        createdBy: playerId,
+        hostId: playerId,
+        isLocked: false,
+        createdAt: Date.now(),
+        gameSettings: settings,
+        isBotRoom: true,
+        players: new Map([
+          [playerId, {
+            id: playerId,
+            name: playerName,
+            socketId: socket.id,
+            joinedAt: Date.now(),
+            isReady: true
+          }],
+          [bot.id, bot]
+        ]),
+        spectators: new Map(),
+        chatHistory: []
+      };
+
+      this.activeRooms.set(roomId, room);
+      this.playerRooms.set(playerId, roomId);
+
+      await this.ensureBotPlayerInDatabase(bot, level);
+      await this.saveRoomToDatabase(room);
+
+      socket.join(roomId);
+      socket.playerId = playerId;
+      socket.playerName = playerName;
+      socket.roomId = roomId;
+
+      socket.emit('bot-game-created', {
+        roomId,
+        roomName: room.name,
+        gameSettings: room.gameSettings,
+        bot: {
+          id: bot.id,
+          name: bot.name,
+          difficulty,
+          rating: level.rating
+        }
+      });
+
+      await this.checkGameStart(room);
+
+      logger.info(`Bot game created: ${roomId} by ${playerId} (${difficulty})`);
+
+    } catch (error) {
+      logger.error('Error creating bot game:', error);
+      socket.emit('room-error', {
+        message: 'Failed to create bot game',
+        code: 'CREATE_BOT_GAME_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Create a private room for two players paired by matchmaking or a tournament and start the game
+   * @param {Array} entries - Matched queue entries {playerId, playerName, socketId, rating, joinedAt}
+   * @param {Object} gameSettings - Normalized game settings both players queued with
+   * @param {Object} tournament - Tournament match the room is for {id, name, matchId, round} (optional)
+   */
+  async createMatchRoom(entries, gameSettings, tournament = null) {
+    const roomId = uuidv4();
+    const now = Date.now();
+
+    // Drop any waiting room a player opened while queued
+    for (const entry of entries) {
+      const currentRoom = this.playerRooms.get(entry.playerId);
+      const socket = this.io.sockets.sockets.get(entry.socketId);
+      if (currentRoom && socket) {
+        await this.leaveRoom(socket, { roomId: currentRoom });
+      }
+    }
+
+    const room = {
+      id: roomId,
+      name: entries.map(entry => entry.playerName).join(' vs '),
+      isPrivate: true,
+      password: null,
+      maxPlayers: 2,
+      currentPlayers: entries.length,
+      status: 'waiting',
+      allowSpectators: gameSettings.allowSpectators,
+      createdBy: entries[0].playerId,
+      hostId: entries[0].playerId,
+      isLocked: false,
+      createdAt: now,
+      gameSettings,
+      players: new Map(entries.map(entry => [entry.playerId, {
+        id: entry.playerId,
+        name: entry.playerName,
+        socketId: entry.socketId,
+        joinedAt: now,
+        isReady: true
+      }])),
+      spectators: new Map(),
+      chatHistory: [],
+      ...(tournament && { tournament })
+    };
+
+    this.activeRooms.set(roomId, room);
+    for (const entry of entries) {
+      this.playerRooms.set(entry.playerId, roomId);
+    }
+
+    await this.saveRoomToDatabase(room);
+
+    for (const entry of entries) {
+      const socket = this.io.sockets.sockets.get(entry.socketId);
+      if (socket) {
+        socket.join(roomId);
+        socket.playerId = entry.playerId;
+        socket.playerName = entry.playerName;
+        socket.roomId = roomId;
+      }
+
+      const opponent = entries.find(other => other !== entry);
+      this.io.to(entry.socketId).emit('match-found', {
+        roomId,
+        roomName: room.name,
+        gameSettings,
+        rating: entry.rating,
+        waitTime: now - entry.joinedAt,
+        opponent: {
+          id: opponent.playerId,
+          name: opponent.playerName,
+          rating: opponent.rating
+        },
+        ...(tournament && { tournament })
+      });
+    }
+
+    await this.checkGameStart(room);
+
+    logger.info(`Match room created: ${roomId} for ${entries.map(entry => entry.playerId).join(', ')}`);
+    return room;
+  }
+
   /**
    * Join an existing room
    * @param {Object} socket - Socket.io socket object
    * @param {Object} data - Join room data
    */
   async joinRoom(socket, data) {
-    const { roomId, playerName, password } = data;
+    const { roomId, password } = data;
     const playerId = socket.playerId || socket.id;
+    const playerName = socket.playerName || `Player_${socket.id.substring(0, 6)}`;
 
     try {
       // Get room
@@ -129,24 +364,25 @@ class RoomController {
         return;
       }
 
-      // Check password for private rooms
-      if (room.isPrivate && room.password) {
-        if (!password) {
-          socket.emit('room-error', { 
-            message: 'Password required',
-            code: 'PASSWORD_REQUIRED'
-          });
-          return;
-        }
+      if (room.isLocked) {
+        socket.emit('room-error', {
+          message: 'Room is locked',
+          code: 'ROOM_LOCKED'
+        });
+        return;
+      }
 
-        const passwordValid = await bcrypt.compare(password, room.password);
-        if (!passwordValid) {
-          socket.emit('room-error', { 
-            message: 'Invalid password',
-            code: 'INVALID_PASSWORD'
-          });
-          return;
-        }
+      if (room.kickedPlayerIds?.has(playerId)) {
+        socket.emit('room-error', {
+          message: 'You were removed from this room',
+          code: 'KICKED'
+        });
+        return;
+      }
+
+      // Check password for private rooms
+      if (!await this.checkRoomPassword(socket, room, password)) {
+        return;
       }
 
       // Check if player is already in another room
@@ -168,6 +404,16 @@ class RoomController {
       room.currentPlayers = room.players.size;
       this.playerRooms.set(playerId, roomId);
 
+      // A room restored from the database may have lost its host
+      if (!room.players.has(room.hostId)) {
+        room.hostId = playerId;
+      }
+
+      // Newcomers to a king-of-the-hill room join the back of the challenger queue
+      if (room.hill && !room.hill.queue.includes(playerId)) {
+        room.hill.queue.push(playerId);
+      }
+
       // Join socket to room
       socket.join(roomId);
       socket.playerId = playerId;
@@ -199,14 +445,25 @@ class RoomController {
         })),
         currentPlayers: room.currentPlayers,
         maxPlayers: room.maxPlayers,
-        chatHistory: room.chatHistory.slice(-50) // Last 50 messages
+        hostId: room.hostId,
+        isLocked: room.isLocked,
+        allowSpectators: room.allowSpectators,
+        spectatorCount: room.spectators.size,
+        gameSettings: room.gameSettings,
+        chatHistory: room.chatHistory.slice(-50), // Last 50 messages
+        ...(room.hill && { hill: this.getHillState(room) }),
+        ...(room.characterSelect && { characterSelect: this.getCharacterSelectState(room) })
       });
 
       // Check if we can start the game
-      if (room.currentPlayers === 2 && room.status === 'waiting') {
+      if (room.status === 'waiting') {
         await this.checkGameStart(room);
       }
 
+      if (room.hill) {
+        this.broadcastHillUpdate(room);
+      }
+
       // Broadcast room list update
       this.broadcastRoomListUpdate();
 
@@ -236,11 +493,45 @@ class RoomController {
         return; // Room doesn't exist, nothing to do
       }
 
+      if (room.spectators.has(socket.id)) {
+        this.removeSpectator(socket, room);
+        return;
+      }
+
+      // A voluntary leave releases any held seat
+      const timer = this.reconnectTimers.get(playerId);
+      if (timer) {
+        clearTimeout(timer);
+        this.reconnectTimers.delete(playerId);
+      }
+
       // Remove player from room
       room.players.delete(playerId);
       room.currentPlayers = room.players.size;
       this.playerRooms.delete(playerId);
 
+      if (room.hill) {
+        room.hill.queue = room.hill.queue.filter(id => id !== playerId);
+      }
+
+      // Leaving mid-game concedes it where others would be left waiting: the hill rotation
+      // only moves on when a game ends, a free-for-all plays on without the player, and a
+      // tournament round can't finish until every match has a result
+      if (room.status === 'playing' && (room.hill || room.tournament || room.gameSettings.playerCount > 2)) {
+        await this.gameController.forfeitGame(roomId, playerId, 'left');
+      }
+
+      // Neither can a countdown
+      if (this.startCountdowns.get(roomId)?.playerIds.includes(playerId)) {
+        this.cancelStartCountdown(room, 'player-left');
+      }
+
+      // A pick phase can't go on without one of its players
+      const selectAbandoned = room.status === 'selecting' && room.characterSelect.playerIds.includes(playerId);
+      if (selectAbandoned) {
+        this.cancelCharacterSelect(room, 'player-left');
+      }
+
       // Leave socket room
       socket.leave(roomId);
 
@@ -251,13 +542,42 @@ class RoomController {
         currentPlayers: room.currentPlayers
       });
 
-      // If room is empty, clean it up
-      if (room.currentPlayers === 0) {
+      // A finished room reopens for a new opponent, who starts a fresh series
+      if (room.status === 'finished') {
+        room.status = 'waiting';
+        room.series = null;
+        room.rematchRequests = new Set();
+      }
+
+      // If room is empty (bots don't count), clean it up
+      const hasHumans = Array.from(room.players.values()).some(p => !p.isBot);
+      if (!hasHumans) {
+        this.gameController.cancelBotMove(roomId);
+        this.cancelNextHillGame(roomId);
+        this.clearCharacterSelectTimer(roomId);
+        this.clearStartCountdown(roomId);
         this.activeRooms.delete(roomId);
         await this.deleteRoomFromDatabase(roomId);
       } else {
+        // The member who has been in the room longest takes over as host
+        if (room.hostId === playerId) {
+          const [nextHost] = Array.from(room.players.values())
+            .filter(p => !p.isBot)
+            .sort((a, b) => a.joinedAt - b.joinedAt);
+          this.setHost(room, nextHost, 'host-left');
+        }
+
         // Update database
         await this.saveRoomToDatabase(room);
+
+        // King-of-the-hill rooms may have the next challenger ready
+        if (selectAbandoned) {
+          await this.checkGameStart(room);
+        }
+
+        if (room.hill) {
+          this.broadcastHillUpdate(room);
+        }
       }
 
       // Broadcast room list update
@@ -271,159 +591,503 @@ class RoomController {
   }
 
   /**
-   * Handle chat message
+   * Check that a socket belongs to the host of a room, reporting it if not
    * @param {Object} socket - Socket.io socket object
-   * @param {Object} data - Chat message data
+   * @param {Object} room - Room object (optional, missing rooms are reported)
+   * @returns {boolean} Whether the socket may use host controls
    */
-  async handleChatMessage(socket, data) {
-    const { message, roomId } = data;
-    const playerId = socket.playerId || socket.id;
-    const playerName = socket.playerName || `Player_${socket.id.substring(0, 6)}`;
+  checkHost(socket, room) {
+    if (!room) {
+      socket.emit('room-error', {
+        message: 'Room not found',
+        code: 'ROOM_NOT_FOUND'
+      });
+      return false;
+    }
+
+    // Tournament pairings are fixed, so nobody gets to kick an opponent or change the game
+    if (room.tournament) {
+      socket.emit('room-error', {
+        message: 'Tournament match rooms have no host controls',
+        code: 'TOURNAMENT_MATCH'
+      });
+      return false;
+    }
+
+    if (room.hostId !== (socket.playerId || socket.id)) {
+      socket.emit('room-error', {
+        message: 'Only the host can do that',
+        code: 'NOT_HOST'
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Hand a room to a new host and announce it
+   * @param {Object} room - Room object
+   * @param {Object} player - New host
+   * @param {string} reason - Why the host changed (transfer, host-left)
+   */
+  setHost(room, player, reason) {
+    room.hostId = player.id;
+
+    this.io.to(room.id).emit('host-changed', {
+      roomId: room.id,
+      hostId: player.id,
+      hostName: player.name,
+      reason
+    });
+
+    logger.info(`Host of room ${room.id} is now ${player.id} (${reason})`);
+  }
+
+  /**
+   * Remove a player or spectator from the host's room; they can't come back
+   * Players can only be kicked between games, so a kick never decides a game
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Kick data {roomId, playerId}
+   */
+  async kickPlayer(socket, data) {
+    const { roomId, playerId: targetId } = data;
+    const room = this.activeRooms.get(roomId);
 
     try {
-      const room = this.activeRooms.get(roomId);
-      if (!room) {
-        socket.emit('chat-error', { 
-          message: 'Room not found',
-          code: 'ROOM_NOT_FOUND'
-        });
+      if (!this.checkHost(socket, room)) {
         return;
       }
 
-      // Check if player is in the room
-      if (!room.players.has(playerId) && !room.spectators.has(playerId)) {
-        socket.emit('chat-error', { 
-          message: 'You are not in this room',
-          code: 'NOT_IN_ROOM'
+      if (targetId === room.hostId) {
+        socket.emit('room-error', {
+          message: 'You can\'t kick yourself',
+          code: 'INVALID_TARGET'
         });
         return;
       }
 
-      // Sanitize message
-      const sanitizedMessage = sanitizeChatMessage(message);
-      if (!sanitizedMessage) {
-        socket.emit('chat-error', { 
-          message: 'Invalid message',
-          code: 'INVALID_MESSAGE'
+      const player = room.players.get(targetId);
+      const spectator = !player && Array.from(room.spectators.values()).find(s => s.playerId === targetId);
+      if (!player && !spectator) {
+        socket.emit('room-error', {
+          message: 'That player is not in this room',
+          code: 'PLAYER_NOT_FOUND'
         });
         return;
       }
 
-      // Create chat message object
-      const chatMessage = {
-        id: uuidv4(),
-        playerId,
-        playerName,
-        message: sanitizedMessage,
-        timestamp: Date.now(),
-        roomId
-      };
+      if (player && (player.isBot || room.status === 'selecting' || room.status === 'playing')) {
+        socket.emit('room-error', {
+          message: player.isBot ? 'Bots can\'t be kicked' : 'Players can only be kicked between games',
+          code: player.isBot ? 'INVALID_TARGET' : 'GAME_IN_PROGRESS'
+        });
+        return;
+      }
 
-      // Add to room chat history
-      room.chatHistory.push(chatMessage);
-      
-      // Keep only last 100 messages
-      if (room.chatHistory.length > 100) {
-        room.chatHistory = room.chatHistory.slice(-100);
+      const target = player || spectator;
+      const targetSocket = this.io.sockets.sockets.get(target.socketId);
+      if (!targetSocket) {
+        socket.emit('room-error', {
+          message: 'That player is disconnected and will leave when their seat expires',
+          code: 'PLAYER_DISCONNECTED'
+        });
+        return;
       }
 
-      // Save to database
-      await this.saveChatMessageToDatabase(chatMessage);
+      room.kickedPlayerIds = room.kickedPlayerIds || new Set();
+      room.kickedPlayerIds.add(targetId);
 
-      // Broadcast to all players in room
-      this.io.to(roomId).emit('chat-message', {
-        id: chatMessage.id,
-        playerId,
-        playerName,
-        message: sanitizedMessage,
-        timestamp: chatMessage.timestamp
+      this.io.to(roomId).emit('player-kicked', {
+        playerId: targetId,
+        playerName: target.name,
+        spectator: Boolean(spectator)
       });
+      targetSocket.emit('kicked', { roomId, roomName: room.name });
 
-      logger.info(`Chat message in room ${roomId} from ${playerId}: ${sanitizedMessage.substring(0, 50)}`);
+      if (spectator) {
+        this.removeSpectator(targetSocket, room);
+      } else {
+        await this.leaveRoom(targetSocket, { roomId });
+      }
+
+      logger.info(`Host ${room.hostId} kicked ${targetId} from room ${roomId}`);
 
     } catch (error) {
-      logger.error('Error handling chat message:', error);
-      socket.emit('chat-error', { 
-        message: 'Failed to send message',
-        code: 'CHAT_ERROR'
+      logger.error('Error kicking player:', error);
+      socket.emit('room-error', {
+        message: 'Failed to kick player',
+        code: 'KICK_ERROR'
       });
     }
   }
 
   /**
-   * Get list of available rooms
+   * Make another player in the room the host
    * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Transfer data {roomId, playerId}
    */
-  async getRoomList(socket) {
+  async transferHost(socket, data) {
+    const { roomId, playerId: targetId } = data;
+    const room = this.activeRooms.get(roomId);
+
     try {
-      const rooms = Array.from(this.activeRooms.values())
-        .filter(room => !room.isPrivate && room.status === 'waiting')
-        .map(room => ({
-          id: room.id,
-          name: room.name,
-          currentPlayers: room.currentPlayers,
-          maxPlayers: room.maxPlayers,
-          status: room.status,
-          createdAt: room.createdAt
-        }));
-
-      socket.emit('room-list', { rooms });
+      if (!this.checkHost(socket, room)) {
+        return;
+      }
+
+      const player = room.players.get(targetId);
+      if (!player || player.isBot || targetId === room.hostId) {
+        socket.emit('room-error', {
+          message: 'The host can only pass to another player in the room',
+          code: 'INVALID_TARGET'
+        });
+        return;
+      }
+
+      this.setHost(room, player, 'transfer');
+      await this.saveRoomToDatabase(room);
 
     } catch (error) {
-      logger.error('Error getting room list:', error);
-      socket.emit('room-error', { 
-        message: 'Failed to get room list',
-        code: 'ROOM_LIST_ERROR'
+      logger.error('Error transferring host:', error);
+      socket.emit('room-error', {
+        message: 'Failed to transfer host',
+        code: 'TRANSFER_HOST_ERROR'
       });
     }
   }
 
   /**
-   * Spectate a game
+   * Lock or unlock the room to new players
    * @param {Object} socket - Socket.io socket object
-   * @param {Object} data - Spectate data
+   * @param {Object} data - Lock data {roomId, locked}
    */
-  async spectateGame(socket, data) {
-    const { roomId } = data;
-    const spectatorId = socket.id;
+  async lockRoom(socket, data) {
+    const { roomId, locked } = data;
+    const room = this.activeRooms.get(roomId);
 
     try {
-      const room = this.activeRooms.get(roomId);
-      if (!room) {
-        socket.emit('room-error', { 
-          message: 'Room not found',
-          code: 'ROOM_NOT_FOUND'
-        });
+      if (!this.checkHost(socket, room)) {
         return;
       }
 
-      // Add as spectator
-      room.spectators.set(spectatorId, {
-        id: spectatorId,
-        socketId: socket.id,
-        joinedAt: Date.now()
-      });
-
-      // Join socket to room
-      socket.join(roomId);
-      socket.isSpectator = true;
-      socket.roomId = roomId;
+      room.isLocked = locked;
+      await this.saveRoomToDatabase(room);
 
-      // Send current game state
-      socket.emit('spectating-started', {
+      this.io.to(roomId).emit('room-locked', {
         roomId,
-        roomName: room.name,
-        players: Array.from(room.players.values()).map(p => ({
-          id: p.id,
-          name: p.name
-        })),
-        spectatorCount: room.spectators.size
+        isLocked: locked
       });
+      this.broadcastRoomListUpdate();
 
-      logger.info(`Spectator ${spectatorId} joined room ${roomId}`);
+      logger.info(`Room ${roomId} ${locked ? 'locked' : 'unlocked'} by ${room.hostId}`);
 
     } catch (error) {
-      logger.error('Error spectating game:', error);
+      logger.error('Error locking room:', error);
+      socket.emit('room-error', {
+        message: 'Failed to lock room',
+        code: 'LOCK_ROOM_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Change the room's name, privacy, password or game settings while it waits for a game
+   * New game settings reset everyone's ready status
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Update data {roomId, roomName, isPrivate, password, gameSettings} (all optional but roomId)
+   */
+  async updateRoom(socket, data) {
+    const { roomId, roomName, isPrivate, password, gameSettings } = data;
+    const room = this.activeRooms.get(roomId);
+
+    try {
+      if (!this.checkHost(socket, room)) {
+        return;
+      }
+
+      if (room.status !== 'waiting') {
+        socket.emit('room-error', {
+          message: 'Room settings can only change while the room is waiting for a game',
+          code: 'ROOM_NOT_WAITING'
+        });
+        return;
+      }
+
+      let settings = room.gameSettings;
+      if (gameSettings) {
+        try {
+          settings = this.gameController.gameService.normalizeSettings({
+            playerCount: room.gameSettings.playerCount,
+            allowSpectators: room.allowSpectators,
+            ...gameSettings
+          });
+        } catch (error) {
+          socket.emit('room-error', {
+            message: error.message,
+            code: 'INVALID_SETTINGS'
+          });
+          return;
+        }
+
+        // The seats of a room are fixed when it opens
+        if (settings.playerCount !== room.gameSettings.playerCount) {
+          socket.emit('room-error', {
+            message: 'The number of players can\'t change once the room is open',
+            code: 'INVALID_SETTINGS'
+          });
+          return;
+        }
+      }
+
+      const makePrivate = isPrivate ?? room.isPrivate;
+      if (makePrivate && !password && !room.password) {
+        socket.emit('room-error', {
+          message: 'Password is required for private rooms',
+          code: 'PASSWORD_REQUIRED'
+        });
+        return;
+      }
+
+      if (roomName) {
+        room.name = roomName;
+      }
+      room.isPrivate = makePrivate;
+      if (!makePrivate) {
+        room.password = null;
+      } else if (password) {
+        room.password = await bcrypt.hash(password, 10);
+      }
+
+      if (gameSettings) {
+        room.gameSettings = settings;
+        room.allowSpectators = settings.allowSpectators;
+        if (this.startCountdowns.has(roomId)) {
+          this.cancelStartCountdown(room, 'settings-changed');
+        }
+        for (const player of room.players.values()) {
+          if (!player.isBot) {
+            player.isReady = false;
+          }
+        }
+      }
+
+      await this.saveRoomToDatabase(room);
+
+      this.io.to(roomId).emit('room-updated', {
+        roomId,
+        roomName: room.name,
+        isPrivate: room.isPrivate,
+        allowSpectators: room.allowSpectators,
+        gameSettings: room.gameSettings,
+        readyReset: Boolean(gameSettings)
+      });
+      this.broadcastRoomListUpdate();
+
+      logger.info(`Room ${roomId} updated by ${room.hostId}`);
+
+    } catch (error) {
+      logger.error('Error updating room:', error);
+      socket.emit('room-error', {
+        message: 'Failed to update room',
+        code: 'UPDATE_ROOM_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle chat message
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Chat message data
+   */
+  async handleChatMessage(socket, data) {
+    const { message, roomId } = data;
+    const playerId = socket.playerId || socket.id;
+    const playerName = socket.playerName || `Player_${socket.id.substring(0, 6)}`;
+
+    try {
+      const room = this.activeRooms.get(roomId);
+      if (!room) {
+        socket.emit('chat-error', { 
+          message: 'Room not found',
+          code: 'ROOM_NOT_FOUND'
+        });
+        return;
+      }
+
+      // Check if player is in the room
+      if (!room.players.has(playerId) && !room.spectators.has(socket.id)) {
+        socket.emit('chat-error', { 
+          message: 'You are not in this room',
+          code: 'NOT_IN_ROOM'
+        });
+        return;
+      }
+
+      // Sanitize message
+      const sanitizedMessage = sanitizeChatMessage(message);
+      if (!sanitizedMessage) {
+        socket.emit('chat-error', { 
+          message: 'Invalid message',
+          code: 'INVALID_MESSAGE'
+        });
+        return;
+      }
+
+      // Create chat message object
+      const chatMessage = {
+        id: uuidv4(),
+        playerId,
+        playerName,
+        message: sanitizedMessage,
+        timestamp: Date.now(),
+        roomId
+      };
+
+      // Add to room chat history
+      room.chatHistory.push(chatMessage);
+      
+      // Keep only last 100 messages
+      if (room.chatHistory.length > 100) {
+        room.chatHistory = room.chatHistory.slice(-100);
+      }
+
+      // Save to database
+      await this.saveChatMessageToDatabase(chatMessage);
+
+      // Broadcast to all players in room
+      this.io.to(roomId).emit('chat-message', {
+        id: chatMessage.id,
+        playerId,
+        playerName,
+        message: sanitizedMessage,
+        timestamp: chatMessage.timestamp
+      });
+
+      logger.info(`Chat message in room ${roomId} from ${playerId}: ${sanitizedMessage.substring(0, 50)}`);
+
+    } catch (error) {
+      logger.error('Error handling chat message:', error);
+      socket.emit('chat-error', { 
+        message: 'Failed to send message',
+        code: 'CHAT_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get list of available rooms
+   * @param {Object} socket - Socket.io socket object
+   */
+  async getRoomList(socket) {
+    try {
+      socket.emit('room-list', { rooms: this.getOpenRooms() });
+
+    } catch (error) {
+      logger.error('Error getting room list:', error);
+      socket.emit('room-error', { 
+        message: 'Failed to get room list',
+        code: 'ROOM_LIST_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Spectate a game
+   * Spectators get a full snapshot now and every later broadcast to the room
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Spectate data {roomId, password}
+   */
+  async spectateGame(socket, data) {
+    const { roomId, password } = data;
+    const spectatorId = socket.id;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      const room = this.activeRooms.get(roomId);
+      if (!room) {
+        socket.emit('room-error', { 
+          message: 'Room not found',
+          code: 'ROOM_NOT_FOUND'
+        });
+        return;
+      }
+
+      if (!room.allowSpectators) {
+        socket.emit('room-error', {
+          message: 'Spectating is disabled in this room',
+          code: 'SPECTATING_DISABLED'
+        });
+        return;
+      }
+
+      if (room.players.has(playerId)) {
+        socket.emit('room-error', {
+          message: 'You are playing in this room',
+          code: 'ALREADY_IN_ROOM'
+        });
+        return;
+      }
+
+      if (room.kickedPlayerIds?.has(playerId)) {
+        socket.emit('room-error', {
+          message: 'You were removed from this room',
+          code: 'KICKED'
+        });
+        return;
+      }
+
+      if (!await this.checkRoomPassword(socket, room, password)) {
+        return;
+      }
+
+      // A socket watches one room at a time
+      for (const otherRoom of this.activeRooms.values()) {
+        if (otherRoom !== room && otherRoom.spectators.has(spectatorId)) {
+          this.removeSpectator(socket, otherRoom);
+        }
+      }
+
+      // Add as spectator
+      room.spectators.set(spectatorId, {
+        id: spectatorId,
+        playerId,
+        name: socket.playerName,
+        socketId: socket.id,
+        joinedAt: Date.now()
+      });
+
+      // Join socket to room
+      socket.join(roomId);
+      socket.isSpectator = true;
+      socket.roomId = roomId;
+
+      // Send current game state
+      socket.emit('spectating-started', {
+        roomId,
+        roomName: room.name,
+        status: room.status,
+        players: Array.from(room.players.values()).map(p => ({
+          id: p.id,
+          name: p.name,
+          isReady: p.isReady,
+          connected: p.connected !== false
+        })),
+        hostId: room.hostId,
+        gameSettings: room.gameSettings,
+        spectatorCount: room.spectators.size,
+        chatHistory: room.chatHistory.slice(-50), // Last 50 messages
+        game: await this.gameController.getGameSnapshot(roomId),
+        ...(room.hill && { hill: this.getHillState(room) }),
+        ...(room.characterSelect && { characterSelect: this.getCharacterSelectState(room) })
+      });
+
+      this.broadcastSpectatorCount(room);
+
+      logger.info(`Spectator ${spectatorId} joined room ${roomId}`);
+
+    } catch (error) {
+      logger.error('Error spectating game:', error);
       socket.emit('room-error', { 
         message: 'Failed to spectate game',
         code: 'SPECTATE_ERROR'
@@ -432,61 +1096,911 @@ class RoomController {
   }
 
   /**
-   * Handle player disconnect
+   * Stop a socket spectating a room
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} room - Room object
+   */
+  removeSpectator(socket, room) {
+    room.spectators.delete(socket.id);
+    socket.leave(room.id);
+    socket.isSpectator = false;
+    if (socket.roomId === room.id) {
+      socket.roomId = null;
+    }
+
+    this.broadcastSpectatorCount(room);
+    logger.info(`Spectator ${socket.id} left room ${room.id}`);
+  }
+
+  /**
+   * Tell everyone in a room how many spectators are watching
+   * @param {Object} room - Room object
+   */
+  broadcastSpectatorCount(room) {
+    this.io.to(room.id).emit('spectator-count', {
+      roomId: room.id,
+      count: room.spectators.size
+    });
+  }
+
+  /**
+   * Check the password of a private room, reporting a missing or wrong one
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} room - Room object
+   * @param {string} password - Password given by the client
+   * @returns {Promise<boolean>} Whether the socket may enter
+   */
+  async checkRoomPassword(socket, room, password) {
+    if (!room.isPrivate || !room.password) {
+      return true;
+    }
+
+    if (!password) {
+      socket.emit('room-error', { 
+        message: 'Password required',
+        code: 'PASSWORD_REQUIRED'
+      });
+      return false;
+    }
+
+    const passwordValid = await bcrypt.compare(password, room.password);
+    if (!passwordValid) {
+      socket.emit('room-error', { 
+        message: 'Invalid password',
+        code: 'INVALID_PASSWORD'
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Handle player disconnect
+   * The player's seat is held for a grace period so they can resume the session
+   * @param {Object} socket - Socket.io socket object
+   */
+  async handleDisconnect(socket) {
+    const playerId = socket.playerId || socket.id;
+    const roomId = this.playerRooms.get(playerId);
+    const room = roomId && this.activeRooms.get(roomId);
+    const player = room?.players.get(playerId);
+
+    // Ignore stale sockets whose seat was already taken over by a resumed session
+    if (player && player.socketId === socket.id) {
+      this.holdSeat(socket, room, player);
+    }
+
+    // Remove from spectators if applicable
+    for (const room of this.activeRooms.values()) {
+      if (room.spectators.has(socket.id)) {
+        this.removeSpectator(socket, room);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Keep a disconnected player's seat until the grace period runs out
+   * If the player doesn't come back, they forfeit any running game and leave the room
+   * @param {Object} socket - The disconnected socket
+   * @param {Object} room - Room object
+   * @param {Object} player - Player in the room
+   */
+  holdSeat(socket, room, player) {
+    player.connected = false;
+    player.disconnectedAt = Date.now();
+
+    this.io.to(room.id).emit('opponent-reconnecting', {
+      playerId: player.id,
+      playerName: player.name,
+      gracePeriod: this.reconnectGracePeriod
+    });
+
+    const timer = setTimeout(async () => {
+      this.reconnectTimers.delete(player.id);
+
+      try {
+        if (room.status === 'playing') {
+          await this.gameController.forfeitGame(room.id, player.id, 'disconnect');
+        }
+        await this.leaveRoom(socket, { roomId: room.id });
+        logger.info(`Reconnect grace period expired for ${player.id} in room ${room.id}`);
+      } catch (error) {
+        logger.error('Error releasing held seat:', error);
+      }
+    }, this.reconnectGracePeriod);
+
+    this.reconnectTimers.set(player.id, timer);
+    logger.info(`Holding seat for ${player.id} in room ${room.id} for ${this.reconnectGracePeriod}ms`);
+  }
+
+  /**
+   * Resume a session on a new socket
+   * Puts the socket back into its room and sends a full game and chat snapshot
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Resume data {sessionToken}
+   */
+  async resumeSession(socket, data) {
+    const { sessionToken } = data;
+
+    try {
+      const session = this.sessionService.getSession(sessionToken);
+      if (!session) {
+        socket.emit('session-error', {
+          message: 'Session expired or invalid',
+          code: 'INVALID_SESSION'
+        });
+        return;
+      }
+
+      // Sessions only resume for the player they were issued to; guests keep their identity by
+      // reconnecting with the auth token they were sent on connect
+      if (session.playerId !== socket.playerId) {
+        socket.emit('session-error', {
+          message: 'Session belongs to another player',
+          code: 'SESSION_MISMATCH'
+        });
+        return;
+      }
+
+      // Drop the fresh session issued to this socket on connect
+      if (socket.sessionToken && socket.sessionToken !== sessionToken) {
+        this.sessionService.revokeSession(socket.sessionToken);
+      }
+
+      const playerId = session.playerId;
+      socket.playerId = playerId;
+      socket.sessionToken = sessionToken;
+
+      const timer = this.reconnectTimers.get(playerId);
+      if (timer) {
+        clearTimeout(timer);
+        this.reconnectTimers.delete(playerId);
+      }
+
+      const roomId = this.playerRooms.get(playerId);
+      const room = roomId && this.activeRooms.get(roomId);
+      const player = room?.players.get(playerId);
+
+      if (!player) {
+        socket.emit('session-resumed', { playerId, roomId: null });
+        return;
+      }
+
+      player.socketId = socket.id;
+      player.connected = true;
+      delete player.disconnectedAt;
+
+      socket.join(roomId);
+      socket.playerName = player.name;
+      socket.roomId = roomId;
+
+      socket.emit('session-resumed', {
+        playerId,
+        roomId,
+        roomName: room.name,
+        status: room.status,
+        players: Array.from(room.players.values()).map(p => ({
+          id: p.id,
+          name: p.name,
+          isReady: p.isReady,
+          connected: p.connected !== false
+        })),
+        currentPlayers: room.currentPlayers,
+        maxPlayers: room.maxPlayers,
+        hostId: room.hostId,
+        isLocked: room.isLocked,
+        gameSettings: room.gameSettings,
+        chatHistory: room.chatHistory.slice(-50), // Last 50 messages
+        game: await this.gameController.getGameSnapshot(roomId),
+        ...(room.hill && { hill: this.getHillState(room) }),
+        ...(room.characterSelect && { characterSelect: this.getCharacterSelectState(room) })
+      });
+
+      socket.to(roomId).emit('opponent-reconnected', {
+        playerId,
+        playerName: player.name
+      });
+
+      logger.info(`Session resumed for ${playerId} in room ${roomId}`);
+
+    } catch (error) {
+      logger.error('Error resuming session:', error);
+      socket.emit('session-error', {
+        message: 'Failed to resume session',
+        code: 'RESUME_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Mark a room as finished once its game is over so a rematch can be offered
+   * @param {Object} gameState - Finished game state
+   */
+  async handleGameEnded(gameState) {
+    const room = this.activeRooms.get(gameState.roomId);
+    if (!room || room.status !== 'playing') {
+      return;
+    }
+
+    // Only a decided 1v1 game has a single loser
+    const playerIds = Object.values(gameState.players).filter(Boolean).map(player => player.id);
+    room.lastLoserId = gameState.winner && playerIds.length === 2
+      ? playerIds.find(id => id !== gameState.winner)
+      : null;
+
+    // King-of-the-hill rooms move straight on to the next challenger
+    if (room.hill) {
+      this.rotateHill(room, gameState);
+      room.status = 'waiting';
+      await this.saveRoomToDatabase(room);
+      this.scheduleNextHillGame(room);
+      this.broadcastRoomListUpdate();
+      return;
+    }
+
+    room.status = 'finished';
+    room.rematchRequests = new Set();
+
+    // Game states are copied on every move, so the updated series lives on the final state
+    if (gameState.series) {
+      room.series = gameState.series;
+    }
+
+    await this.saveRoomToDatabase(room);
+  }
+
+  /**
+   * Ask for a rematch after a finished game
+   * Also acts as acceptance when the opponent has already asked
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Rematch data {roomId}
+   */
+  async requestRematch(socket, data) {
+    await this.voteRematch(socket, data, false);
+  }
+
+  /**
+   * Accept the opponent's rematch request
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Rematch data {roomId}
+   */
+  async acceptRematch(socket, data) {
+    await this.voteRematch(socket, data, true);
+  }
+
+  /**
+   * Record a player's rematch vote and start the next game once every human agreed
+   * Bots always agree to a rematch
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Rematch data {roomId}
+   * @param {boolean} requireRequest - Only accept an existing request from another player
+   */
+  async voteRematch(socket, data, requireRequest) {
+    const { roomId } = data;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      const room = this.activeRooms.get(roomId);
+      const player = room?.players.get(playerId);
+      if (!player) {
+        socket.emit('room-error', {
+          message: 'You are not a player in this room',
+          code: 'NOT_IN_ROOM'
+        });
+        return;
+      }
+
+      if (room.status !== 'finished') {
+        socket.emit('room-error', {
+          message: 'A rematch can only be requested after the game has ended',
+          code: 'GAME_NOT_FINISHED'
+        });
+        return;
+      }
+
+      if (room.tournament) {
+        socket.emit('room-error', {
+          message: 'Tournament matches have no rematches',
+          code: 'TOURNAMENT_MATCH'
+        });
+        return;
+      }
+
+      if (room.currentPlayers < room.gameSettings.playerCount) {
+        socket.emit('room-error', {
+          message: 'An opponent has left the room',
+          code: 'OPPONENT_LEFT'
+        });
+        return;
+      }
+
+      room.rematchRequests = room.rematchRequests || new Set();
+      const hasRequest = Array.from(room.rematchRequests).some(id => id !== playerId);
+      if (requireRequest && !hasRequest) {
+        socket.emit('room-error', {
+          message: 'There is no rematch request to accept',
+          code: 'NO_REMATCH_REQUEST'
+        });
+        return;
+      }
+
+      room.rematchRequests.add(playerId);
+
+      const humans = Array.from(room.players.values()).filter(p => !p.isBot);
+      if (humans.every(p => room.rematchRequests.has(p.id))) {
+        room.status = 'waiting';
+        room.rematchRequests.clear();
+        await this.checkGameStart(room);
+        logger.info(`Rematch started in room ${roomId}`);
+        return;
+      }
+
+      this.io.to(roomId).emit('rematch-requested', {
+        playerId,
+        playerName: player.name
+      });
+
+    } catch (error) {
+      logger.error('Error handling rematch:', error);
+      socket.emit('room-error', {
+        message: 'Failed to start rematch',
+        code: 'REMATCH_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Mark a player as ready or not ready for the next game
+   * The start countdown begins once every player of the next game is ready
    * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Ready data {roomId, ready}
    */
-  async handleDisconnect(socket) {
+  async setReady(socket, data) {
+    const { roomId, ready } = data;
     const playerId = socket.playerId || socket.id;
-    const roomId = this.playerRooms.get(playerId);
 
-    if (roomId) {
-      await this.leaveRoom(socket, { roomId });
+    try {
+      const room = this.activeRooms.get(roomId);
+      const player = room?.players.get(playerId);
+      if (!player) {
+        socket.emit('room-error', {
+          message: 'You are not a player in this room',
+          code: 'NOT_IN_ROOM'
+        });
+        return;
+      }
+
+      if (room.status !== 'waiting') {
+        socket.emit('room-error', {
+          message: 'Ready status can only change while the room is waiting for a game',
+          code: 'ROOM_NOT_WAITING'
+        });
+        return;
+      }
+
+      player.isReady = ready;
+
+      this.io.to(roomId).emit('player-ready-changed', {
+        playerId,
+        playerName: player.name,
+        isReady: ready
+      });
+
+      if (!ready) {
+        if (this.startCountdowns.get(roomId)?.playerIds.includes(playerId)) {
+          this.cancelStartCountdown(room, 'player-unready');
+        }
+        return;
+      }
+
+      const players = this.getNextGamePlayers(room);
+      if (players.length === room.gameSettings.playerCount && players.every(p => p.isReady) &&
+          !this.startCountdowns.has(roomId)) {
+        this.startCountdown(room, players);
+      }
+
+    } catch (error) {
+      logger.error('Error setting ready status:', error);
+      socket.emit('room-error', {
+        message: 'Failed to set ready status',
+        code: 'SET_READY_ERROR'
+      });
     }
+  }
 
-    // Remove from spectators if applicable
-    for (const [id, room] of this.activeRooms.entries()) {
-      if (room.spectators.has(socket.id)) {
-        room.spectators.delete(socket.id);
-        break;
+  /**
+   * Count down to the next game once every player is ready
+   * @param {Object} room - Room object
+   * @param {Array} players - Players of the next game
+   */
+  startCountdown(room, players) {
+    const timer = setTimeout(async () => {
+      this.startCountdowns.delete(room.id);
+      if (this.activeRooms.get(room.id) !== room) {
+        return;
       }
+
+      try {
+        await this.checkGameStart(room);
+        this.broadcastRoomListUpdate();
+      } catch (error) {
+        logger.error('Error starting game after countdown:', error);
+      }
+    }, this.startCountdownDelay);
+
+    this.startCountdowns.set(room.id, { timer, playerIds: players.map(p => p.id) });
+
+    this.io.to(room.id).emit('game-countdown-started', {
+      roomId: room.id,
+      players: players.map(p => p.id),
+      startsIn: this.startCountdownDelay
+    });
+  }
+
+  /**
+   * Stop a room's start countdown and tell its clients why
+   * @param {Object} room - Room object
+   * @param {string} reason - Why the countdown was stopped
+   */
+  cancelStartCountdown(room, reason) {
+    this.clearStartCountdown(room.id);
+
+    this.io.to(room.id).emit('game-countdown-cancelled', {
+      roomId: room.id,
+      reason
+    });
+  }
+
+  /**
+   * Stop a room's start countdown
+   * @param {string} roomId - Room ID
+   */
+  clearStartCountdown(roomId) {
+    const countdown = this.startCountdowns.get(roomId);
+    if (countdown) {
+      clearTimeout(countdown.timer);
+      this.startCountdowns.delete(roomId);
     }
   }
 
+  /**
+   * Get the players of a room's next game
+   * In king-of-the-hill rooms the first two in the queue play while the rest wait their turn
+   * @param {Object} room - Room object
+   * @returns {Array} Players
+   */
+  getNextGamePlayers(room) {
+    return room.hill
+      ? room.hill.queue.slice(0, 2).map(id => room.players.get(id))
+      : Array.from(room.players.values());
+  }
+
   /**
    * Check if game can start
+   * Everyone has to be ready unless the room starts as soon as it is full (bots and
+   * matchmade players are always ready). The first move rotates between games in the
+   * same room; every game opens with a character pick
    * @param {Object} room - Room object
    */
   async checkGameStart(room) {
-    if (room.currentPlayers === 2 && room.status === 'waiting') {
-      room.status = 'playing';
-      
-      // Get GameController and start game
-      const GameController = require('./GameController');
-      const gameController = new GameController(this.io);
-      
-      const players = Array.from(room.players.values());
-      await gameController.startGame(room.id, players);
-      
-      await this.saveRoomToDatabase(room);
+    const players = this.getNextGamePlayers(room);
+
+    // A running countdown starts the game when it ends
+    if (this.startCountdowns.has(room.id)) {
+      return;
+    }
+
+    if (!room.gameSettings.autoStart && players.some(p => !p.isReady)) {
+      return;
+    }
+
+    if (players.length === room.gameSettings.playerCount && room.status === 'waiting') {
+      this.orderForFirstMove(room, players);
+      room.lastFirstPlayerId = players[0].id;
+
+      await this.startCharacterSelect(room, players);
+    }
+  }
+
+  /**
+   * Rotate the players of the next game so the one who moves first comes first
+   * Falls back to passing the first move around when the room's rule names nobody
+   * (a draw or a free-for-all under "loser", or a host who isn't playing under "creator")
+   * @param {Object} room - Room object
+   * @param {Array} players - Players of the next game (reordered in place)
+   */
+  orderForFirstMove(room, players) {
+    const { firstMove } = room.gameSettings;
+    const firstIds = {
+      creator: room.hostId,
+      random: players[Math.floor(Math.random() * players.length)].id,
+      loser: room.lastLoserId
+    };
+
+    const firstIndex = players.findIndex(p => p.id === firstIds[firstMove]);
+    if (firstIndex > 0) {
+      players.push(...players.splice(0, firstIndex));
+    } else if (firstIndex === -1 && room.lastFirstPlayerId === players[0].id) {
+      players.push(players.shift());
+    }
+  }
+
+  /**
+   * Open the character pick phase for the players of the next game
+   * Bots pick straight away; anyone still undecided when time runs out gets a character assigned
+   * @param {Object} room - Room object
+   * @param {Array} players - Players of the next game in turn order
+   */
+  async startCharacterSelect(room, players) {
+    room.status = 'selecting';
+    room.characterSelect = {
+      playerIds: players.map(p => p.id),
+      picks: {}, // {character, skin} by player ID
+      expiresAt: Date.now() + this.characterPickTimeout
+    };
+
+    const timer = setTimeout(() => {
+      this.characterSelectTimers.delete(room.id);
+      this.autoPickCharacters(room).catch(error => {
+        logger.error('Error auto-picking characters:', error);
+      });
+    }, this.characterPickTimeout);
+    this.characterSelectTimers.set(room.id, timer);
+
+    await this.saveRoomToDatabase(room);
+
+    this.io.to(room.id).emit('character-select-started', {
+      roomId: room.id,
+      characters: this.characterService.getCatalog(),
+      ...this.getCharacterSelectState(room)
+    });
+
+    for (const bot of players.filter(p => p.isBot)) {
+      const pick = this.characterService.pickCharacter(this.getUnavailableCharacters(room, bot.id));
+      await this.lockCharacter(room, bot.id, pick, true);
+    }
+  }
+
+  /**
+   * Lock in a player's character for the next game
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Pick data {roomId, characterId, skin}
+   */
+  async selectCharacter(socket, data) {
+    const { roomId, characterId, skin } = data;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      const room = this.activeRooms.get(roomId);
+      if (!room || room.status !== 'selecting') {
+        socket.emit('room-error', {
+          message: 'There is no character selection in progress',
+          code: 'NOT_SELECTING'
+        });
+        return;
+      }
+
+      const { playerIds, picks } = room.characterSelect;
+      if (!playerIds.includes(playerId)) {
+        socket.emit('room-error', {
+          message: 'You are not playing the next game',
+          code: 'NOT_IN_GAME'
+        });
+        return;
+      }
+
+      if (picks[playerId]) {
+        socket.emit('room-error', {
+          message: 'Your character is already locked in',
+          code: 'CHARACTER_LOCKED'
+        });
+        return;
+      }
+
+      const selection = this.characterService.validateSelection(characterId, skin);
+      if (!selection.valid) {
+        socket.emit('room-error', {
+          message: selection.message,
+          code: selection.reason
+        });
+        return;
+      }
+
+      if (this.getUnavailableCharacters(room, playerId).includes(characterId)) {
+        socket.emit('room-error', {
+          message: 'Another player has already picked this character',
+          code: 'CHARACTER_TAKEN'
+        });
+        return;
+      }
+
+      await this.lockCharacter(room, playerId, selection.pick, false);
+
+    } catch (error) {
+      logger.error('Error selecting character:', error);
+      socket.emit('room-error', {
+        message: 'Failed to select character',
+        code: 'SELECT_CHARACTER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Record a pick and start the game once everybody has locked in
+   * @param {Object} room - Room object
+   * @param {string} playerId - Player ID
+   * @param {Object} pick - {character, skin}
+   * @param {boolean} auto - Whether the pick was made for the player
+   */
+  async lockCharacter(room, playerId, pick, auto) {
+    const select = room.characterSelect;
+    select.picks[playerId] = pick;
+
+    this.io.to(room.id).emit('character-locked', {
+      roomId: room.id,
+      playerId,
+      characterId: pick.character,
+      skin: pick.skin,
+      auto
+    });
+
+    if (select.playerIds.every(id => select.picks[id])) {
+      await this.finishCharacterSelect(room);
+    }
+  }
+
+  /**
+   * Assign characters to everyone who didn't pick in time
+   * Players keep their pick from the previous game in the room when they can
+   * @param {Object} room - Room object
+   */
+  async autoPickCharacters(room) {
+    if (room.status !== 'selecting') {
+      return;
+    }
+
+    const { playerIds, picks } = room.characterSelect;
+    for (const playerId of playerIds.filter(id => !picks[id])) {
+      const pick = this.characterService.pickCharacter(
+        this.getUnavailableCharacters(room, playerId),
+        room.lastPicks?.[playerId]
+      );
+      await this.lockCharacter(room, playerId, pick, true);
+    }
+  }
+
+  /**
+   * Close the pick phase and start the game with the chosen characters
+   * @param {Object} room - Room object
+   */
+  async finishCharacterSelect(room) {
+    this.clearCharacterSelectTimer(room.id);
+
+    const { playerIds, picks } = room.characterSelect;
+    const players = playerIds.map(id => ({ ...room.players.get(id), ...picks[id] }));
+
+    room.characterSelect = null;
+    room.lastPicks = { ...room.lastPicks, ...picks };
+    room.status = 'playing';
+
+    // A new series starts with the room's first game and after each decided series
+    const bestOf = room.gameSettings.bestOf;
+    if (!room.hill && bestOf > 1 && (!room.series || room.series.winner)) {
+      room.series = this.gameController.gameService.createSeries(bestOf, players);
+    }
+
+    await this.gameController.startGame(room.id, players, room.gameSettings, room.series || null);
+
+    await this.saveRoomToDatabase(room);
+
+    if (room.hill) {
+      this.broadcastHillUpdate(room);
+    }
+  }
+
+  /**
+   * Abort a pick phase and reopen the room
+   * @param {Object} room - Room object
+   * @param {string} reason - Why the pick phase ended (e.g. player-left)
+   */
+  cancelCharacterSelect(room, reason) {
+    this.clearCharacterSelectTimer(room.id);
+    room.characterSelect = null;
+    room.status = 'waiting';
+
+    this.io.to(room.id).emit('character-select-cancelled', {
+      roomId: room.id,
+      reason
+    });
+  }
+
+  /**
+   * Stop the pick phase deadline of a room
+   * @param {string} roomId - Room ID
+   */
+  clearCharacterSelectTimer(roomId) {
+    const timer = this.characterSelectTimers.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      this.characterSelectTimers.delete(roomId);
+    }
+  }
+
+  /**
+   * Get the characters a player can't pick because of the mirror-pick ban
+   * @param {Object} room - Room object
+   * @param {string} playerId - Player ID
+   * @returns {Array<string>} Character IDs taken by other players
+   */
+  getUnavailableCharacters(room, playerId) {
+    if (!room.gameSettings.banMirrorPicks) {
+      return [];
+    }
+
+    return Object.entries(room.characterSelect.picks)
+      .filter(([id]) => id !== playerId)
+      .map(([, pick]) => pick.character);
+  }
+
+  /**
+   * Describe a pick phase for clients
+   * @param {Object} room - Room object
+   * @returns {Object} {players, banMirrorPicks, expiresIn}
+   */
+  getCharacterSelectState(room) {
+    const { playerIds, picks, expiresAt } = room.characterSelect;
+
+    return {
+      players: playerIds.map(id => ({
+        id,
+        name: room.players.get(id)?.name,
+        locked: Boolean(picks[id]),
+        characterId: picks[id]?.character || null,
+        skin: picks[id]?.skin || null
+      })),
+      banMirrorPicks: room.gameSettings.banMirrorPicks,
+      expiresIn: Math.max(0, expiresAt - Date.now())
+    };
+  }
+
+  /**
+   * Create the challenger queue of a king-of-the-hill room (rooms for more than two)
+   * The first member in the queue holds the hill and the second challenges
+   * @param {Array<string>} memberIds - Members in arrival order
+   * @returns {Object} Hill state {queue, wins, streak}
+   */
+  createHill(memberIds = []) {
+    return {
+      queue: [...memberIds],
+      wins: {}, // Wins by player ID for the room's session
+      streak: 0 // Consecutive wins of the player holding the hill
+    };
+  }
+
+  /**
+   * Move the queue on after a game: the winner stays and the loser goes to the back
+   * The holder keeps the hill on a draw
+   * @param {Object} room - Room object
+   * @param {Object} gameState - Finished game state
+   */
+  rotateHill(room, gameState) {
+    const { hill } = room;
+    const playedIds = Object.values(gameState.players).filter(Boolean).map(player => player.id);
+    const holderId = playedIds.includes(hill.queue[0]) ? hill.queue[0] : playedIds[0];
+    const stayerId = gameState.winner || holderId;
+    const loserId = playedIds.find(id => id !== stayerId);
+
+    if (gameState.winner) {
+      hill.wins[gameState.winner] = (hill.wins[gameState.winner] || 0) + 1;
+      hill.streak = gameState.winner === holderId ? hill.streak + 1 : 1;
+    }
+
+    // Members who left during the game are already out of the queue
+    hill.queue = [
+      ...(room.players.has(stayerId) ? [stayerId] : []),
+      ...hill.queue.filter(id => !playedIds.includes(id)),
+      ...(room.players.has(loserId) ? [loserId] : [])
+    ];
+  }
+
+  /**
+   * Start the next king-of-the-hill game after a short pause
+   * @param {Object} room - Room object
+   */
+  scheduleNextHillGame(room) {
+    this.cancelNextHillGame(room.id);
+
+    const timer = setTimeout(async () => {
+      this.nextGameTimers.delete(room.id);
+      if (this.activeRooms.get(room.id) !== room) {
+        return;
+      }
+
+      try {
+        await this.checkGameStart(room);
+        this.broadcastRoomListUpdate();
+      } catch (error) {
+        logger.error('Error starting next king-of-the-hill game:', error);
+      }
+    }, this.hillNextGameDelay);
+
+    this.nextGameTimers.set(room.id, timer);
+    this.broadcastHillUpdate(room, this.hillNextGameDelay);
+  }
+
+  /**
+   * Cancel a pending king-of-the-hill game
+   * @param {string} roomId - Room ID
+   */
+  cancelNextHillGame(roomId) {
+    const timer = this.nextGameTimers.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      this.nextGameTimers.delete(roomId);
     }
   }
 
+  /**
+   * Describe a king-of-the-hill room's queue and win tallies for clients
+   * @param {Object} room - Room object
+   * @returns {Object} {holder, challenger, queue, streak}
+   */
+  getHillState(room) {
+    const { queue, wins, streak } = room.hill;
+    const describe = (id, index) => ({
+      id,
+      name: room.players.get(id)?.name,
+      wins: wins[id] || 0,
+      position: index + 1
+    });
+
+    return {
+      holder: queue.length > 0 ? describe(queue[0], 0) : null,
+      challenger: queue.length > 1 ? describe(queue[1], 1) : null,
+      queue: queue.map(describe),
+      streak
+    };
+  }
+
+  /**
+   * Send the queue order and win tallies to everyone in a king-of-the-hill room
+   * @param {Object} room - Room object
+   * @param {number} nextGameIn - Milliseconds until the next game starts (optional)
+   */
+  broadcastHillUpdate(room, nextGameIn = null) {
+    this.io.to(room.id).emit('hill-update', {
+      roomId: room.id,
+      ...this.getHillState(room),
+      ...(nextGameIn !== null && { nextGameIn })
+    });
+  }
+
   /**
    * Broadcast room list update to all clients
    */
   broadcastRoomListUpdate() {
-    const rooms = Array.from(this.activeRooms.values())
-      .filter(room => !room.isPrivate && room.status === 'waiting')
+    this.io.emit('room-list-update', { rooms: this.getOpenRooms() });
+  }
+
+  /**
+   * List the public rooms that are open to new players, with the games they will play
+   * @returns {Array} Room list entries
+   */
+  getOpenRooms() {
+    return Array.from(this.activeRooms.values())
+      .filter(room => !room.isPrivate && !room.isLocked && room.status === 'waiting')
       .map(room => ({
         id: room.id,
         name: room.name,
         currentPlayers: room.currentPlayers,
         maxPlayers: room.maxPlayers,
         status: room.status,
+        allowSpectators: room.allowSpectators,
+        gameSettings: room.gameSettings,
         createdAt: room.createdAt
       }));
-
-    this.io.emit('room-list-update', { rooms });
   }
 
   /**
@@ -498,6 +2012,9 @@ class RoomController {
 
     for (const [roomId, room] of this.activeRooms.entries()) {
       if (room.currentPlayers === 0 && (now - room.createdAt) > maxEmptyTime) {
+        this.cancelNextHillGame(roomId);
+        this.clearCharacterSelectTimer(roomId);
+        this.clearStartCountdown(roomId);
         this.activeRooms.delete(roomId);
         this.deleteRoomFromDatabase(roomId);
         logger.info(`Cleaned up empty room: ${roomId}`);
@@ -505,15 +2022,41 @@ class RoomController {
     }
   }
 
+  /**
+   * Get room statistics
+   * @returns {Object} Room statistics
+   */
+  getStats() {
+    const roomsByStatus = { waiting: 0, selecting: 0, playing: 0, finished: 0 };
+    let spectators = 0;
+
+    for (const room of this.activeRooms.values()) {
+      roomsByStatus[room.status] = (roomsByStatus[room.status] || 0) + 1;
+      spectators += room.spectators.size;
+    }
+
+    return {
+      activeRooms: this.activeRooms.size,
+      roomsByStatus,
+      playersInRooms: this.playerRooms.size,
+      spectators
+    };
+  }
+
   // Database operations
   async saveRoomToDatabase(room) {
     try {
       const db = getDatabase();
       await db.run(`
-        INSERT OR REPLACE INTO rooms (
+        INSERT INTO rooms (
           id, name, is_private, password, max_players, current_players, 
-          status, created_by, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          status, allow_spectators, game_settings, created_by, host_id, is_locked, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name, is_private = excluded.is_private, password = excluded.password,
+          max_players = excluded.max_players, current_players = excluded.current_players,
+          status = excluded.status, allow_spectators = excluded.allow_spectators,
+          game_settings = excluded.game_settings, host_id = excluded.host_id, is_locked = excluded.is_locked
       `, [
         room.id,
         room.name,
@@ -522,7 +2065,11 @@ class RoomController {
         room.maxPlayers,
         room.currentPlayers,
         room.status,
+        room.allowSpectators !== false,
+        JSON.stringify(room.gameSettings),
         room.createdBy,
+        room.hostId,
+        Boolean(room.isLocked),
         new Date(room.createdAt).toISOString()
       ]);
     } catch (error) {
@@ -539,6 +2086,14 @@ class RoomController {
         return null;
       }
 
+      const gameSettings = this.gameController.gameService.normalizeSettings(JSON.parse(roomData.game_settings || '{}'));
+
+      // A series carries on from the room's latest game
+      const lastGame = await db.get(
+        'SELECT series FROM games WHERE room_id = ? ORDER BY created_at DESC LIMIT 1',
+        [roomId]
+      );
+
       return {
         id: roomData.id,
         name: roomData.name,
@@ -546,12 +2101,18 @@ class RoomController {
         password: roomData.password,
         maxPlayers: roomData.max_players,
         currentPlayers: 0, // Will be updated when players reconnect
-        status: roomData.status,
+        status: roomData.status === 'selecting' ? 'waiting' : roomData.status, // Picks are not persisted
+        allowSpectators: roomData.allow_spectators !== 0,
         createdBy: roomData.created_by,
+        hostId: roomData.host_id || roomData.created_by,
+        isLocked: Boolean(roomData.is_locked),
         createdAt: new Date(roomData.created_at).getTime(),
+        gameSettings,
         players: new Map(),
         spectators: new Map(),
-        chatHistory: []
+        chatHistory: [],
+        ...(lastGame?.series && { series: JSON.parse(lastGame.series) }),
+        ...(roomData.max_players > gameSettings.playerCount && { hill: this.createHill() })
       };
     } catch (error) {
       logger.error('Error loading room from database:', error);
@@ -559,6 +2120,18 @@ class RoomController {
     }
   }
 
+  async ensureBotPlayerInDatabase(bot, level) {
+    try {
+      const db = getDatabase();
+      await db.run(`
+        INSERT OR IGNORE INTO players (id, name, rating)
+        VALUES (?, ?, ?)
+      `, [bot.id, bot.name, level.rating]);
+    } catch (error) {
+      logger.error('Error saving bot player to database:', error);
+    }
+  }
+
   async deleteRoomFromDatabase(roomId) {
     try {
       const db = getDatabase();
@@ -0,0 +1,654 @@
+/**
+ * Tournament Controller
+ * Runs tournaments over sockets: registration, a match room for each pairing of a round,
+ * results from finished games and live standings
+ */
+
+const logger = require('../utils/logger');
+
+class TournamentController {
+  constructor(io, roomController, tournamentService) {
+    this.io = io;
+    this.roomController = roomController;
+    this.gameController = roomController.gameController;
+    this.gameService = this.gameController.gameService;
+    this.tournamentService = tournamentService;
+    this.runningTournaments = new Set(); // IDs of running tournaments this server is driving
+    this.roundTimers = new Map(); // Pending next rounds by tournament ID
+    this.roundDelay = parseInt(process.env.TOURNAMENT_ROUND_DELAY_MS, 10) || 10000; // Pause to show a round's results
+    this.matchStartTimers = new Map(); // No-show deadlines by match ID
+    this.matchStartTimeout = 60000; // Time for a match's game to get going before it is awarded
+
+    // RoomController subscribed first, so a match room is already marked finished when a game ends
+    this.gameController.on('game-started', (gameState) => this.handleGameStarted(gameState));
+    this.gameController.on('game-ended', (gameState) => this.handleGameEnded(gameState));
+
+    logger.info('TournamentController initialized');
+  }
+
+  /**
+   * Create a tournament open for registration
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - Tournament data {name, format, maxPlayers, rounds, gameSettings}
+   */
+  async createTournament(socket, data) {
+    const { name, format, maxPlayers, rounds, gameSettings = {} } = data;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      let settings;
+      try {
+        // Each match is a single rated game; drawn knockout games are replayed instead
+        settings = this.gameService.normalizeSettings({ ...gameSettings, bestOf: 1, ranked: true });
+        if (settings.playerCount > 2) {
+          throw new Error('Tournament matches are 1v1 games');
+        }
+      } catch (error) {
+        socket.emit('tournament-error', {
+          message: error.message,
+          code: 'INVALID_SETTINGS'
+        });
+        return;
+      }
+
+      const tournament = this.tournamentService.createTournament({
+        name,
+        format,
+        maxPlayers,
+        rounds,
+        gameSettings: settings,
+        createdBy: playerId
+      });
+      await this.tournamentService.saveTournament(tournament);
+
+      socket.join(this.getChannel(tournament.id));
+      socket.emit('tournament-created', {
+        tournament: this.tournamentService.formatTournament(tournament)
+      });
+
+      logger.gameEvent('tournament_created', { tournamentId: tournament.id, format, createdBy: playerId });
+
+    } catch (error) {
+      if (error.code) {
+        socket.emit('tournament-error', { message: error.message, code: error.code });
+        return;
+      }
+
+      logger.error('Error creating tournament:', error);
+      socket.emit('tournament-error', {
+        message: 'Failed to create tournament',
+        code: 'CREATE_TOURNAMENT_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Sign up for a tournament that hasn't started
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - {tournamentId}
+   */
+  async registerPlayer(socket, data) {
+    const { tournamentId } = data;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      const tournament = await this.getTournament(tournamentId);
+      if (!this.checkRegistration(socket, tournament)) {
+        return;
+      }
+
+      if (tournament.players.has(playerId)) {
+        socket.emit('tournament-error', {
+          message: 'You are already registered',
+          code: 'ALREADY_REGISTERED'
+        });
+        return;
+      }
+
+      if (tournament.players.size >= tournament.maxPlayers) {
+        socket.emit('tournament-error', {
+          message: 'Tournament is full',
+          code: 'TOURNAMENT_FULL'
+        });
+        return;
+      }
+
+      tournament.players.set(playerId, {
+        id: playerId,
+        name: socket.playerName || `Player_${socket.id.substring(0, 6)}`,
+        rating: null, // Taken when the tournament starts, for seeding
+        seed: null,
+        registeredAt: Date.now()
+      });
+      await this.tournamentService.saveTournament(tournament);
+
+      socket.join(this.getChannel(tournamentId));
+      socket.emit('tournament-registered', { tournamentId });
+      this.broadcastUpdate(tournament);
+
+      logger.gameEvent('tournament_registered', { tournamentId, playerId });
+
+    } catch (error) {
+      logger.error('Error registering for tournament:', error);
+      socket.emit('tournament-error', {
+        message: 'Failed to register for tournament',
+        code: 'REGISTER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Withdraw from a tournament that hasn't started
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - {tournamentId}
+   */
+  async unregisterPlayer(socket, data) {
+    const { tournamentId } = data;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      const tournament = await this.getTournament(tournamentId);
+      if (!this.checkRegistration(socket, tournament)) {
+        return;
+      }
+
+      if (!tournament.players.delete(playerId)) {
+        socket.emit('tournament-error', {
+          message: 'You are not registered',
+          code: 'NOT_REGISTERED'
+        });
+        return;
+      }
+      await this.tournamentService.saveTournament(tournament);
+
+      socket.emit('tournament-unregistered', { tournamentId });
+      this.broadcastUpdate(tournament);
+
+      logger.gameEvent('tournament_unregistered', { tournamentId, playerId });
+
+    } catch (error) {
+      logger.error('Error withdrawing from tournament:', error);
+      socket.emit('tournament-error', {
+        message: 'Failed to withdraw from tournament',
+        code: 'UNREGISTER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Close registration, seed the field and play the first round
+   * Only the organizer can start a tournament
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - {tournamentId}
+   */
+  async startTournament(socket, data) {
+    const { tournamentId } = data;
+    const playerId = socket.playerId || socket.id;
+
+    try {
+      const tournament = await this.getTournament(tournamentId);
+      if (!this.checkRegistration(socket, tournament)) {
+        return;
+      }
+
+      if (tournament.createdBy !== playerId) {
+        socket.emit('tournament-error', {
+          message: 'Only the organizer can start the tournament',
+          code: 'NOT_ORGANIZER'
+        });
+        return;
+      }
+
+      if (tournament.players.size < this.tournamentService.MIN_PLAYERS) {
+        socket.emit('tournament-error', {
+          message: `A tournament needs at least ${this.tournamentService.MIN_PLAYERS} players`,
+          code: 'NOT_ENOUGH_PLAYERS'
+        });
+        return;
+      }
+
+      await this.tournamentService.startTournament(tournament);
+      this.runningTournaments.add(tournamentId);
+
+      this.io.to(this.getChannel(tournamentId)).emit('tournament-started', {
+        tournamentId,
+        totalRounds: tournament.totalRounds,
+        players: this.tournamentService.formatTournament(tournament).players
+      });
+
+      logger.gameEvent('tournament_started', { tournamentId, players: tournament.players.size });
+
+      await this.startRound(tournament);
+
+    } catch (error) {
+      logger.error('Error starting tournament:', error);
+      socket.emit('tournament-error', {
+        message: 'Failed to start tournament',
+        code: 'START_TOURNAMENT_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Follow a tournament's live updates and get its current state
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} data - {tournamentId}
+   */
+  async watchTournament(socket, data) {
+    const { tournamentId } = data;
+
+    try {
+      const tournament = await this.getTournament(tournamentId);
+      if (!this.checkTournament(socket, tournament)) {
+        return;
+      }
+
+      socket.join(this.getChannel(tournamentId));
+      socket.emit('tournament-state', {
+        tournament: this.tournamentService.formatTournament(tournament)
+      });
+
+    } catch (error) {
+      logger.error('Error watching tournament:', error);
+      socket.emit('tournament-error', {
+        message: 'Failed to watch tournament',
+        code: 'WATCH_TOURNAMENT_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Get a tournament, carrying on with its round when a running one is picked back up
+   * from the database (after a restart)
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object|null>} Tournament
+   */
+  async getTournament(tournamentId) {
+    const tournament = await this.tournamentService.getTournament(tournamentId);
+
+    if (tournament?.status === 'running' && !this.runningTournaments.has(tournamentId)) {
+      this.runningTournaments.add(tournamentId);
+      await this.startRound(tournament);
+    }
+
+    return tournament;
+  }
+
+  /**
+   * Check that a tournament exists, reporting it if not
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} tournament - Tournament (optional)
+   * @returns {boolean} Whether the tournament exists
+   */
+  checkTournament(socket, tournament) {
+    if (!tournament) {
+      socket.emit('tournament-error', {
+        message: 'Tournament not found',
+        code: 'TOURNAMENT_NOT_FOUND'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check that a tournament exists and is still taking registrations, reporting it if not
+   * @param {Object} socket - Socket.io socket object
+   * @param {Object} tournament - Tournament (optional)
+   * @returns {boolean} Whether registration is open
+   */
+  checkRegistration(socket, tournament) {
+    if (!this.checkTournament(socket, tournament)) {
+      return false;
+    }
+
+    if (tournament.status !== 'registration') {
+      socket.emit('tournament-error', {
+        message: 'Registration is closed',
+        code: 'REGISTRATION_CLOSED'
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Open a match room for every unsettled pairing of the current round
+   * Matches whose room is still live are left alone, so a round can be picked back up
+   * @param {Object} tournament - Tournament
+   */
+  async startRound(tournament) {
+    const round = tournament.currentRound;
+    const matches = this.tournamentService.getRoundMatches(tournament, round);
+
+    for (const match of matches) {
+      const isLive = match.status === 'playing' && this.roomController.activeRooms.has(match.roomId);
+      if (match.status !== 'finished' && !isLive) {
+        try {
+          await this.startMatch(tournament, match);
+        } catch (error) {
+          // Settle a match that can't be opened like a no-show, so the round can still finish
+          logger.error(`Error opening tournament match ${match.id}:`, error);
+          match.roomId = null;
+          this.awardWalkover(tournament, match, []);
+        }
+      }
+    }
+
+    await this.tournamentService.saveTournament(tournament);
+
+    this.io.to(this.getChannel(tournament.id)).emit('tournament-round-started', {
+      tournamentId: tournament.id,
+      round,
+      matches: matches.map(match => this.tournamentService.formatMatch(tournament, match))
+    });
+    this.broadcastUpdate(tournament);
+
+    // Byes and walkovers can settle a round on the spot
+    await this.checkRoundComplete(tournament);
+  }
+
+  /**
+   * Put the two players of a match in a room of their own
+   * A player who isn't connected loses by walkover
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Match
+   */
+  async startMatch(tournament, match) {
+    const playerIds = [match.player1Id, match.player2Id];
+    const sockets = playerIds.map(id => this.findPlayerSocket(id));
+
+    if (sockets.some(socket => !socket)) {
+      this.awardWalkover(tournament, match, playerIds.filter((id, index) => sockets[index]));
+      return;
+    }
+
+    match.status = 'playing';
+    match.startedAt = Date.now();
+
+    const entries = playerIds.map((id, index) => {
+      const player = tournament.players.get(id);
+      return {
+        playerId: id,
+        playerName: player.name,
+        socketId: sockets[index].id,
+        rating: player.rating,
+        joinedAt: match.startedAt
+      };
+    });
+
+    const room = await this.roomController.createMatchRoom(entries, tournament.gameSettings, {
+      id: tournament.id,
+      name: tournament.name,
+      matchId: match.id,
+      round: match.round
+    });
+    match.roomId = room.id;
+
+    this.scheduleMatchStartDeadline(tournament, match);
+  }
+
+  /**
+   * Settle a match that never got a room
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Match
+   * @param {Array<string>} present - IDs of the players who turned up
+   */
+  awardWalkover(tournament, match, present) {
+    this.tournamentService.recordResult(tournament, match, this.getWalkoverWinner(tournament, match, present), 'walkover');
+    this.io.to(this.getChannel(tournament.id)).emit('tournament-match-ended', {
+      tournamentId: tournament.id,
+      match: this.tournamentService.formatMatch(tournament, match)
+    });
+  }
+
+  /**
+   * Pick who goes through when a match can't be played
+   * The one player who turned up wins; otherwise a knockout goes to the better seed and
+   * any other format scores it as a loss for both
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Match
+   * @param {Array<string>} present - IDs of the players who turned up
+   * @returns {string|null} Winner ID
+   */
+  getWalkoverWinner(tournament, match, present) {
+    if (present.length === 1) {
+      return present[0];
+    }
+
+    return tournament.format === 'single-elimination'
+      ? this.tournamentService.getBetterSeed(tournament, match)
+      : null;
+  }
+
+  /**
+   * Find the connected socket of a player, the newest one if there are several
+   * @param {string} playerId - Player ID
+   * @returns {Object|null} Socket.io socket object
+   */
+  findPlayerSocket(playerId) {
+    let found = null;
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.playerId === playerId) {
+        found = socket;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Award a match by walkover if its game hasn't started in time, e.g. because a player
+   * left the room during the countdown or the character pick
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Match
+   */
+  scheduleMatchStartDeadline(tournament, match) {
+    this.clearMatchStartDeadline(match.id);
+
+    const timer = setTimeout(() => {
+      this.matchStartTimers.delete(match.id);
+      this.handleMatchNoShow(tournament, match).catch(error => {
+        logger.error('Error awarding tournament match:', error);
+      });
+    }, this.matchStartTimeout);
+
+    this.matchStartTimers.set(match.id, timer);
+  }
+
+  /**
+   * Stop the no-show deadline of a match
+   * @param {string} matchId - Match ID
+   */
+  clearMatchStartDeadline(matchId) {
+    const timer = this.matchStartTimers.get(matchId);
+    if (timer) {
+      clearTimeout(timer);
+      this.matchStartTimers.delete(matchId);
+    }
+  }
+
+  /**
+   * Settle a match whose game never got going
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Match
+   */
+  async handleMatchNoShow(tournament, match) {
+    const room = this.roomController.activeRooms.get(match.roomId);
+    if (match.status !== 'playing' || room?.status === 'playing') {
+      return;
+    }
+
+    const present = [match.player1Id, match.player2Id].filter(id => room?.players.has(id));
+
+    if (room) {
+      // Nothing may start in the room once the match is decided
+      if (room.status === 'selecting') {
+        this.roomController.cancelCharacterSelect(room, 'tournament-walkover');
+      }
+      this.roomController.clearStartCountdown(room.id);
+      room.status = 'finished';
+    }
+
+    this.tournamentService.recordResult(tournament, match, this.getWalkoverWinner(tournament, match, present), 'walkover');
+    await this.handleMatchSettled(tournament, match);
+  }
+
+  /**
+   * Stop the no-show deadline once a match's game is on
+   * @param {Object} gameState - Game state
+   */
+  handleGameStarted(gameState) {
+    const room = this.roomController.activeRooms.get(gameState.roomId);
+    if (room?.tournament) {
+      this.clearMatchStartDeadline(room.tournament.matchId);
+    }
+  }
+
+  /**
+   * Record the result of a finished tournament game
+   * A drawn knockout game is replayed in the same room
+   * @param {Object} gameState - Finished game state
+   */
+  async handleGameEnded(gameState) {
+    const room = this.roomController.activeRooms.get(gameState.roomId);
+    if (!room?.tournament) {
+      return;
+    }
+
+    try {
+      const tournament = await this.tournamentService.getTournament(room.tournament.id);
+      const match = tournament?.matches.find(m => m.id === room.tournament.matchId);
+      if (!match || match.status !== 'playing') {
+        return;
+      }
+
+      if (this.tournamentService.applyGameResult(tournament, match, gameState)) {
+        await this.handleMatchSettled(tournament, match);
+        return;
+      }
+
+      await this.tournamentService.saveTournament(tournament);
+
+      this.io.to(room.id).emit('tournament-game-replayed', {
+        tournamentId: tournament.id,
+        matchId: match.id,
+        gamesPlayed: match.gamesPlayed,
+        replaysLeft: this.tournamentService.ELIMINATION_REPLAYS - match.gamesPlayed
+      });
+
+      room.status = 'waiting';
+      this.scheduleMatchStartDeadline(tournament, match);
+      await this.roomController.checkGameStart(room);
+
+    } catch (error) {
+      logger.error('Error recording tournament game:', error);
+    }
+  }
+
+  /**
+   * Announce a settled match and move the tournament on if it finished the round
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Settled match
+   */
+  async handleMatchSettled(tournament, match) {
+    this.clearMatchStartDeadline(match.id);
+
+    this.io.to(this.getChannel(tournament.id)).emit('tournament-match-ended', {
+      tournamentId: tournament.id,
+      match: this.tournamentService.formatMatch(tournament, match)
+    });
+    this.broadcastUpdate(tournament);
+
+    await this.tournamentService.saveTournament(tournament);
+
+    logger.gameEvent('tournament_match_ended', {
+      tournamentId: tournament.id,
+      matchId: match.id,
+      winner: match.winnerId,
+      result: match.result
+    });
+
+    await this.checkRoundComplete(tournament);
+  }
+
+  /**
+   * Finish the tournament after its last round, or schedule the next round
+   * @param {Object} tournament - Tournament
+   */
+  async checkRoundComplete(tournament) {
+    if (tournament.status !== 'running' || this.roundTimers.has(tournament.id) ||
+      !this.tournamentService.isRoundComplete(tournament)) {
+      return;
+    }
+
+    if (tournament.currentRound >= tournament.totalRounds) {
+      await this.finishTournament(tournament);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.roundTimers.delete(tournament.id);
+      this.startNextRound(tournament).catch(error => {
+        logger.error('Error starting tournament round:', error);
+      });
+    }, this.roundDelay);
+    this.roundTimers.set(tournament.id, timer);
+
+    this.io.to(this.getChannel(tournament.id)).emit('tournament-round-ended', {
+      tournamentId: tournament.id,
+      round: tournament.currentRound,
+      nextRoundIn: this.roundDelay,
+      standings: this.tournamentService.getStandings(tournament)
+    });
+  }
+
+  /**
+   * Pair and play the next round
+   * @param {Object} tournament - Tournament
+   */
+  async startNextRound(tournament) {
+    this.tournamentService.advanceRound(tournament);
+    await this.startRound(tournament);
+  }
+
+  /**
+   * Close the tournament and announce the winner
+   * @param {Object} tournament - Tournament
+   */
+  async finishTournament(tournament) {
+    const winner = this.tournamentService.finishTournament(tournament);
+    this.runningTournaments.delete(tournament.id);
+    await this.tournamentService.saveTournament(tournament);
+
+    this.io.to(this.getChannel(tournament.id)).emit('tournament-ended', {
+      tournamentId: tournament.id,
+      winner,
+      standings: this.tournamentService.getStandings(tournament)
+    });
+    this.broadcastUpdate(tournament);
+
+    logger.gameEvent('tournament_ended', { tournamentId: tournament.id, winner: winner.id });
+  }
+
+  /**
+   * Push a tournament's full state to everyone following it
+   * @param {Object} tournament - Tournament
+   */
+  broadcastUpdate(tournament) {
+    this.io.to(this.getChannel(tournament.id)).emit('tournament-updated', {
+      tournament: this.tournamentService.formatTournament(tournament)
+    });
+  }
+
+  /**
+   * Get the Socket.io room that follows a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @returns {string} Channel name
+   */
+  getChannel(tournamentId) {
+    return `tournament:${tournamentId}`;
+  }
+}
+
+module.exports = TournamentController;
@@ -0,0 +1,98 @@
+/**
+ * Authentication middleware for Socket.io handshakes and REST requests
+ * Verifies signed auth tokens issued by AuthService
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Read a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Socket.io handshake middleware
+ * Clients send `auth: { token }`; connections without a token get a new, unsaved guest player
+ * @param {AuthService} authService - Auth service
+ * @returns {Function} Socket.io middleware
+ */
+function socketAuth(authService) {
+  return async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token;
+      let player;
+
+      if (token) {
+        player = await authService.authenticate(token);
+
+        if (!player) {
+          logger.security('Rejected socket with invalid auth token', {
+            socketId: socket.id,
+            address: socket.handshake.address
+          });
+          const error = new Error('Authentication failed');
+          error.data = { code: 'INVALID_TOKEN' };
+          return next(error);
+        }
+
+        await authService.touchPlayer(player.id);
+      } else {
+        // The player row is written on the first event that needs one
+        const guest = authService.issueGuest();
+        player = guest.player;
+        socket.authToken = guest.token; // Sent to the client so it can reconnect as the same guest
+      }
+
+      socket.playerId = player.id;
+      socket.playerName = player.name;
+      socket.isGuest = player.isGuest;
+      next();
+    } catch (error) {
+      logger.error('Socket authentication error:', error);
+      next(new Error('Authentication unavailable'));
+    }
+  };
+}
+
+/**
+ * Express middleware that authenticates the request from its bearer token
+ * Sets req.player
+ * @param {AuthService} authService - Auth service
+ * @param {Object} options - {optional} lets requests without a token through
+ * @returns {Function} Express middleware
+ */
+function httpAuth(authService, { optional = false } = {}) {
+  return async (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (!token && optional) {
+      return next();
+    }
+
+    try {
+      const player = token && await authService.authenticate(token);
+      if (!player) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          code: 'UNAUTHORIZED'
+        });
+      }
+
+      req.player = player;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  socketAuth,
+  httpAuth
+};
@@ -13,12 +13,35 @@ class SocketRateLimiter {
     // Define rate limits for different event types (events per minute)
     this.limits = {
       'make-move': 30,        // 30 moves per minute (0.5 per second)
+      'use-ability': 10,      // 10 abilities per minute
       'chat-message': 20,     // 20 messages per minute
       'join-room': 10,        // 10 room joins per minute
       'create-room': 5,       // 5 room creations per minute
+      'create-bot-game': 5,   // 5 bot games per minute
       'leave-room': 10,       // 10 room leaves per minute
+      'find-match': 10,       // 10 queue joins per minute
+      'cancel-match': 10,     // 10 queue cancels per minute
       'spectate-game': 10,    // 10 spectate requests per minute
+      'request-rematch': 10,  // 10 rematch requests per minute
+      'accept-rematch': 10,   // 10 rematch accepts per minute
+      'request-takeback': 10, // 10 takeback requests per minute
+      'select-character': 20, // 20 character picks per minute
+      'set-ready': 20,        // 20 ready toggles per minute
+      'kick-player': 10,      // 10 kicks per minute
+      'transfer-host': 10,    // 10 host transfers per minute
+      'lock-room': 10,        // 10 lock toggles per minute
+      'update-room': 10,      // 10 room updates per minute
+      'create-tournament': 5, // 5 tournament creations per minute
+      'register-tournament': 10, // 10 registrations per minute
+      'unregister-tournament': 10, // 10 withdrawals per minute
+      'start-tournament': 5,  // 5 tournament starts per minute
+      'watch-tournament': 30, // 30 tournament views per minute
+      'replay-start': 10,     // 10 replays per minute
+      'replay-step': 120,     // 120 replay steps per minute (scrubbing)
+      'replay-seek': 120,     // 120 replay seeks per minute (scrubbing)
+      'resume-session': 10,   // 10 session resumes per minute
       'get-room-list': 30,    // 30 room list requests per minute
+      'get-live-games': 30,   // 30 live game list requests per minute
       'default': 60           // Default limit for unlisted events
     };
 
@@ -28,6 +51,12 @@ class SocketRateLimiter {
       'chat-message': 5,      // Max 5 messages in 10 seconds
       'join-room': 3,         // Max 3 room joins in 10 seconds
       'create-room': 2,       // Max 2 room creations in 10 seconds
+      'create-bot-game': 2,   // Max 2 bot games in 10 seconds
+      'find-match': 3,        // Max 3 queue joins in 10 seconds
+      'resume-session': 3,    // Max 3 session resumes in 10 seconds
+      'request-takeback': 3,  // Max 3 takeback requests in 10 seconds
+      'replay-step': 40,      // Max 40 replay steps in 10 seconds
+      'replay-seek': 40,      // Max 40 replay seeks in 10 seconds
       'default': 20           // Default burst limit
     };
 
@@ -1,30 +1,159 @@
 /**
- * Validation middleware for Socket.io events
+ * Validation middleware for Socket.io events and REST requests
  * Uses Joi for schema validation
  */
 
 const Joi = require('joi');
 const logger = require('../utils/logger');
 
-// Define validation schemas for different socket events
-const schemas = {
-  'make-move': Joi.object({
-    x: Joi.number().integer().min(0).max(2).required()
+// Largest supported board; the exact bound is checked against the game's own size in GameService
+const MAX_BOARD_SIZE = 15;
+const MAX_CUBE_SIZE = 4;
+
+// Coordinates of a board cell (z only in the cube variant)
+const cellCoordinates = {
+  x: Joi.number().integer().min(0).max(MAX_BOARD_SIZE - 1).required()
+    .messages({
+      'number.base': 'X coordinate must be a number',
+      'number.integer': 'X coordinate must be an integer',
+      'number.min': 'X coordinate cannot be negative',
+      'number.max': 'X coordinate is outside the board',
+      'any.required': 'X coordinate is required'
+    }),
+  y: Joi.number().integer().min(0).max(MAX_BOARD_SIZE - 1).required()
+    .messages({
+      'number.base': 'Y coordinate must be a number',
+      'number.integer': 'Y coordinate must be an integer',
+      'number.min': 'Y coordinate cannot be negative',
+      'number.max': 'Y coordinate is outside the board',
+      'any.required': 'Y coordinate is required'
+    }),
+  z: Joi.number().integer().min(0).max(MAX_CUBE_SIZE - 1).optional()
+    .messages({
+      'number.base': 'Z coordinate must be a number',
+      'number.integer': 'Z coordinate must be an integer',
+      'number.min': 'Z coordinate cannot be negative',
+      'number.max': 'Z coordinate is outside the cube'
+    })
+};
+
+// Room name, checked when a room is created or renamed
+const roomNameSchema = Joi.string()
+  .min(3)
+  .max(30)
+  .pattern(/^[a-zA-Zа-яА-Я0-9\s_-]+$/)
+  .messages({
+    'string.base': 'Room name must be a string',
+    'string.min': 'Room name must be at least 3 characters',
+    'string.max': 'Room name cannot exceed 30 characters',
+    'string.pattern.base': 'Room name can only contain letters, numbers, spaces, underscores, and hyphens'
+  });
+
+// Board settings chosen when a room is created
+const gameSettingsSchema = Joi.object({
+  preset: Joi.string().valid('classic', '5x5', 'gomoku', 'cube', 'qubic', 'ffa3', 'ffa4').optional()
+    .messages({
+      'any.only': 'Preset must be one of classic, 5x5, gomoku, cube, qubic, ffa3, ffa4'
+    }),
+  variant: Joi.string().valid('classic', 'cube').optional()
+    .messages({
+      'any.only': 'Variant must be one of classic, cube'
+    }),
+  boardSize: Joi.number().integer().min(3).max(MAX_BOARD_SIZE).optional()
+    .messages({
+      'number.base': 'Board size must be a number',
+      'number.integer': 'Board size must be an integer',
+      'number.min': 'Board size must be at least 3',
+      'number.max': `Board size cannot exceed ${MAX_BOARD_SIZE}`
+    }),
+  winLength: Joi.number().integer().min(3).max(Joi.ref('boardSize', { adjust: size => size || MAX_BOARD_SIZE })).optional()
+    .messages({
+      'number.base': 'Win length must be a number',
+      'number.integer': 'Win length must be an integer',
+      'number.min': 'Win length must be at least 3',
+      'number.max': 'Win length cannot exceed the board size'
+    }),
+  playerCount: Joi.number().integer().valid(2, 3, 4).optional()
+    .messages({
+      'number.base': 'Player count must be a number',
+      'any.only': 'Player count must be 2, 3 or 4'
+    }),
+  timeControl: Joi.object({
+    preset: Joi.string().valid('bullet', 'blitz', 'rapid').optional()
       .messages({
-        'number.base': 'X coordinate must be a number',
-        'number.integer': 'X coordinate must be an integer',
-        'number.min': 'X coordinate must be between 0 and 2',
-        'number.max': 'X coordinate must be between 0 and 2',
-        'any.required': 'X coordinate is required'
+        'any.only': 'Time control preset must be one of bullet, blitz, rapid'
       }),
-    y: Joi.number().integer().min(0).max(2).required()
+    perMoveSeconds: Joi.number().integer().min(5).max(300).optional()
       .messages({
-        'number.base': 'Y coordinate must be a number',
-        'number.integer': 'Y coordinate must be an integer',
-        'number.min': 'Y coordinate must be between 0 and 2',
-        'number.max': 'Y coordinate must be between 0 and 2',
-        'any.required': 'Y coordinate is required'
+        'number.base': 'Per-move limit must be a number',
+        'number.min': 'Per-move limit must be at least 5 seconds',
+        'number.max': 'Per-move limit cannot exceed 300 seconds'
       }),
+    baseSeconds: Joi.number().integer().min(30).max(3600).optional()
+      .messages({
+        'number.base': 'Time bank must be a number',
+        'number.min': 'Time bank must be at least 30 seconds',
+        'number.max': 'Time bank cannot exceed 3600 seconds'
+      }),
+    incrementSeconds: Joi.number().integer().min(0).max(60).optional()
+      .messages({
+        'number.base': 'Increment must be a number',
+        'number.min': 'Increment cannot be negative',
+        'number.max': 'Increment cannot exceed 60 seconds'
+      })
+  }).optional(),
+  bestOf: Joi.number().integer().valid(1, 3, 5, 7).optional()
+    .messages({
+      'any.only': 'Series must be best of 1, 3, 5 or 7'
+    }),
+  firstMove: Joi.string().valid('alternate', 'creator', 'random', 'loser').optional()
+    .messages({
+      'any.only': 'First move must be one of alternate, creator, random, loser'
+    }),
+  ranked: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'ranked must be true or false'
+    }),
+  allowSpectators: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'allowSpectators must be true or false'
+    }),
+  takebacksAllowed: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'takebacksAllowed must be true or false'
+    }),
+  banMirrorPicks: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'banMirrorPicks must be true or false'
+    }),
+  autoStart: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'autoStart must be true or false'
+    }),
+  ruleset: Joi.string().valid('standard', 'abilities').optional()
+    .messages({
+      'any.only': 'Ruleset must be one of standard, abilities'
+    })
+});
+
+// Sorting and size of the live games directory (socket event and REST query)
+const liveGamesSchema = Joi.object({
+  sortBy: Joi.string().valid('rating', 'spectators', 'closeness').default('rating')
+    .messages({
+      'any.only': 'Sort must be one of rating, spectators, closeness'
+    }),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 50'
+    })
+}).default(); // Built from the key defaults when the event has no payload
+
+// Define validation schemas for different socket events
+const schemas = {
+  'make-move': Joi.object({
+    ...cellCoordinates,
     roomId: Joi.string().uuid().required()
       .messages({
         'string.base': 'Room ID must be a string',
@@ -61,11 +190,12 @@ const schemas = {
         'string.guid': 'Room ID must be a valid UUID',
         'any.required': 'Room ID is required'
       }),
+    // Accepted from older clients but not used: seats show the authenticated player's name
     playerName: Joi.string()
       .min(2)
       .max(20)
       .pattern(/^[a-zA-Zа-яА-Я0-9_-]+$/)
-      .required()
+      .optional()
       .messages({
         'string.base': 'Player name must be a string',
         'string.min': 'Player name must be at least 2 characters',
@@ -82,16 +212,8 @@ const schemas = {
   }),
 
   'create-room': Joi.object({
-    roomName: Joi.string()
-      .min(3)
-      .max(30)
-      .pattern(/^[a-zA-Zа-яА-Я0-9\s_-]+$/)
-      .required()
+    roomName: roomNameSchema.required()
       .messages({
-        'string.base': 'Room name must be a string',
-        'string.min': 'Room name must be at least 3 characters',
-        'string.max': 'Room name cannot exceed 30 characters',
-        'string.pattern.base': 'Room name can only contain letters, numbers, spaces, underscores, and hyphens',
         'any.required': 'Room name is required'
       }),
     isPrivate: Joi.boolean().default(false)
@@ -115,9 +237,51 @@ const schemas = {
         'number.integer': 'Max players must be an integer',
         'number.min': 'Max players must be at least 2',
         'number.max': 'Max players cannot exceed 10'
-      })
+      }),
+    allowSpectators: Joi.boolean().default(true)
+      .messages({
+        'boolean.base': 'allowSpectators must be a boolean'
+      }),
+    gameSettings: gameSettingsSchema.default({})
+  }),
+
+  'create-bot-game': Joi.object({
+    difficulty: Joi.string().valid('easy', 'medium', 'hard', 'perfect').default('medium')
+      .messages({
+        'string.base': 'Difficulty must be a string',
+        'any.only': 'Difficulty must be one of easy, medium, hard, perfect'
+      }),
+    playerName: Joi.string()
+      .min(2)
+      .max(20)
+      .pattern(/^[a-zA-Zа-яА-Я0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.base': 'Player name must be a string',
+        'string.min': 'Player name must be at least 2 characters',
+        'string.max': 'Player name cannot exceed 20 characters',
+        'string.pattern.base': 'Player name can only contain letters, numbers, underscores, and hyphens'
+      }),
+    gameSettings: gameSettingsSchema.default({})
   }),
 
+  'find-match': Joi.object({
+    playerName: Joi.string()
+      .min(2)
+      .max(20)
+      .pattern(/^[a-zA-Zа-яА-Я0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.base': 'Player name must be a string',
+        'string.min': 'Player name must be at least 2 characters',
+        'string.max': 'Player name cannot exceed 20 characters',
+        'string.pattern.base': 'Player name can only contain letters, numbers, underscores, and hyphens'
+      }),
+    gameSettings: gameSettingsSchema.default({})
+  }),
+
+  'cancel-match': Joi.object({}),
+
   'leave-room': Joi.object({
     roomId: Joi.string().uuid().required()
       .messages({
@@ -127,12 +291,423 @@ const schemas = {
       })
   }),
 
+  'request-rematch': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      })
+  }),
+
+  'accept-rematch': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      })
+  }),
+
+  'kick-player': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      }),
+    playerId: Joi.string().max(100).required()
+      .messages({
+        'string.base': 'Player ID must be a string',
+        'string.max': 'Player ID is too long',
+        'any.required': 'Player ID is required'
+      })
+  }),
+
+  'transfer-host': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      }),
+    playerId: Joi.string().max(100).required()
+      .messages({
+        'string.base': 'Player ID must be a string',
+        'string.max': 'Player ID is too long',
+        'any.required': 'Player ID is required'
+      })
+  }),
+
+  'lock-room': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      }),
+    locked: Joi.boolean().required()
+      .messages({
+        'boolean.base': 'Locked must be true or false',
+        'any.required': 'Locked is required'
+      })
+  }),
+
+  'update-room': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      }),
+    roomName: roomNameSchema.optional(),
+    isPrivate: Joi.boolean().optional()
+      .messages({
+        'boolean.base': 'isPrivate must be a boolean'
+      }),
+    password: Joi.string().min(4).max(50).optional()
+      .messages({
+        'string.base': 'Password must be a string',
+        'string.min': 'Password must be at least 4 characters',
+        'string.max': 'Password cannot exceed 50 characters'
+      }),
+    gameSettings: gameSettingsSchema.optional()
+  }),
+
+  'set-ready': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      }),
+    ready: Joi.boolean().required()
+      .messages({
+        'boolean.base': 'Ready must be true or false',
+        'any.required': 'Ready is required'
+      })
+  }),
+
+  'use-ability': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      }),
+    ability: Joi.string().valid('burn', 'freeze', 'gust', 'quake').required()
+      .messages({
+        'any.only': 'Ability must be one of burn, freeze, gust, quake',
+        'any.required': 'Ability is required'
+      }),
+    ...cellCoordinates,
+    to: Joi.object(cellCoordinates).optional()
+  }),
+
+  'select-character': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      }),
+    characterId: Joi.string().pattern(/^[a-z_]+$/).max(30).required()
+      .messages({
+        'string.base': 'Character must be a string',
+        'string.pattern.base': 'Character must be a character ID',
+        'string.max': 'Character must be a character ID',
+        'any.required': 'Character is required'
+      }),
+    skin: Joi.string().pattern(/^[a-z_]+$/).max(30).optional()
+      .messages({
+        'string.base': 'Skin must be a string',
+        'string.pattern.base': 'Skin must be a skin ID',
+        'string.max': 'Skin must be a skin ID'
+      })
+  }),
+
+  'request-takeback': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      })
+  }),
+
+  'accept-takeback': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      })
+  }),
+
+  'decline-takeback': Joi.object({
+    roomId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Room ID must be a string',
+        'string.guid': 'Room ID must be a valid UUID',
+        'any.required': 'Room ID is required'
+      })
+  }),
+
+  'replay-start': Joi.object({
+    gameId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Game ID must be a string',
+        'string.guid': 'Game ID must be a valid UUID',
+        'any.required': 'Game ID is required'
+      }),
+    speed: Joi.number().min(0.25).max(8).default(1)
+      .messages({
+        'number.base': 'Speed must be a number',
+        'number.min': 'Speed must be at least 0.25',
+        'number.max': 'Speed cannot exceed 8'
+      }),
+    autoplay: Joi.boolean().default(true)
+  }),
+
+  'replay-step': Joi.object({
+    direction: Joi.string().valid('forward', 'backward').default('forward')
+      .messages({
+        'any.only': 'Direction must be forward or backward'
+      })
+  }).default({}),
+
+  'replay-seek': Joi.object({
+    moveIndex: Joi.number().integer().min(0).required()
+      .messages({
+        'number.base': 'Move index must be a number',
+        'number.min': 'Move index cannot be negative',
+        'any.required': 'Move index is required'
+      }),
+    autoplay: Joi.boolean().default(false)
+  }),
+
+  'resume-session': Joi.object({
+    sessionToken: Joi.string().hex().length(64).required()
+      .messages({
+        'string.base': 'Session token must be a string',
+        'string.hex': 'Session token is malformed',
+        'string.length': 'Session token is malformed',
+        'any.required': 'Session token is required'
+      })
+  }),
+
+  'create-tournament': Joi.object({
+    name: Joi.string()
+      .min(3)
+      .max(40)
+      .pattern(/^[a-zA-Zа-яА-Я0-9\s_-]+$/)
+      .required()
+      .messages({
+        'string.base': 'Tournament name must be a string',
+        'string.min': 'Tournament name must be at least 3 characters',
+        'string.max': 'Tournament name cannot exceed 40 characters',
+        'string.pattern.base': 'Tournament name can only contain letters, numbers, spaces, underscores, and hyphens',
+        'any.required': 'Tournament name is required'
+      }),
+    format: Joi.string().valid('single-elimination', 'round-robin', 'swiss').required()
+      .messages({
+        'any.only': 'Format must be one of single-elimination, round-robin, swiss',
+        'any.required': 'Format is required'
+      }),
+    maxPlayers: Joi.number().integer().min(2).max(64).default(8)
+      .messages({
+        'number.base': 'Max players must be a number',
+        'number.integer': 'Max players must be an integer',
+        'number.min': 'Max players must be at least 2',
+        'number.max': 'Max players cannot exceed 64'
+      }),
+    rounds: Joi.number().integer().min(1).max(20).optional()
+      .messages({
+        'number.base': 'Rounds must be a number',
+        'number.integer': 'Rounds must be an integer',
+        'number.min': 'Rounds must be at least 1',
+        'number.max': 'Rounds cannot exceed 20'
+      }),
+    gameSettings: gameSettingsSchema.default({})
+  }),
+
+  'register-tournament': Joi.object({
+    tournamentId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Tournament ID must be a string',
+        'string.guid': 'Tournament ID must be a valid UUID',
+        'any.required': 'Tournament ID is required'
+      })
+  }),
+
+  'unregister-tournament': Joi.object({
+    tournamentId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Tournament ID must be a string',
+        'string.guid': 'Tournament ID must be a valid UUID',
+        'any.required': 'Tournament ID is required'
+      })
+  }),
+
+  'start-tournament': Joi.object({
+    tournamentId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Tournament ID must be a string',
+        'string.guid': 'Tournament ID must be a valid UUID',
+        'any.required': 'Tournament ID is required'
+      })
+  }),
+
+  'watch-tournament': Joi.object({
+    tournamentId: Joi.string().uuid().required()
+      .messages({
+        'string.base': 'Tournament ID must be a string',
+        'string.guid': 'Tournament ID must be a valid UUID',
+        'any.required': 'Tournament ID is required'
+      })
+  }),
+
+  'get-room-list': Joi.object({}),
+
+  'get-live-games': liveGamesSchema,
+
   'spectate-game': Joi.object({
     roomId: Joi.string().uuid().required()
       .messages({
         'string.base': 'Room ID must be a string',
         'string.guid': 'Room ID must be a valid UUID',
         'any.required': 'Room ID is required'
+      }),
+    password: Joi.string().min(4).max(50).optional()
+      .messages({
+        'string.base': 'Password must be a string',
+        'string.min': 'Password must be at least 4 characters',
+        'string.max': 'Password cannot exceed 50 characters'
+      })
+  })
+};
+
+// Request body schemas for REST endpoints
+const requestSchemas = {
+  register: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(20)
+      .pattern(/^[a-zA-Zа-яА-Я0-9_-]+$/)
+      .required()
+      .messages({
+        'string.base': 'Name must be a string',
+        'string.min': 'Name must be at least 2 characters',
+        'string.max': 'Name cannot exceed 20 characters',
+        'string.pattern.base': 'Name can only contain letters, numbers, underscores, and hyphens',
+        'any.required': 'Name is required'
+      }),
+    email: Joi.string().email().max(254).required()
+      .messages({
+        'string.email': 'Email must be a valid email address',
+        'any.required': 'Email is required'
+      }),
+    password: Joi.string().min(8).max(128).required()
+      .messages({
+        'string.min': 'Password must be at least 8 characters',
+        'string.max': 'Password cannot exceed 128 characters',
+        'any.required': 'Password is required'
+      })
+  }),
+
+  login: Joi.object({
+    email: Joi.string().email().required()
+      .messages({
+        'string.email': 'Email must be a valid email address',
+        'any.required': 'Email is required'
+      }),
+    password: Joi.string().max(128).required()
+      .messages({
+        'any.required': 'Password is required'
+      })
+  }),
+
+  importGame: Joi.object({
+    notation: Joi.string().max(100000).required()
+      .messages({
+        'string.base': 'Notation must be a string',
+        'string.max': 'Notation cannot exceed 100000 characters',
+        'any.required': 'Notation is required'
+      })
+  }),
+
+  guest: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(20)
+      .pattern(/^[a-zA-Zа-яА-Я0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.min': 'Name must be at least 2 characters',
+        'string.max': 'Name cannot exceed 20 characters',
+        'string.pattern.base': 'Name can only contain letters, numbers, underscores, and hyphens'
+      })
+  }),
+
+  // Query string of GET /api/leaderboard
+  leaderboard: Joi.object({
+    period: Joi.string().valid('all', 'monthly', 'weekly').default('all')
+      .messages({
+        'any.only': 'Period must be one of all, monthly, weekly'
+      }),
+    page: Joi.number().integer().min(1).default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    minGames: Joi.number().integer().min(0).max(1000).default(1)
+      .messages({
+        'number.base': 'Minimum games must be a number',
+        'number.min': 'Minimum games cannot be negative',
+        'number.max': 'Minimum games cannot exceed 1000'
+      })
+  }),
+
+  // Query string of GET /api/live-games
+  liveGames: liveGamesSchema,
+
+  // Query string of GET /api/tournaments
+  tournamentList: Joi.object({
+    status: Joi.string().valid('registration', 'running', 'finished').optional()
+      .messages({
+        'any.only': 'Status must be one of registration, running, finished'
+      }),
+    page: Joi.number().integer().min(1).default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number().integer().min(1).max(50).default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50'
+      })
+  }),
+
+  // Query string of GET /api/players/:id
+  playerProfile: Joi.object({
+    page: Joi.number().integer().min(1).default(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50'
       })
   })
 };
@@ -184,6 +759,34 @@ function validateSocketEvent(eventType, data) {
   };
 }
 
+/**
+ * Express middleware validating part of a request against a REST schema
+ * @param {string} schemaName - Name of the schema in requestSchemas
+ * @param {string} source - Request property to validate: body or query
+ * @returns {Function} Express middleware
+ */
+function validateRequest(schemaName, source = 'body') {
+  const schema = requestSchemas[schemaName];
+
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[source] || {}, {
+      abortEarly: false,
+      stripUnknown: true,
+      convert: true
+    });
+
+    if (error) {
+      return res.status(400).json({
+        error: error.details.map(detail => detail.message).join('; '),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    req[source] = value;
+    next();
+  };
+}
+
 /**
  * Sanitize chat message to prevent XSS and other attacks
  * @param {string} message - The message to sanitize
@@ -271,9 +874,11 @@ function validateRoomId(roomId) {
 
 module.exports = {
   validateSocketEvent,
+  validateRequest,
   sanitizeChatMessage,
   validatePlayerName,
   validateRoomId,
-  schemas
+  schemas,
+  requestSchemas
 };
 
@@ -0,0 +1,62 @@
+/**
+ * Auth routes
+ * Registration, login and guest accounts
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateRequest } = require('../middleware/validation');
+const { httpAuth } = require('../middleware/auth');
+
+/**
+ * Create the auth router
+ * @param {AuthService} authService - Auth service
+ * @returns {express.Router} Router mounted at /api/auth
+ */
+function createAuthRouter(authService) {
+  const router = express.Router();
+
+  const sendError = (res, error, fallbackMessage) => {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    logger.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+  };
+
+  // Register a new account; a guest token in the Authorization header upgrades that guest
+  router.post('/register', httpAuth(authService, { optional: true }), validateRequest('register'), async (req, res) => {
+    try {
+      const guestId = req.player?.isGuest ? req.player.id : null;
+      const result = await authService.register(req.body, guestId);
+      res.status(201).json(result);
+    } catch (error) {
+      sendError(res, error, 'Failed to register');
+    }
+  });
+
+  router.post('/login', validateRequest('login'), async (req, res) => {
+    try {
+      res.json(await authService.login(req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to log in');
+    }
+  });
+
+  router.post('/guest', validateRequest('guest'), async (req, res) => {
+    try {
+      res.status(201).json(await authService.createGuest(req.body.name));
+    } catch (error) {
+      sendError(res, error, 'Failed to create guest');
+    }
+  });
+
+  router.get('/me', httpAuth(authService), (req, res) => {
+    res.json({ player: req.player });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
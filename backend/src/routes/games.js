@@ -0,0 +1,58 @@
+/**
+ * Game routes
+ * Read access to finished games, and notation export/import
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateRequest } = require('../middleware/validation');
+const { httpAuth } = require('../middleware/auth');
+
+/**
+ * Create the games router
+ * @param {Object} services - {replayService, notationService, authService}
+ * @returns {express.Router} Router mounted at /api/games
+ */
+function createGamesRouter({ replayService, notationService, authService }) {
+  const router = express.Router();
+
+  const sendError = (res, error, fallbackMessage) => {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    logger.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+  };
+
+  router.get('/:id/replay', async (req, res) => {
+    try {
+      res.json(await replayService.getReplay(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to load replay');
+    }
+  });
+
+  router.get('/:id/export', async (req, res) => {
+    try {
+      const replay = await replayService.getReplay(req.params.id);
+      res.type('text/plain').send(notationService.exportGame(replay));
+    } catch (error) {
+      sendError(res, error, 'Failed to export game');
+    }
+  });
+
+  // Imported games are stored like played ones but never change ratings
+  // Only the importer's own seat is linked to an account; other players become new guests
+  router.post('/import', httpAuth(authService), validateRequest('importGame'), async (req, res) => {
+    try {
+      res.status(201).json(await notationService.importGame(req.body.notation, req.player));
+    } catch (error) {
+      sendError(res, error, 'Failed to import game');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGamesRouter };
@@ -0,0 +1,35 @@
+/**
+ * Leaderboard routes
+ * Paged rankings for all time and recent windows
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateRequest } = require('../middleware/validation');
+const { httpAuth } = require('../middleware/auth');
+
+/**
+ * Create the leaderboard router
+ * @param {Object} services - {leaderboardService, authService}
+ * @returns {express.Router} Router mounted at /api/leaderboard
+ */
+function createLeaderboardRouter({ leaderboardService, authService }) {
+  const router = express.Router();
+
+  // Signed-in callers also get their own rank, wherever it falls
+  router.get('/', httpAuth(authService, { optional: true }), validateRequest('leaderboard', 'query'), async (req, res) => {
+    try {
+      res.json(await leaderboardService.getLeaderboard({
+        ...req.query,
+        playerId: req.player?.id
+      }));
+    } catch (error) {
+      logger.error('Failed to load leaderboard:', error);
+      res.status(500).json({ error: 'Failed to load leaderboard' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLeaderboardRouter };
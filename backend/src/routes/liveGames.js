@@ -0,0 +1,33 @@
+/**
+ * Live games routes
+ * Public games in progress that can be watched
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateRequest } = require('../middleware/validation');
+
+/**
+ * Create the live games router
+ * @param {LiveGamesService} liveGamesService - Live games service
+ * @returns {express.Router} Router mounted at /api/live-games
+ */
+function createLiveGamesRouter(liveGamesService) {
+  const router = express.Router();
+
+  router.get('/', validateRequest('liveGames', 'query'), async (req, res) => {
+    try {
+      res.json({
+        sortBy: req.query.sortBy,
+        games: await liveGamesService.getLiveGames(req.query)
+      });
+    } catch (error) {
+      logger.error('Failed to load live games:', error);
+      res.status(500).json({ error: 'Failed to load live games' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLiveGamesRouter };
@@ -0,0 +1,35 @@
+/**
+ * Player routes
+ * Public player profiles
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateRequest } = require('../middleware/validation');
+
+/**
+ * Create the players router
+ * @param {ProfileService} profileService - Profile service
+ * @returns {express.Router} Router mounted at /api/players
+ */
+function createPlayersRouter(profileService) {
+  const router = express.Router();
+
+  // Profile with record, streaks, head-to-head and a page of recent matches
+  router.get('/:id', validateRequest('playerProfile', 'query'), async (req, res) => {
+    try {
+      res.json(await profileService.getProfile(req.params.id, req.query));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+
+      logger.error('Failed to load player profile:', error);
+      res.status(500).json({ error: 'Failed to load player profile' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPlayersRouter };
@@ -0,0 +1,80 @@
+/**
+ * Tournament routes
+ * Tournament listings, standings and brackets
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateRequest } = require('../middleware/validation');
+
+/**
+ * Create the tournaments router
+ * @param {TournamentService} tournamentService - Tournament service
+ * @returns {express.Router} Router mounted at /api/tournaments
+ */
+function createTournamentsRouter(tournamentService) {
+  const router = express.Router();
+
+  const sendError = (res, error, fallbackMessage) => {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    logger.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+  };
+
+  const loadTournament = async (id) => {
+    const tournament = await tournamentService.getTournament(id);
+    if (!tournament) {
+      throw tournamentService.createError('Tournament not found', 'TOURNAMENT_NOT_FOUND', 404);
+    }
+    return tournament;
+  };
+
+  router.get('/', validateRequest('tournamentList', 'query'), async (req, res) => {
+    try {
+      res.json(await tournamentService.listTournaments(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to load tournaments');
+    }
+  });
+
+  // Full state: players, standings and every round's matches
+  router.get('/:id', async (req, res) => {
+    try {
+      res.json(tournamentService.formatTournament(await loadTournament(req.params.id)));
+    } catch (error) {
+      sendError(res, error, 'Failed to load tournament');
+    }
+  });
+
+  router.get('/:id/standings', async (req, res) => {
+    try {
+      const tournament = await loadTournament(req.params.id);
+      const { status, currentRound, tiebreaks, standings } = tournamentService.formatTournament(tournament);
+      res.json({ status, currentRound, tiebreaks, standings });
+    } catch (error) {
+      sendError(res, error, 'Failed to load standings');
+    }
+  });
+
+  router.get('/:id/bracket', async (req, res) => {
+    try {
+      const tournament = await loadTournament(req.params.id);
+      res.json({
+        format: tournament.format,
+        status: tournament.status,
+        currentRound: tournament.currentRound,
+        totalRounds: tournament.totalRounds,
+        rounds: tournamentService.getRounds(tournament)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to load bracket');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTournamentsRouter };
@@ -12,6 +12,21 @@ require('dotenv').config();
 
 const { setupSocket } = require('./config/socket');
 const { initializeDatabase } = require('./config/database');
+const { createAuthRouter } = require('./routes/auth');
+const { createGamesRouter } = require('./routes/games');
+const { createLeaderboardRouter } = require('./routes/leaderboard');
+const { createPlayersRouter } = require('./routes/players');
+const { createLiveGamesRouter } = require('./routes/liveGames');
+const { createTournamentsRouter } = require('./routes/tournaments');
+const AuthService = require('./services/AuthService');
+const ReplayService = require('./services/ReplayService');
+const NotationService = require('./services/NotationService');
+const LeaderboardService = require('./services/LeaderboardService');
+const StatsService = require('./services/StatsService');
+const ProfileService = require('./services/ProfileService');
+const LiveGamesService = require('./services/LiveGamesService');
+const CharacterService = require('./services/CharacterService');
+const TournamentService = require('./services/TournamentService');
 const logger = require('./utils/logger');
 
 class GameServer {
@@ -19,6 +34,15 @@ class GameServer {
     this.app = express();
     this.server = http.createServer(this.app);
     this.port = process.env.PORT || 3001;
+    this.authService = new AuthService();
+    this.replayService = new ReplayService();
+    this.notationService = new NotationService(this.authService);
+    this.leaderboardService = new LeaderboardService();
+    this.statsService = new StatsService();
+    this.profileService = new ProfileService();
+    this.liveGamesService = new LiveGamesService();
+    this.characterService = new CharacterService();
+    this.tournamentService = new TournamentService();
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -78,15 +102,38 @@ class GameServer {
       });
     });
 
+    // Account routes, with a tighter limit against password guessing
+    const authLimiter = rateLimit({
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 20, // limit each IP to 20 auth requests per windowMs
+      message: 'Too many authentication attempts, please try again later.'
+    });
+    this.app.use('/api/auth', authLimiter, createAuthRouter(this.authService));
+    this.app.use('/api/games', createGamesRouter({
+      replayService: this.replayService,
+      notationService: this.notationService,
+      authService: this.authService
+    }));
+    this.app.use('/api/leaderboard', createLeaderboardRouter({
+      leaderboardService: this.leaderboardService,
+      authService: this.authService
+    }));
+    this.app.use('/api/players', createPlayersRouter(this.profileService));
+    this.app.use('/api/live-games', createLiveGamesRouter(this.liveGamesService));
+    this.app.use('/api/tournaments', createTournamentsRouter(this.tournamentService));
+
     // API routes
-    this.app.get('/api/stats', (req, res) => {
-      // TODO: Implement game statistics endpoint
-      res.json({
-        totalGames: 0,
-        activeGames: 0,
-        totalPlayers: 0,
-        onlinePlayers: 0
-      });
+    this.app.get('/api/stats', async (req, res) => {
+      try {
+        res.json(await this.statsService.getStats());
+      } catch (error) {
+        logger.error('Failed to load stats:', error);
+        res.status(500).json({ error: 'Failed to load stats' });
+      }
+    });
+
+    this.app.get('/api/characters', (req, res) => {
+      res.json({ characters: this.characterService.getCatalog() });
     });
 
     // Serve static files in production
@@ -120,7 +167,13 @@ class GameServer {
   }
 
   setupSocket() {
-    this.io = setupSocket(this.server);
+    this.io = setupSocket(this.server, {
+      authService: this.authService,
+      replayService: this.replayService,
+      statsService: this.statsService,
+      liveGamesService: this.liveGamesService,
+      tournamentService: this.tournamentService
+    });
     logger.info('Socket.io configured successfully');
   }
 
@@ -0,0 +1,483 @@
+/**
+ * AI Service
+ * Search-based opponent engine (negamax with alpha-beta pruning and a transposition table)
+ * Works on flat boards and cubes; moves are handled internally as position arrays
+ */
+
+const GameService = require('./GameService');
+
+// Difficulty presets: search depth, chance of a deliberate mistake and the rating shown to players
+// Depths are caps: larger boards search shallower (see getSearchDepth), so "perfect" only plays
+// perfectly on 3×3 boards and is simply the strongest level elsewhere
+const DIFFICULTY_LEVELS = {
+  easy: { label: 'Easy', depth: 1, mistakeRate: 0.45, rating: 800 },
+  medium: { label: 'Medium', depth: 2, mistakeRate: 0.2, rating: 1100 },
+  hard: { label: 'Hard', depth: 4, mistakeRate: 0.05, rating: 1400 },
+  perfect: { label: 'Perfect', depth: Infinity, mistakeRate: 0, rating: 1800 }
+};
+
+const WIN_SCORE = 1000;
+
+// Transposition table entry bounds
+const EXACT = 0;
+const LOWER_BOUND = 1;
+const UPPER_BOUND = 2;
+
+class AIService {
+  constructor(gameService = new GameService()) {
+    this.gameService = gameService;
+    this.transpositionTable = new Map(); // Cleared for every move: win scores depend on the root
+    this.MAX_BRANCHING = 12; // Candidate moves searched per node on larger boards
+    this.SEARCH_TIME_MS = 250; // The search runs on the event loop, so deeper iterations stop here
+    this.searchDeadline = Infinity;
+    this.windowCache = new Map();
+  }
+
+  /**
+   * Check whether a difficulty level exists
+   * @param {string} difficulty - Difficulty level name
+   * @returns {boolean} Whether the level is supported
+   */
+  isValidDifficulty(difficulty) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTY_LEVELS, difficulty);
+  }
+
+  /**
+   * Get the preset for a difficulty level
+   * @param {string} difficulty - Difficulty level name
+   * @returns {Object} Difficulty preset
+   */
+  getDifficulty(difficulty) {
+    return DIFFICULTY_LEVELS[difficulty] || DIFFICULTY_LEVELS.medium;
+  }
+
+  /**
+   * Pick a move for the bot
+   * @param {Array} board - Game board (flat or cube)
+   * @param {string} playerKey - Bot player key
+   * @param {string} difficulty - Difficulty level (easy, medium, hard, perfect)
+   * @param {number} winLength - Marks in a row needed to win
+   * @returns {Object|null} Move coordinates or null if no move is available
+   */
+  getMove(board, playerKey, difficulty = 'medium', winLength = this.gameService.DEFAULT_WIN_LENGTH) {
+    const level = this.getDifficulty(difficulty);
+    const opponent = playerKey === 'player1' ? 'player2' : 'player1';
+    const searchBoard = JSON.parse(JSON.stringify(board));
+    const positions = this.getCandidateMoves(searchBoard, playerKey, opponent);
+
+    if (positions.length === 0) {
+      return null;
+    }
+
+    // Deepen one ply at a time and keep the deepest search that finished in time
+    const depth = Math.min(this.getSearchDepth(level, board), positions.length);
+    this.transpositionTable.clear();
+    this.searchDeadline = Date.now() + this.SEARCH_TIME_MS;
+
+    let scoredMoves = this.scoreRootMoves(searchBoard, positions, playerKey, opponent, 1, winLength);
+    for (let iteration = 2; iteration <= depth; iteration++) {
+      const deeper = this.scoreRootMoves(searchBoard, positions, playerKey, opponent, iteration, winLength);
+      if (!deeper) {
+        break;
+      }
+      scoredMoves = deeper;
+    }
+
+    this.transpositionTable.clear();
+    this.searchDeadline = Infinity;
+
+    if (Math.random() < level.mistakeRate) {
+      return this.pickPlausibleMistake(scoredMoves);
+    }
+
+    // Break ties randomly so the bot does not always open the same way
+    const bestScore = scoredMoves[0].score;
+    const bestMoves = scoredMoves.filter(entry => entry.score === bestScore);
+    return bestMoves[Math.floor(Math.random() * bestMoves.length)].move;
+  }
+
+  /**
+   * Score every root move at one search depth, best first
+   * Every root move is scored so easier levels can choose a sensible alternative
+   * @param {Array} board - Board to search (mutated and restored in place)
+   * @param {Array} positions - Root moves
+   * @param {string} playerKey - Bot player key
+   * @param {string} opponent - Opponent player key
+   * @param {number} depth - Search depth
+   * @param {number} winLength - Marks in a row needed to win
+   * @returns {Array|null} Scored moves {move, score}, or null if the search ran out of time
+   */
+  scoreRootMoves(board, positions, playerKey, opponent, depth, winLength) {
+    const scoredMoves = [];
+
+    for (const position of positions) {
+      this.gameService.setCell(board, position, playerKey);
+      const score = this.gameService.findLineThrough(board, position, winLength)
+        ? WIN_SCORE - 1
+        : -this.negamax(board, opponent, playerKey, depth - 1, -Infinity, Infinity, 1, winLength);
+      this.gameService.setCell(board, position, null);
+
+      // The first depth is always finished so there is a move to play
+      if (depth > 1 && Date.now() > this.searchDeadline) {
+        return null;
+      }
+      scoredMoves.push({ move: this.gameService.toMove(position), score });
+    }
+
+    return scoredMoves.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Limit search depth on larger boards so the bot answers in time
+   * "perfect" searches to the end of the game on 3×3 boards only
+   * @param {Object} level - Difficulty preset
+   * @param {Array} board - Game board
+   * @returns {number} Search depth
+   */
+  getSearchDepth(level, board) {
+    const cellCount = this.getCellCount(board);
+
+    if (cellCount <= 9) {
+      return level.depth;
+    }
+
+    return Math.min(level.depth, cellCount <= 16 ? 4 : 3);
+  }
+
+  /**
+   * Get the number of cells on a board
+   * @param {Array} board - Game board
+   * @returns {number} Cell count
+   */
+  getCellCount(board) {
+    return Math.pow(board.length, this.gameService.getDimensions(board));
+  }
+
+  /**
+   * Get the moves worth searching, most promising first
+   * Small boards search every empty cell; larger boards only cells next to existing marks
+   * @param {Array} board - Game board
+   * @param {string} toMove - Player key to move
+   * @param {string} other - The other player key
+   * @returns {Array} Candidate positions
+   */
+  getCandidateMoves(board, toMove, other) {
+    const size = board.length;
+    const available = this.gameService.getAllPositions(board)
+      .filter(position => this.gameService.getCell(board, position) === null);
+
+    if (this.getCellCount(board) <= 16 || available.length === 0) {
+      return available;
+    }
+
+    if (available.length === this.getCellCount(board)) {
+      const center = Math.floor(size / 2);
+      return [available[0].map(() => center)];
+    }
+
+    const directions = this.gameService.getLineDirections(board);
+    const candidates = available.filter(position => directions.some(direction =>
+      [1, -1].some(sign => {
+        const neighbour = position.map((index, axis) => index + direction[axis] * sign);
+        return this.gameService.isValidPosition(neighbour, size) &&
+          this.gameService.getCell(board, neighbour) !== null;
+      })
+    ));
+
+    return candidates
+      .map(position => ({ position, priority: this.scoreMoveLocally(board, position, toMove, other) }))
+      .sort((a, b) => b.priority - a.priority)
+      .slice(0, this.MAX_BRANCHING)
+      .map(entry => entry.position);
+  }
+
+  /**
+   * Quick tactical score of a cell: longest own run it extends and longest enemy run it blocks
+   * @param {Array} board - Game board
+   * @param {Array} position - Cell position
+   * @param {string} toMove - Player key to move
+   * @param {string} other - The other player key
+   * @returns {number} Move ordering priority
+   */
+  scoreMoveLocally(board, position, toMove, other) {
+    const size = board.length;
+    let priority = 0;
+
+    for (const direction of this.gameService.getLineDirections(board)) {
+      for (const [playerKey, weight] of [[toMove, 1], [other, 0.9]]) {
+        let run = 1;
+        for (const sign of [1, -1]) {
+          let current = position.map((index, axis) => index + direction[axis] * sign);
+          while (this.gameService.isValidPosition(current, size) &&
+                 this.gameService.getCell(board, current) === playerKey) {
+            run++;
+            current = current.map((index, axis) => index + direction[axis] * sign);
+          }
+        }
+        priority += weight * Math.pow(10, run - 1);
+      }
+    }
+
+    return priority;
+  }
+
+  /**
+   * Choose a weaker move that still looks reasonable to a human
+   * Immediately losing moves are avoided whenever something better exists
+   * @param {Array} scoredMoves - Root moves sorted by score, best first
+   * @returns {Object} Chosen move coordinates
+   */
+  pickPlausibleMistake(scoredMoves) {
+    const alternatives = scoredMoves.slice(1);
+    const notLosing = alternatives.filter(entry => entry.score > -WIN_SCORE + 10);
+    const candidates = notLosing.length > 0 ? notLosing : alternatives;
+
+    if (candidates.length === 0) {
+      return scoredMoves[0].move;
+    }
+
+    // Favour the better alternatives: weight decreases with rank
+    const weights = candidates.map((_, index) => 1 / (index + 1));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let roll = Math.random() * total;
+
+    for (let i = 0; i < candidates.length; i++) {
+      roll -= weights[i];
+      if (roll <= 0) {
+        return candidates[i].move;
+      }
+    }
+
+    return candidates[candidates.length - 1].move;
+  }
+
+  /**
+   * Negamax search with alpha-beta pruning and transposition table
+   * @param {Array} board - Board to search (mutated and restored in place)
+   * @param {string} toMove - Player key to move
+   * @param {string} other - The other player key
+   * @param {number} depth - Remaining depth
+   * @param {number} alpha - Alpha bound
+   * @param {number} beta - Beta bound
+   * @param {number} ply - Distance from the root
+   * @param {number} winLength - Marks in a row needed to win
+   * @returns {number} Score from the point of view of toMove
+   */
+  negamax(board, toMove, other, depth, alpha, beta, ply, winLength) {
+    const moves = this.getCandidateMoves(board, toMove, other);
+    if (moves.length === 0) {
+      return 0;
+    }
+
+    // Leaf, or out of time (the root then throws this iteration away)
+    if (depth <= 0 || Date.now() > this.searchDeadline) {
+      return this.evaluate(board, toMove, other, winLength);
+    }
+
+    const originalAlpha = alpha;
+    const key = this.getPositionKey(board, toMove, winLength);
+    const cached = this.transpositionTable.get(key);
+
+    if (cached && cached.depth >= depth) {
+      if (cached.flag === EXACT) return cached.score;
+      if (cached.flag === LOWER_BOUND) alpha = Math.max(alpha, cached.score);
+      if (cached.flag === UPPER_BOUND) beta = Math.min(beta, cached.score);
+      if (alpha >= beta) return cached.score;
+    }
+
+    // Try the previously best move first for better pruning
+    if (cached && cached.move) {
+      const index = moves.findIndex(m => m.every((value, axis) => value === cached.move[axis]));
+      if (index > 0) {
+        moves.unshift(moves.splice(index, 1)[0]);
+      }
+    }
+
+    let bestScore = -Infinity;
+    let bestMove = null;
+
+    for (const move of moves) {
+      this.gameService.setCell(board, move, toMove);
+      // Prefer quick wins and slow losses
+      const score = this.gameService.findLineThrough(board, move, winLength)
+        ? WIN_SCORE - ply - 1
+        : -this.negamax(board, other, toMove, depth - 1, -beta, -alpha, ply + 1, winLength);
+      this.gameService.setCell(board, move, null);
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = move;
+      }
+
+      alpha = Math.max(alpha, score);
+      if (alpha >= beta) {
+        break;
+      }
+    }
+
+    let flag = EXACT;
+    if (bestScore <= originalAlpha) {
+      flag = UPPER_BOUND;
+    } else if (bestScore >= beta) {
+      flag = LOWER_BOUND;
+    }
+
+    this.transpositionTable.set(key, { depth, score: bestScore, flag, move: bestMove });
+
+    return bestScore;
+  }
+
+  /**
+   * Heuristic evaluation for positions where the search is cut off
+   * Scores every window of winLength cells that is still open for one side only;
+   * an unanswered "one move from a line" threat is treated as nearly decisive
+   * @param {Array} board - Game board
+   * @param {string} toMove - Player key to move
+   * @param {string} other - The other player key
+   * @param {number} winLength - Marks in a row needed to win
+   * @returns {number} Score from the point of view of toMove
+   */
+  evaluate(board, toMove, other, winLength) {
+    const threatCells = new Set(); // Cells where the opponent would complete a line
+    let canWinNow = false;
+    let score = 0;
+
+    for (const window of this.getWindows(board, winLength)) {
+      let mine = 0;
+      let theirs = 0;
+      let emptyCell = null;
+
+      for (const position of window) {
+        const cell = this.gameService.getCell(board, position);
+        if (cell === toMove) mine++;
+        else if (cell === other) theirs++;
+        else emptyCell = position.join(',');
+      }
+
+      if (theirs === 0 && mine > 0) {
+        if (mine === winLength - 1) canWinNow = true;
+        score += Math.pow(4, mine);
+      }
+      if (mine === 0 && theirs > 0) {
+        if (theirs === winLength - 1) threatCells.add(emptyCell);
+        score -= Math.pow(4, theirs);
+      }
+    }
+
+    // The side to move completes its line first
+    if (canWinNow) return WIN_SCORE / 2;
+    // Two different completion cells cannot both be blocked
+    if (threatCells.size >= 2) return -WIN_SCORE / 2;
+
+    // Keep heuristic scores well below forced win/loss scores
+    return Math.max(-WIN_SCORE / 4, Math.min(WIN_SCORE / 4, score / 4));
+  }
+
+  /**
+   * Estimate how even a position is
+   * Compares the open-line potential of every side, weighted like evaluate();
+   * in a 1v1 game a forced win for either side counts as completely one-sided
+   * @param {Array} board - Game board
+   * @param {string} toMove - Player key to move
+   * @param {number} winLength - Marks in a row needed to win
+   * @param {Array<string>} playerKeys - Seats in the game
+   * @returns {number} From 1 (level) down to 0 (one side is winning)
+   */
+  estimateCloseness(board, toMove, winLength, playerKeys = ['player1', 'player2']) {
+    if (playerKeys.length === 2) {
+      const other = playerKeys.find(key => key !== toMove);
+      if (Math.abs(this.evaluate(board, toMove, other, winLength)) >= WIN_SCORE / 2) {
+        return 0;
+      }
+    }
+
+    const potential = Object.fromEntries(playerKeys.map(key => [key, 0]));
+    for (const window of this.getWindows(board, winLength)) {
+      const counts = Object.fromEntries(playerKeys.map(key => [key, 0]));
+      for (const position of window) {
+        const cell = this.gameService.getCell(board, position);
+        if (cell) counts[cell]++;
+      }
+
+      // A window counts for each side that can still complete it; empty ones count for all
+      const marked = playerKeys.filter(key => counts[key] > 0);
+      for (const key of playerKeys) {
+        if (marked.every(owner => owner === key)) potential[key] += Math.pow(4, counts[key]);
+      }
+    }
+
+    const values = Object.values(potential);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return total === 0 ? 1 : 1 - (Math.max(...values) - Math.min(...values)) / total;
+  }
+
+  /**
+   * Get every window of winLength cells in a straight line (cached per board shape)
+   * On a 3×3×3 cube with winLength 3 these are exactly the 49 winning lines
+   * @param {Array} board - Game board
+   * @param {number} winLength - Marks in a row needed to win
+   * @returns {Array} Windows as lists of positions
+   */
+  getWindows(board, winLength) {
+    const size = board.length;
+    const key = `${size}:${this.gameService.getDimensions(board)}:${winLength}`;
+
+    if (!this.windowCache.has(key)) {
+      const windows = [];
+
+      for (const start of this.gameService.getAllPositions(board)) {
+        for (const direction of this.gameService.getLineDirections(board)) {
+          const end = start.map((index, axis) => index + direction[axis] * (winLength - 1));
+          if (!this.gameService.isValidPosition(end, size)) {
+            continue;
+          }
+
+          const window = [];
+          for (let i = 0; i < winLength; i++) {
+            window.push(start.map((index, axis) => index + direction[axis] * i));
+          }
+          windows.push(window);
+        }
+      }
+
+      this.windowCache.set(key, windows);
+    }
+
+    return this.windowCache.get(key);
+  }
+
+  /**
+   * Build a transposition table key for a position
+   * @param {Array} board - Game board
+   * @param {string} toMove - Player key to move
+   * @param {number} winLength - Marks in a row needed to win
+   * @returns {string} Position key
+   */
+  getPositionKey(board, toMove, winLength) {
+    let key = `${winLength}${toMove === 'player1' ? '1' : '2'}`;
+
+    for (const cell of board.flat(Infinity)) {
+      key += cell === null ? '.' : cell === 'player1' ? 'x' : cell === 'player2' ? 'o' : '#';
+    }
+
+    return key;
+  }
+
+  /**
+   * Get a human-like thinking delay for the bot
+   * @param {Array} board - Game board
+   * @returns {number} Delay in milliseconds
+   */
+  getThinkingDelay(board) {
+    const remaining = this.gameService.getAvailableMoves(board).length;
+    const base = 600;
+    const jitter = Math.random() * 900;
+
+    // Early positions take a little longer to "think" about
+    return Math.round(base + jitter + Math.min(remaining, 9) * 40);
+  }
+}
+
+AIService.DIFFICULTY_LEVELS = DIFFICULTY_LEVELS;
+
+module.exports = AIService;
@@ -0,0 +1,282 @@
+/**
+ * Auth Service
+ * Player accounts, password hashing and signed auth tokens
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { getDatabase } = require('../config/database');
+
+class AuthService {
+  constructor() {
+    this.BCRYPT_ROUNDS = 10;
+    this.TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+    this.secret = process.env.AUTH_SECRET;
+
+    if (!this.secret) {
+      // Tokens signed with a random secret stop verifying after a restart
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('AUTH_SECRET is not set, using a random secret for this process');
+    }
+  }
+
+  /**
+   * Register a new account, or upgrade a guest to a full account
+   * @param {Object} data - {name, email, password}
+   * @param {string} guestId - Guest player ID to upgrade (optional)
+   * @returns {Promise<Object>} {player, token}
+   */
+  async register({ name, email, password }, guestId = null) {
+    const db = getDatabase();
+    const normalizedEmail = email.toLowerCase();
+
+    const existing = await db.get('SELECT id FROM players WHERE email = ?', [normalizedEmail]);
+    if (existing) {
+      throw this.createError('Email is already registered', 'EMAIL_TAKEN', 409);
+    }
+
+    const passwordHash = await bcrypt.hash(password, this.BCRYPT_ROUNDS);
+    const guest = guestId && await db.get('SELECT id FROM players WHERE id = ? AND is_guest = 1', [guestId]);
+
+    let playerId;
+    if (guest) {
+      // Keep the guest's ID so their games and rating carry over
+      playerId = guest.id;
+      await db.run(`
+        UPDATE players
+        SET name = ?, email = ?, password_hash = ?, is_guest = 0, last_seen = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [name, normalizedEmail, passwordHash, playerId]);
+    } else {
+      playerId = uuidv4();
+      await db.run(`
+        INSERT INTO players (id, name, email, password_hash, is_guest)
+        VALUES (?, ?, ?, ?, 0)
+      `, [playerId, name, normalizedEmail, passwordHash]);
+    }
+
+    logger.security(guest ? 'Guest upgraded to account' : 'Account registered', { playerId });
+
+    const player = await this.getPlayer(playerId);
+    return { player, token: this.issueToken(player) };
+  }
+
+  /**
+   * Log in with email and password
+   * @param {Object} data - {email, password}
+   * @returns {Promise<Object>} {player, token}
+   */
+  async login({ email, password }) {
+    const db = getDatabase();
+    const row = await db.get(
+      'SELECT id, password_hash FROM players WHERE email = ? AND is_guest = 0',
+      [email.toLowerCase()]
+    );
+
+    const passwordValid = row && row.password_hash && await bcrypt.compare(password, row.password_hash);
+    if (!passwordValid) {
+      logger.security('Failed login attempt', { email });
+      throw this.createError('Invalid email or password', 'INVALID_CREDENTIALS', 401);
+    }
+
+    await db.run('UPDATE players SET last_seen = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+
+    const player = await this.getPlayer(row.id);
+    return { player, token: this.issueToken(player) };
+  }
+
+  /**
+   * Create a guest player row
+   * @param {string} name - Display name (optional)
+   * @returns {Promise<Object>} {player, token}
+   */
+  async createGuest(name) {
+    const guest = this.issueGuest(name);
+    await this.saveGuest(guest.player);
+
+    const player = await this.getPlayer(guest.player.id);
+    return { player, token: guest.token };
+  }
+
+  /**
+   * Issue a guest identity without writing it to the database
+   * The row is created by saveGuest once the guest does something that needs one
+   * @param {string} name - Display name (optional)
+   * @returns {Object} {player, token}
+   */
+  issueGuest(name) {
+    const playerId = uuidv4();
+    const player = this.createUnsavedGuest(playerId, name || `Guest_${playerId.substring(0, 6)}`);
+    return { player, token: this.issueToken(player) };
+  }
+
+  /**
+   * Write a guest's player row if it does not exist yet
+   * @param {Object} player - Guest player {id, name}
+   */
+  async saveGuest(player) {
+    const db = getDatabase();
+    const result = await db.run(`
+      INSERT OR IGNORE INTO players (id, name, is_guest)
+      VALUES (?, ?, 1)
+    `, [player.id, player.name]);
+
+    if (result.changes > 0) {
+      logger.info(`Guest player saved: ${player.id}`);
+    }
+  }
+
+  /**
+   * Build the profile of a guest that has no player row yet
+   * @param {string} playerId - Player ID
+   * @param {string} name - Display name
+   * @returns {Object} Player
+   */
+  createUnsavedGuest(playerId, name) {
+    return {
+      id: playerId,
+      name,
+      email: null,
+      isGuest: true,
+      rating: 1000,
+      gamesPlayed: 0,
+      gamesWon: 0,
+      createdAt: null
+    };
+  }
+
+  /**
+   * Get a player's public profile
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Object|null>} Player or null if not found
+   */
+  async getPlayer(playerId) {
+    const db = getDatabase();
+    const row = await db.get(`
+      SELECT id, name, email, is_guest, rating, games_played, games_won, created_at
+      FROM players WHERE id = ?
+    `, [playerId]);
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      isGuest: Boolean(row.is_guest),
+      rating: row.rating,
+      gamesPlayed: row.games_played,
+      gamesWon: row.games_won,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Resolve an auth token to its player
+   * Guest tokens stop working once the guest is upgraded to a full account
+   * @param {string} token - Token
+   * @returns {Promise<Object|null>} Player or null if the token is not valid
+   */
+  async authenticate(token) {
+    const payload = this.verifyToken(token);
+    if (!payload) {
+      return null;
+    }
+
+    const player = await this.getPlayer(payload.sub);
+    if (!player && payload.guest && payload.name) {
+      // Guest that never did anything needing a player row
+      return this.createUnsavedGuest(payload.sub, payload.name);
+    }
+
+    if (!player || (payload.guest && !player.isGuest)) {
+      return null;
+    }
+
+    return player;
+  }
+
+  /**
+   * Mark a player as seen
+   * @param {string} playerId - Player ID
+   */
+  async touchPlayer(playerId) {
+    const db = getDatabase();
+    await db.run('UPDATE players SET last_seen = CURRENT_TIMESTAMP WHERE id = ?', [playerId]);
+  }
+
+  /**
+   * Issue a signed auth token
+   * Guest tokens carry the name so an unsaved guest can reconnect as the same player
+   * @param {Object} player - Player {id, name, isGuest}
+   * @returns {string} Token
+   */
+  issueToken(player) {
+    const payload = Buffer.from(JSON.stringify({
+      sub: player.id,
+      guest: player.isGuest,
+      ...(player.isGuest && { name: player.name }),
+      exp: Date.now() + this.TOKEN_TTL
+    })).toString('base64url');
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Verify a signed auth token
+   * @param {string} token - Token
+   * @returns {Object|null} Token payload or null if invalid or expired
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return data.exp > Date.now() ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sign a token payload
+   * @param {string} payload - Encoded payload
+   * @returns {string} HMAC signature
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Create an error carrying an error code and HTTP status
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {number} status - HTTP status
+   * @returns {Error} Error
+   */
+  createError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,163 @@
+/**
+ * Character Service
+ * Catalog of playable characters, their skins and the powers they bring to the
+ * abilities ruleset (see docs/CHARACTER_CONCEPTS.md)
+ */
+
+// Once-per-game powers; cooldown is the number of pieces a player places before the power is ready
+const ABILITIES = {
+  burn: {
+    name: 'Burn',
+    description: 'Burn an empty cell so nobody can use it',
+    target: 'empty',
+    cooldown: 1
+  },
+  freeze: {
+    name: 'Freeze',
+    description: 'Freeze an opponent\'s piece so it does not count towards a line for one round',
+    target: 'opponent',
+    cooldown: 1
+  },
+  gust: {
+    name: 'Gust',
+    description: 'Blow one of your pieces to a neighbouring empty cell',
+    target: 'own',
+    cooldown: 1
+  },
+  quake: {
+    name: 'Quake',
+    description: 'Knock an opponent\'s piece next to one of yours off the board',
+    target: 'opponent',
+    cooldown: 2
+  }
+};
+
+const CHARACTERS = {
+  fire_warrior: {
+    name: 'Fire Guardian',
+    element: 'fire',
+    color: '#ff6b6b',
+    abilities: ['burn'],
+    skins: {
+      default: 'Fire Guardian',
+      volcanic: 'Volcanic',
+      solar: 'Solar',
+      draconic: 'Draconic'
+    }
+  },
+  ice_guardian: {
+    name: 'Ice Keeper',
+    element: 'ice',
+    color: '#4ecdc4',
+    abilities: ['freeze'],
+    skins: {
+      default: 'Ice Keeper',
+      arctic: 'Arctic',
+      crystal: 'Crystal',
+      marine: 'Marine'
+    }
+  },
+  storm_caller: {
+    name: 'Storm Caller',
+    element: 'storm',
+    color: '#9b7de0',
+    abilities: ['gust'],
+    skins: {
+      default: 'Storm Caller'
+    }
+  },
+  earth_titan: {
+    name: 'Earth Titan',
+    element: 'earth',
+    color: '#c89b3c',
+    abilities: ['quake'],
+    skins: {
+      default: 'Earth Titan'
+    }
+  }
+};
+
+const DEFAULT_SKIN = 'default';
+
+class CharacterService {
+  /**
+   * List the catalog for clients
+   * @returns {Array} Characters {id, name, element, color, abilities, skins: [{id, name}]}
+   */
+  getCatalog() {
+    return Object.entries(CHARACTERS).map(([id, character]) => ({
+      id,
+      name: character.name,
+      element: character.element,
+      color: character.color,
+      abilities: character.abilities.map(ability => ({
+        id: ability,
+        name: ABILITIES[ability].name,
+        description: ABILITIES[ability].description
+      })),
+      skins: Object.entries(character.skins).map(([skinId, name]) => ({ id: skinId, name }))
+    }));
+  }
+
+  /**
+   * Get the powers a character brings to the abilities ruleset
+   * @param {string} characterId - Character ID
+   * @returns {Object} Ability definitions by ability ID
+   */
+  getAbilities(characterId) {
+    const abilities = CHARACTERS[characterId]?.abilities || [];
+    return Object.fromEntries(abilities.map(ability => [ability, ABILITIES[ability]]));
+  }
+
+  /**
+   * Check a character and skin against the catalog
+   * @param {string} characterId - Character ID
+   * @param {string} skin - Skin ID (optional, defaults to the character's default skin)
+   * @returns {Object} Validation result with the resolved pick {character, skin}
+   */
+  validateSelection(characterId, skin = DEFAULT_SKIN) {
+    const character = CHARACTERS[characterId];
+    if (!character) {
+      return {
+        valid: false,
+        reason: 'UNKNOWN_CHARACTER',
+        message: 'Unknown character'
+      };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(character.skins, skin)) {
+      return {
+        valid: false,
+        reason: 'UNKNOWN_SKIN',
+        message: `${character.name} has no ${skin} skin`
+      };
+    }
+
+    return {
+      valid: true,
+      pick: { character: characterId, skin }
+    };
+  }
+
+  /**
+   * Choose a character for a player who didn't pick in time
+   * The player's previous pick is kept when it is still available
+   * @param {Array<string>} unavailable - Character IDs that can't be chosen
+   * @param {Object} previous - The player's last pick {character, skin} (optional)
+   * @returns {Object} Pick {character, skin}
+   */
+  pickCharacter(unavailable = [], previous = null) {
+    if (previous && CHARACTERS[previous.character] && !unavailable.includes(previous.character)) {
+      return previous;
+    }
+
+    const available = Object.keys(CHARACTERS).filter(id => !unavailable.includes(id));
+    const character = available[Math.floor(Math.random() * available.length)];
+    return { character, skin: DEFAULT_SKIN };
+  }
+}
+
+CharacterService.CHARACTERS = CHARACTERS;
+CharacterService.ABILITIES = ABILITIES;
+
+module.exports = CharacterService;
@@ -1,62 +1,513 @@
 /**
  * Game Service
  * Contains core game logic for Tic-Tac-Toe
+ * Supports flat N×N boards (board[x][y]) and volumetric cubes (board[x][y][z])
  */
 
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const CharacterService = require('./CharacterService');
 
 class GameService {
   constructor() {
-    this.BOARD_SIZE = 3;
-    this.WINNING_COMBINATIONS = [
-      // Rows
-      [[0, 0], [0, 1], [0, 2]],
-      [[1, 0], [1, 1], [1, 2]],
-      [[2, 0], [2, 1], [2, 2]],
-      // Columns
-      [[0, 0], [1, 0], [2, 0]],
-      [[0, 1], [1, 1], [2, 1]],
-      [[0, 2], [1, 2], [2, 2]],
-      // Diagonals
-      [[0, 0], [1, 1], [2, 2]],
-      [[0, 2], [1, 1], [2, 0]]
+    this.characterService = new CharacterService();
+
+    this.DEFAULT_BOARD_SIZE = 3;
+    this.DEFAULT_WIN_LENGTH = 3;
+    this.MIN_BOARD_SIZE = 3;
+    this.MAX_BOARD_SIZE = 15;
+    this.MIN_WIN_LENGTH = 3;
+    this.CUBE_SIZES = [3, 4]; // 3×3×3 and 4×4×4 (Qubic)
+
+    this.VARIANTS = ['classic', 'cube'];
+    this.SERIES_LENGTHS = [1, 3, 5, 7]; // Best-of-N match lengths
+
+    // Who opens each game of a room: the first move passes around, the host, a coin toss,
+    // or the loser of the previous game
+    this.FIRST_MOVE_RULES = ['alternate', 'creator', 'random', 'loser'];
+
+    // Seats in turn order with their symbol and the character used when none was picked
+    this.SEATS = [
+      { key: 'player1', symbol: 'X', character: 'fire_warrior' },
+      { key: 'player2', symbol: 'O', character: 'ice_guardian' },
+      { key: 'player3', symbol: '△', character: 'storm_caller' },
+      { key: 'player4', symbol: '□', character: 'earth_titan' }
     ];
+    this.PLAYER_COUNTS = [2, 3, 4]; // 3 and 4 players are free-for-all
+    this.FFA_MIN_BOARD_SIZE = 5; // Free-for-all needs room for every player
+
+    // In the abilities ruleset every character brings its elemental powers
+    this.RULESETS = ['standard', 'abilities'];
+    this.BURNED = 'burned'; // Cell value of a burned cell, which nobody can play
+
+    // Common board setups
+    this.BOARD_PRESETS = {
+      classic: { variant: 'classic', boardSize: 3, winLength: 3 },
+      '5x5': { variant: 'classic', boardSize: 5, winLength: 4 },
+      gomoku: { variant: 'classic', boardSize: 15, winLength: 5 },
+      ffa3: { variant: 'classic', boardSize: 6, winLength: 4, playerCount: 3 },
+      ffa4: { variant: 'classic', boardSize: 7, winLength: 4, playerCount: 4 },
+      cube: { variant: 'cube', boardSize: 3, winLength: 3 },
+      qubic: { variant: 'cube', boardSize: 4, winLength: 4 }
+    };
+
+    // Time controls in seconds: bank per player plus increment per move
+    this.TIME_CONTROL_PRESETS = {
+      bullet: { baseSeconds: 60, incrementSeconds: 0 },
+      blitz: { baseSeconds: 180, incrementSeconds: 2 },
+      rapid: { baseSeconds: 600, incrementSeconds: 5 }
+    };
+
+    // Line directions checked around a cell (the opposite direction is walked too)
+    this.LINE_DIRECTIONS = this.buildLineDirections(2);
+    this.CUBE_LINE_DIRECTIONS = this.buildLineDirections(3);
+  }
+
+  /**
+   * Build every line direction for a number of dimensions
+   * Each direction is listed once: its first non-zero component is positive
+   * (4 directions on a flat board, 13 in a cube)
+   * @param {number} dimensions - Number of board dimensions
+   * @returns {Array} Direction vectors
+   */
+  buildLineDirections(dimensions) {
+    let vectors = [[]];
+    for (let i = 0; i < dimensions; i++) {
+      vectors = vectors.flatMap(vector => [-1, 0, 1].map(step => [...vector, step]));
+    }
+
+    return vectors.filter(vector => {
+      const firstNonZero = vector.find(step => step !== 0);
+      return firstNonZero === 1;
+    });
+  }
+
+  /**
+   * Normalize game settings, applying presets and defaults
+   * @param {Object} settings - Requested settings {preset, variant, boardSize, winLength, playerCount, ruleset,
+   *   timeControl, bestOf, firstMove, ranked, takebacksAllowed, allowSpectators, banMirrorPicks, autoStart}
+   * @returns {Object} Complete game settings
+   */
+  normalizeSettings(settings = {}) {
+    const playerCount = this.normalizePlayerCount(settings.playerCount ?? this.BOARD_PRESETS[settings.preset]?.playerCount);
+
+    // A free-for-all without an explicit board gets the matching preset
+    const boardSettings = playerCount > 2 && !settings.preset && !settings.variant && !settings.boardSize
+      ? { ...settings, preset: `ffa${playerCount}` }
+      : settings;
+
+    const board = this.normalizeBoardSettings(boardSettings);
+    if (playerCount > 2 && (board.variant !== 'classic' || board.boardSize < this.FFA_MIN_BOARD_SIZE)) {
+      throw new Error(`Free-for-all games need a flat board of at least ${this.FFA_MIN_BOARD_SIZE}x${this.FFA_MIN_BOARD_SIZE}`);
+    }
+
+    const ruleset = settings.ruleset || 'standard';
+    if (!this.RULESETS.includes(ruleset)) {
+      throw new Error(`Unknown ruleset: ${ruleset}`);
+    }
+
+    // Every game is rated unless it is explicitly made casual
+    const ranked = settings.ranked !== false;
+
+    const firstMove = settings.firstMove || 'alternate';
+    if (!this.FIRST_MOVE_RULES.includes(firstMove)) {
+      throw new Error(`First move must be one of ${this.FIRST_MOVE_RULES.join(', ')}`);
+    }
+
+    return {
+      ...board,
+      playerCount,
+      ruleset,
+      timeControl: this.normalizeTimeControl(settings.timeControl),
+      bestOf: this.normalizeSeriesLength(settings.bestOf),
+      firstMove,
+      // Casual games leave ratings alone
+      ranked,
+      allowSpectators: settings.allowSpectators !== false,
+      // No two players may pick the same character
+      banMirrorPicks: Boolean(settings.banMirrorPicks),
+      // Start as soon as the room is full instead of waiting for every player to be ready
+      autoStart: Boolean(settings.autoStart),
+      // Ranked games never allow takebacks, a free-for-all has no single opponent to agree to one,
+      // and abilities can't be undone
+      takebacksAllowed: !ranked && playerCount === 2 && ruleset === 'standard' &&
+        settings.takebacksAllowed !== false
+    };
+  }
+
+  /**
+   * Resolve the number of players in a game
+   * @param {number} playerCount - Requested player count (optional)
+   * @returns {number} Player count, 2 for 1v1 games
+   */
+  normalizePlayerCount(playerCount) {
+    if (playerCount === undefined || playerCount === null) {
+      return 2;
+    }
+
+    if (!this.PLAYER_COUNTS.includes(playerCount)) {
+      throw new Error(`Games are for ${this.PLAYER_COUNTS.join(', ')} players`);
+    }
+
+    return playerCount;
+  }
+
+  /**
+   * Check whether a game is a free-for-all between more than two players
+   * @param {Object} gameState - Game state
+   * @returns {boolean} Whether the game is a free-for-all
+   */
+  isFreeForAll(gameState) {
+    return Object.keys(gameState.players).length > 2;
+  }
+
+  /**
+   * Normalize board settings, applying preset and defaults
+   * @param {Object} settings - Requested settings {preset, variant, boardSize, winLength}
+   * @returns {Object} Complete board settings
+   */
+  normalizeBoardSettings(settings = {}) {
+    const preset = this.BOARD_PRESETS[settings.preset] || {};
+    const variant = settings.variant || preset.variant || 'classic';
+
+    if (!this.VARIANTS.includes(variant)) {
+      throw new Error(`Unknown variant: ${variant}`);
+    }
+
+    if (variant === 'cube') {
+      const boardSize = settings.boardSize || preset.boardSize || this.CUBE_SIZES[0];
+      if (!this.CUBE_SIZES.includes(boardSize)) {
+        throw new Error(`Cube size must be one of ${this.CUBE_SIZES.join(', ')}`);
+      }
+
+      // A cube line always spans the whole cube
+      return {
+        ...settings,
+        variant,
+        dimensions: 3,
+        boardSize,
+        winLength: boardSize
+      };
+    }
+
+    const boardSize = settings.boardSize || preset.boardSize || this.DEFAULT_BOARD_SIZE;
+    const winLength = settings.winLength || preset.winLength || Math.min(boardSize, this.DEFAULT_WIN_LENGTH);
+
+    if (!Number.isInteger(boardSize) || boardSize < this.MIN_BOARD_SIZE || boardSize > this.MAX_BOARD_SIZE) {
+      throw new Error(`Board size must be between ${this.MIN_BOARD_SIZE} and ${this.MAX_BOARD_SIZE}`);
+    }
+
+    if (!Number.isInteger(winLength) || winLength < this.MIN_WIN_LENGTH || winLength > boardSize) {
+      throw new Error(`Win length must be between ${this.MIN_WIN_LENGTH} and the board size`);
+    }
+
+    return {
+      ...settings,
+      variant,
+      dimensions: 2,
+      boardSize,
+      winLength
+    };
+  }
+
+  /**
+   * Normalize a time control
+   * @param {Object} timeControl - Requested time control {preset, perMoveSeconds, baseSeconds, incrementSeconds}
+   * @returns {Object|null} Complete time control or null for untimed games
+   */
+  normalizeTimeControl(timeControl) {
+    if (!timeControl) {
+      return null;
+    }
+
+    const preset = this.TIME_CONTROL_PRESETS[timeControl.preset] || {};
+    const perMoveSeconds = timeControl.perMoveSeconds || null;
+    const baseSeconds = timeControl.baseSeconds || preset.baseSeconds || null;
+    const incrementSeconds = baseSeconds
+      ? (timeControl.incrementSeconds ?? preset.incrementSeconds ?? 0)
+      : 0;
+
+    if (!perMoveSeconds && !baseSeconds) {
+      return null;
+    }
+
+    return {
+      ...(timeControl.preset && { preset: timeControl.preset }),
+      perMoveSeconds,
+      baseSeconds,
+      incrementSeconds
+    };
+  }
+
+  /**
+   * Resolve the series length of a room
+   * @param {number} bestOf - Requested best-of-N (optional)
+   * @returns {number} Series length, 1 for single games
+   */
+  normalizeSeriesLength(bestOf) {
+    if (bestOf === undefined || bestOf === null) {
+      return 1;
+    }
+
+    if (!this.SERIES_LENGTHS.includes(bestOf)) {
+      throw new Error(`Series must be best of ${this.SERIES_LENGTHS.join(', ')}`);
+    }
+
+    return bestOf;
+  }
+
+  /**
+   * Create a best-of-N series between the players of a room
+   * @param {number} bestOf - Series length
+   * @param {Array} players - The players
+   * @returns {Object} Series state
+   */
+  createSeries(bestOf, players) {
+    return {
+      bestOf,
+      winsNeeded: Math.ceil(bestOf / 2),
+      score: Object.fromEntries(players.map(p => [p.id, 0])),
+      draws: 0,
+      gamesPlayed: 0,
+      winner: null
+    };
+  }
+
+  /**
+   * Count a finished game towards its series
+   * Draws are replayed, so they don't bring either player closer to the win
+   * @param {Object} series - Series state (updated in place)
+   * @param {Object} gameState - Finished game state
+   * @returns {Object} Updated series
+   */
+  recordSeriesResult(series, gameState) {
+    series.gamesPlayed++;
+
+    if (gameState.winner && gameState.winner in series.score) {
+      series.score[gameState.winner]++;
+      if (series.score[gameState.winner] >= series.winsNeeded) {
+        series.winner = gameState.winner;
+      }
+    } else {
+      series.draws++;
+    }
+
+    return series;
+  }
+
+
+  /**
+   * Create the clock for a new game
+   * @param {Object|null} timeControl - Normalized time control
+   * @param {Array<string>} playerKeys - Seats that get a time bank
+   * @returns {Object|null} Clock state or null for untimed games
+   */
+  createClock(timeControl, playerKeys = ['player1', 'player2']) {
+    if (!timeControl) {
+      return null;
+    }
+
+    const baseMs = timeControl.baseSeconds ? timeControl.baseSeconds * 1000 : null;
+
+    return {
+      perMoveMs: timeControl.perMoveSeconds ? timeControl.perMoveSeconds * 1000 : null,
+      baseMs,
+      incrementMs: timeControl.incrementSeconds * 1000,
+      remaining: baseMs ? Object.fromEntries(playerKeys.map(key => [key, baseMs])) : null,
+      turnStartedAt: Date.now()
+    };
+  }
+
+  /**
+   * Get the clock as seen at a moment in time
+   * @param {Object} gameState - Game state
+   * @param {number} now - Current timestamp
+   * @returns {Object|null} Remaining bank per player and time left for the current move
+   */
+  getClockState(gameState, now = Date.now()) {
+    const clock = gameState.clock;
+    if (!clock) {
+      return null;
+    }
+
+    const running = gameState.status === 'playing';
+    const elapsed = running ? Math.max(0, now - clock.turnStartedAt) : 0;
+    const remaining = clock.remaining ? { ...clock.remaining } : null;
+
+    if (remaining && running) {
+      remaining[gameState.currentPlayer] = Math.max(0, remaining[gameState.currentPlayer] - elapsed);
+    }
+
+    return {
+      currentPlayer: gameState.currentPlayer,
+      remaining,
+      moveTimeLeft: clock.perMoveMs ? Math.max(0, clock.perMoveMs - elapsed) : null
+    };
+  }
+
+  /**
+   * Find the player whose time has run out
+   * @param {Object} gameState - Game state
+   * @param {number} now - Current timestamp
+   * @returns {string|null} Player key of the flagged player or null
+   */
+  findFlaggedPlayer(gameState, now = Date.now()) {
+    const clockState = this.getClockState(gameState, now);
+    if (!clockState || gameState.status !== 'playing') {
+      return null;
+    }
+
+    const bankEmpty = clockState.remaining && clockState.remaining[gameState.currentPlayer] <= 0;
+    const moveExpired = clockState.moveTimeLeft !== null && clockState.moveTimeLeft <= 0;
+
+    return bankEmpty || moveExpired ? gameState.currentPlayer : null;
+  }
+
+  /**
+   * Handle a player running out of time
+   * The game ends unless a free-for-all still has at least two players left
+   * @param {Object} gameState - Current game state
+   * @param {string} playerKey - Key of the player whose time ran out
+   * @returns {Object} Updated game state
+   */
+  timeoutGame(gameState, playerKey) {
+    const newGameState = JSON.parse(JSON.stringify(gameState));
+    const clockState = this.getClockState(gameState);
+    const endReason = clockState.remaining?.[playerKey] <= 0 ? 'time-bank' : 'move-limit';
+
+    if (newGameState.clock.remaining) {
+      newGameState.clock.remaining = clockState.remaining;
+    }
+
+    const remainingKeys = this.eliminatePlayer(newGameState, playerKey, endReason);
+    if (remainingKeys.length === 1) {
+      newGameState.status = 'finished';
+      newGameState.result = 'timeout';
+      newGameState.endReason = endReason;
+      newGameState.winner = newGameState.players[remainingKeys[0]].id;
+      newGameState.finishedAt = Date.now();
+
+      // Eliminations that leave the game running are logged by eliminatePlayer
+      logger.gameEvent('game_timeout', {
+        gameId: newGameState.id,
+        flagged: newGameState.players[playerKey].id,
+        winner: newGameState.winner,
+        reason: endReason
+      });
+    }
+
+    return newGameState;
+  }
+
+  /**
+   * Get the seats still in a game, in turn order
+   * @param {Object} gameState - Game state
+   * @returns {Array<string>} Player keys
+   */
+  getActivePlayerKeys(gameState) {
+    return Object.keys(gameState.players).filter(key => !gameState.players[key].eliminated);
+  }
+
+  /**
+   * Get the seat that moves after another one, skipping eliminated players
+   * @param {Object} gameState - Game state
+   * @param {string} playerKey - Seat that just moved
+   * @returns {string} Next player key
+   */
+  getNextPlayerKey(gameState, playerKey) {
+    const keys = Object.keys(gameState.players);
+    const start = keys.indexOf(playerKey);
+
+    for (let offset = 1; offset <= keys.length; offset++) {
+      const key = keys[(start + offset) % keys.length];
+      if (!gameState.players[key].eliminated) {
+        return key;
+      }
+    }
+
+    return playerKey;
+  }
+
+  /**
+   * Take a player out of a free-for-all; their marks stay on the board
+   * In a 1v1 game the player is only left out of the returned list
+   * @param {Object} gameState - Game state (mutated)
+   * @param {string} playerKey - Seat of the player leaving the game
+   * @param {string} reason - Why the player is out
+   * @returns {Array<string>} Player keys still in the game
+   */
+  eliminatePlayer(gameState, playerKey, reason) {
+    const remainingKeys = this.getActivePlayerKeys(gameState).filter(key => key !== playerKey);
+    if (remainingKeys.length < 2) {
+      return remainingKeys;
+    }
+
+    gameState.players[playerKey].eliminated = true;
+    gameState.players[playerKey].eliminatedReason = reason;
+
+    if (gameState.currentPlayer === playerKey) {
+      gameState.currentPlayer = this.getNextPlayerKey(gameState, playerKey);
+      if (gameState.clock) {
+        gameState.clock.turnStartedAt = Date.now();
+      }
+    }
+
+    logger.gameEvent('player_eliminated', {
+      gameId: gameState.id,
+      playerId: gameState.players[playerKey].id,
+      reason,
+      remaining: remainingKeys.length
+    });
+
+    return remainingKeys;
   }
 
   /**
    * Create a new game
    * @param {string} roomId - Room ID
-   * @param {Array} players - Array of player objects
+   * @param {Array} players - Array of player objects in turn order, with their picked character and skin
+   * @param {Object} settings - Board settings {variant, boardSize, winLength, playerCount, ruleset}
    * @returns {Object} Initial game state
    */
-  createGame(roomId, players) {
-    if (players.length !== 2) {
-      throw new Error('Game requires exactly 2 players');
+  createGame(roomId, players, settings = {}) {
+    const gameSettings = this.normalizeSettings(settings);
+
+    if (players.length !== gameSettings.playerCount) {
+      throw new Error(`Game requires exactly ${gameSettings.playerCount} players`);
     }
 
+    const seats = this.SEATS.slice(0, players.length);
+
     const gameState = {
       id: uuidv4(),
       roomId,
-      board: this.createEmptyBoard(),
-      players: {
-        player1: {
-          id: players[0].id,
-          name: players[0].name,
-          character: 'fire_warrior', // Default character
-          symbol: 'X'
-        },
-        player2: {
-          id: players[1].id,
-          name: players[1].name,
-          character: 'ice_guardian', // Default character
-          symbol: 'O'
-        }
-      },
+      settings: gameSettings,
+      board: this.createEmptyBoard(gameSettings.boardSize, gameSettings.dimensions),
+      players: Object.fromEntries(seats.map((seat, index) => [seat.key, {
+        id: players[index].id,
+        name: players[index].name,
+        character: players[index].character || seat.character,
+        skin: players[index].skin || 'default',
+        symbol: seat.symbol,
+        ...(players[index].isBot && { isBot: true, difficulty: players[index].difficulty })
+      }])),
       currentPlayer: 'player1',
       status: 'playing', // waiting, playing, finished, draw, abandoned
+      result: null, // win, draw, forfeit, timeout
+      endReason: null,
       winner: null,
+      winningLine: null,
       moveHistory: [],
+      clock: this.createClock(gameSettings.timeControl, seats.map(seat => seat.key)),
+      ...(gameSettings.ruleset === 'abilities' && {
+        abilities: Object.fromEntries(seats.map((seat, index) => [
+          seat.key,
+          this.createAbilities(players[index].character || seat.character)
+        ])),
+        frozen: [], // Pieces that don't count towards a line {x, y, z, playerKey, frozenBy}
+        thawed: [], // Pieces that thawed since their owner's last placement
+        turnAbilityUsed: false
+      }),
       createdAt: Date.now(),
       startedAt: Date.now(),
       lastMoveAt: Date.now()
@@ -65,50 +516,388 @@ class GameService {
     logger.gameEvent('game_created', {
       gameId: gameState.id,
       roomId,
-      players: players.map(p => ({ id: p.id, name: p.name }))
+      players: players.map(p => ({ id: p.id, name: p.name })),
+      variant: gameSettings.variant,
+      boardSize: gameSettings.boardSize,
+      winLength: gameSettings.winLength,
+      playerCount: gameSettings.playerCount
     });
 
     return gameState;
   }
 
   /**
-   * Create an empty 3x3 board
-   * @returns {Array} Empty board matrix
+   * Create an empty board
+   * @param {number} size - Board size along each axis
+   * @param {number} dimensions - 2 for a flat board, 3 for a cube
+   * @returns {Array} Empty board matrix (board[x][y] or board[x][y][z])
    */
-  createEmptyBoard() {
-    return Array(this.BOARD_SIZE).fill().map(() => Array(this.BOARD_SIZE).fill(null));
+  createEmptyBoard(size = this.DEFAULT_BOARD_SIZE, dimensions = 2) {
+    if (dimensions <= 1) {
+      return Array(size).fill(null);
+    }
+
+    return Array(size).fill().map(() => this.createEmptyBoard(size, dimensions - 1));
+  }
+
+  /**
+   * Get the number of dimensions of a board
+   * @param {Array} board - Game board
+   * @returns {number} 2 for a flat board, 3 for a cube
+   */
+  getDimensions(board) {
+    return Array.isArray(board[0]?.[0]) ? 3 : 2;
+  }
+
+  /**
+   * Get the win length configured for a game
+   * @param {Object} gameState - Game state
+   * @returns {number} Number of marks in a row needed to win
+   */
+  getWinLength(gameState) {
+    return gameState.settings?.winLength || Math.min(gameState.board.length, this.DEFAULT_WIN_LENGTH);
+  }
+
+  /**
+   * Get the line directions for a board
+   * @param {Array} board - Game board
+   * @returns {Array} Direction vectors
+   */
+  getLineDirections(board) {
+    return this.getDimensions(board) === 3 ? this.CUBE_LINE_DIRECTIONS : this.LINE_DIRECTIONS;
+  }
+
+  /**
+   * Convert move coordinates to a position array
+   * @param {Object} move - Move coordinates {x, y, z}
+   * @returns {Array} [x, y] or [x, y, z]
+   */
+  toPosition({ x, y, z }) {
+    return z === undefined || z === null ? [x, y] : [x, y, z];
+  }
+
+  /**
+   * Convert a position array to move coordinates
+   * @param {Array} position - [x, y] or [x, y, z]
+   * @returns {Object} Move coordinates {x, y} or {x, y, z}
+   */
+  toMove([x, y, z]) {
+    return z === undefined ? { x, y } : { x, y, z };
+  }
+
+  /**
+   * Read a cell
+   * @param {Array} board - Game board
+   * @param {Array} position - Cell position
+   * @returns {string|null} Player key or null
+   */
+  getCell(board, position) {
+    let cell = board;
+    for (const index of position) {
+      cell = cell[index];
+    }
+    return cell;
+  }
+
+  /**
+   * Write a cell
+   * @param {Array} board - Game board (mutated)
+   * @param {Array} position - Cell position
+   * @param {string|null} value - Player key or null
+   */
+  setCell(board, position, value) {
+    let row = board;
+    for (let i = 0; i < position.length - 1; i++) {
+      row = row[position[i]];
+    }
+    row[position[position.length - 1]] = value;
+  }
+
+  /**
+   * List every cell position of a board
+   * @param {Array} board - Game board
+   * @returns {Array} Positions in board order
+   */
+  getAllPositions(board) {
+    const size = board.length;
+    let positions = [[]];
+
+    for (let i = 0; i < this.getDimensions(board); i++) {
+      positions = positions.flatMap(position => {
+        const next = [];
+        for (let index = 0; index < size; index++) {
+          next.push([...position, index]);
+        }
+        return next;
+      });
+    }
+
+    return positions;
   }
 
   /**
    * Validate a move
    * @param {Object} gameState - Current game state
    * @param {string} playerId - ID of the player making the move
-   * @param {number} x - X coordinate (0-2)
-   * @param {number} y - Y coordinate (0-2)
+   * @param {number} x - X coordinate (0 to board size - 1)
+   * @param {number} y - Y coordinate (0 to board size - 1)
+   * @param {number} z - Z coordinate, cube variant only
    * @returns {Object} Validation result
    */
-  validateMove(gameState, playerId, x, y) {
+  validateMove(gameState, playerId, x, y, z) {
     // Check if game is in playing state
     if (gameState.status !== 'playing') {
       return {
         valid: false,
-        reason: 'GAME_NOT_ACTIVE',
-        message: 'Game is not currently active'
+        reason: 'GAME_NOT_ACTIVE',
+        message: 'Game is not currently active'
+      };
+    }
+
+    // Check if it's the player's turn
+    const currentPlayerId = gameState.players[gameState.currentPlayer]?.id;
+    if (playerId !== currentPlayerId) {
+      return {
+        valid: false,
+        reason: 'NOT_YOUR_TURN',
+        message: 'It is not your turn'
+      };
+    }
+
+    // Check the player still has time on the clock
+    if (this.findFlaggedPlayer(gameState)) {
+      return {
+        valid: false,
+        reason: 'TIME_EXPIRED',
+        message: 'Your time has run out'
+      };
+    }
+
+    // Check coordinates are valid and match the board's dimensions
+    const position = this.toPosition({ x, y, z });
+    if (position.length !== this.getDimensions(gameState.board) ||
+        !this.isValidPosition(position, gameState.board.length)) {
+      return {
+        valid: false,
+        reason: 'INVALID_COORDINATES',
+        message: 'Invalid board coordinates'
+      };
+    }
+
+    // Check if cell is empty
+    if (this.getCell(gameState.board, position) !== null) {
+      return {
+        valid: false,
+        reason: 'CELL_OCCUPIED',
+        message: 'Cell is already occupied'
+      };
+    }
+
+    return {
+      valid: true
+    };
+  }
+
+  /**
+   * Make a move
+   * @param {Object} gameState - Current game state
+   * @param {string} playerId - ID of the player making the move
+   * @param {number} x - X coordinate (0 to board size - 1)
+   * @param {number} y - Y coordinate (0 to board size - 1)
+   * @param {number} z - Z coordinate, cube variant only
+   * @returns {Object} Move result with updated game state
+   */
+  makeMove(gameState, playerId, x, y, z) {
+    // Validate the move first
+    const validation = this.validateMove(gameState, playerId, x, y, z);
+    if (!validation.valid) {
+      return {
+        success: false,
+        reason: validation.reason,
+        message: validation.message
+      };
+    }
+
+    // Create a copy of the game state to avoid mutations
+    const newGameState = JSON.parse(JSON.stringify(gameState));
+
+    // Apply the move
+    const currentPlayerKey = newGameState.currentPlayer;
+    const position = this.toPosition({ x, y, z });
+    
+    this.setCell(newGameState.board, position, currentPlayerKey);
+    newGameState.lastMoveAt = Date.now();
+
+    // Charge the time spent on this move and add the increment
+    if (newGameState.clock) {
+      const clock = newGameState.clock;
+      if (clock.remaining) {
+        const elapsed = newGameState.lastMoveAt - clock.turnStartedAt;
+        clock.remaining[currentPlayerKey] = Math.max(0, clock.remaining[currentPlayerKey] - elapsed) + clock.incrementMs;
+      }
+      clock.turnStartedAt = newGameState.lastMoveAt;
+    }
+
+    // Add to move history
+    newGameState.moveHistory.push({
+      playerId,
+      playerKey: currentPlayerKey,
+      ...this.toMove(position),
+      timestamp: Date.now(),
+      moveNumber: newGameState.moveHistory.length + 1
+    });
+
+    // Check for win condition around the last move only, plus the mover's pieces that thawed
+    // at the end of their previous turn and may complete a line the opponent didn't break
+    const thawed = (newGameState.thawed || [])
+      .map(piece => this.toPosition(piece))
+      .filter(thawedPosition => this.getCell(newGameState.board, thawedPosition) === currentPlayerKey);
+    const lineBoard = this.getLineBoard(newGameState);
+    const winLength = this.getWinLength(newGameState);
+    const winningLine = [position, ...thawed]
+      .reduce((line, candidate) => line || this.findLineThrough(lineBoard, candidate, winLength), null);
+    if (winningLine) {
+      newGameState.status = 'finished';
+      newGameState.result = 'win';
+      newGameState.winner = newGameState.players[currentPlayerKey].id;
+      newGameState.winningLine = winningLine;
+      newGameState.finishedAt = Date.now();
+      
+      logger.gameEvent('game_won', {
+        gameId: newGameState.id,
+        winner: newGameState.winner,
+        moves: newGameState.moveHistory.length
+      });
+    } else if (this.isBoardFull(newGameState.board)) {
+      // Check for draw
+      newGameState.status = 'draw';
+      newGameState.result = 'draw';
+      newGameState.finishedAt = Date.now();
+      
+      logger.gameEvent('game_draw', {
+        gameId: newGameState.id,
+        moves: newGameState.moveHistory.length
+      });
+    } else {
+      // Pass the turn to the next seat
+      newGameState.currentPlayer = this.getNextPlayerKey(newGameState, currentPlayerKey);
+    }
+
+    // Frozen pieces sat out this placement; they count again from the next one
+    if (newGameState.abilities) {
+      this.endAbilityTurn(newGameState, currentPlayerKey);
+    }
+
+    return {
+      success: true,
+      gameState: newGameState
+    };
+  }
+
+  /**
+   * Create the ability state of one seat in the abilities ruleset
+   * @param {string} characterId - The seat's character
+   * @returns {Object} {usesLeft, cooldown} by ability ID
+   */
+  createAbilities(characterId) {
+    return Object.fromEntries(Object.entries(this.characterService.getAbilities(characterId))
+      .map(([ability, definition]) => [ability, { usesLeft: 1, cooldown: definition.cooldown }]));
+  }
+
+  /**
+   * Get the ability state to send to clients
+   * @param {Object} gameState - Game state
+   * @returns {Object} {abilities, frozen}, empty outside the abilities ruleset
+   */
+  getAbilityState(gameState) {
+    if (!gameState.abilities) {
+      return {};
+    }
+
+    return {
+      abilities: gameState.abilities,
+      frozen: gameState.frozen
+    };
+  }
+
+  /**
+   * Validate the use of an ability
+   * @param {Object} gameState - Current game state
+   * @param {string} playerId - ID of the player using the ability
+   * @param {string} ability - Ability ID
+   * @param {Object} target - Target cell {x, y, z}
+   * @param {Object} destination - Destination cell {x, y, z}, for abilities that move a piece
+   * @returns {Object} Validation result
+   */
+  validateAbility(gameState, playerId, ability, target, destination) {
+    if (gameState.status !== 'playing') {
+      return {
+        valid: false,
+        reason: 'GAME_NOT_ACTIVE',
+        message: 'Game is not currently active'
+      };
+    }
+
+    if (!gameState.abilities) {
+      return {
+        valid: false,
+        reason: 'ABILITIES_DISABLED',
+        message: 'Abilities are not enabled in this game'
+      };
+    }
+
+    const playerKey = gameState.currentPlayer;
+    if (playerId !== gameState.players[playerKey]?.id) {
+      return {
+        valid: false,
+        reason: 'NOT_YOUR_TURN',
+        message: 'It is not your turn'
+      };
+    }
+
+    if (this.findFlaggedPlayer(gameState)) {
+      return {
+        valid: false,
+        reason: 'TIME_EXPIRED',
+        message: 'Your time has run out'
+      };
+    }
+
+    const power = gameState.abilities[playerKey][ability];
+    if (!power) {
+      return {
+        valid: false,
+        reason: 'UNKNOWN_ABILITY',
+        message: 'Your character does not have this ability'
+      };
+    }
+
+    if (power.usesLeft < 1) {
+      return {
+        valid: false,
+        reason: 'ABILITY_USED',
+        message: 'This ability has already been used'
       };
     }
 
-    // Check if it's the player's turn
-    const currentPlayerId = gameState.players[gameState.currentPlayer]?.id;
-    if (playerId !== currentPlayerId) {
+    if (power.cooldown > 0) {
       return {
         valid: false,
-        reason: 'NOT_YOUR_TURN',
-        message: 'It is not your turn'
+        reason: 'ABILITY_COOLDOWN',
+        message: `This ability is ready after ${power.cooldown} more move(s)`
+      };
+    }
+
+    if (gameState.turnAbilityUsed) {
+      return {
+        valid: false,
+        reason: 'ONE_ABILITY_PER_TURN',
+        message: 'Only one ability can be used per turn'
       };
     }
 
-    // Check coordinates are valid
-    if (!this.isValidCoordinate(x, y)) {
+    const position = this.toPosition(target);
+    if (!this.isOnBoard(gameState.board, position)) {
       return {
         valid: false,
         reason: 'INVALID_COORDINATES',
@@ -116,31 +905,82 @@ class GameService {
       };
     }
 
-    // Check if cell is empty
-    if (gameState.board[x][y] !== null) {
+    const targetError = this.getAbilityTargetError(gameState, playerKey, ability, position);
+    if (targetError) {
       return {
         valid: false,
-        reason: 'CELL_OCCUPIED',
-        message: 'Cell is already occupied'
+        reason: 'INVALID_TARGET',
+        message: targetError
       };
     }
 
+    // Gust blows the piece to a neighbouring empty cell
+    if (ability === 'gust') {
+      const to = destination ? this.toPosition(destination) : null;
+      if (!to || !this.isOnBoard(gameState.board, to) || !this.areNeighbours(position, to) ||
+          this.getCell(gameState.board, to) !== null) {
+        return {
+          valid: false,
+          reason: 'INVALID_DESTINATION',
+          message: 'The piece can only be moved to a neighbouring empty cell'
+        };
+      }
+    }
+
     return {
       valid: true
     };
   }
 
   /**
-   * Make a move
+   * Check an ability's target cell
    * @param {Object} gameState - Current game state
-   * @param {string} playerId - ID of the player making the move
-   * @param {number} x - X coordinate (0-2)
-   * @param {number} y - Y coordinate (0-2)
-   * @returns {Object} Move result with updated game state
+   * @param {string} playerKey - Seat using the ability
+   * @param {string} ability - Ability ID
+   * @param {Array} position - Target position
+   * @returns {string|null} Why the cell can't be targeted, or null if it can
    */
-  makeMove(gameState, playerId, x, y) {
-    // Validate the move first
-    const validation = this.validateMove(gameState, playerId, x, y);
+  getAbilityTargetError(gameState, playerKey, ability, position) {
+    const cell = this.getCell(gameState.board, position);
+    const { target } = CharacterService.ABILITIES[ability];
+
+    if (target === 'empty' && cell !== null) {
+      return 'Target an empty cell';
+    }
+
+    if (target === 'own' && cell !== playerKey) {
+      return 'Target one of your own pieces';
+    }
+
+    if (target === 'opponent' && (cell === null || cell === playerKey || cell === this.BURNED)) {
+      return 'Target an opponent\'s piece';
+    }
+
+    // A frozen piece can't be frozen again or blown away, but a quake still shatters it
+    if (ability !== 'quake' && this.isFrozen(gameState, position)) {
+      return 'That piece is frozen';
+    }
+
+    if (ability === 'quake' && !this.getNeighbours(gameState.board, position)
+      .some(neighbour => this.getCell(gameState.board, neighbour) === playerKey)) {
+      return 'Quake needs one of your pieces next to the target';
+    }
+
+    return null;
+  }
+
+  /**
+   * Use an ability
+   * Using an ability does not end the turn: the player still places a piece afterwards
+   * @param {Object} gameState - Current game state
+   * @param {string} playerId - ID of the player using the ability
+   * @param {string} ability - Ability ID
+   * @param {Object} target - Target cell {x, y, z}
+   * @param {Object} destination - Destination cell {x, y, z}, for abilities that move a piece
+   * @returns {Object} Ability result with updated game state
+   */
+  useAbility(gameState, playerId, ability, target, destination) {
+    const validation = this.validateAbility(gameState, playerId, ability, target, destination);
     if (!validation.valid) {
       return {
         success: false,
@@ -149,52 +989,61 @@ class GameService {
       };
     }
 
-    // Create a copy of the game state to avoid mutations
     const newGameState = JSON.parse(JSON.stringify(gameState));
+    const playerKey = newGameState.currentPlayer;
+    const position = this.toPosition(target);
 
-    // Apply the move
-    const currentPlayerKey = newGameState.currentPlayer;
-    const playerSymbol = newGameState.players[currentPlayerKey].symbol;
-    
-    newGameState.board[x][y] = currentPlayerKey;
-    newGameState.lastMoveAt = Date.now();
-
-    // Add to move history
-    newGameState.moveHistory.push({
+    const entry = {
+      type: 'ability',
+      ability,
       playerId,
-      playerKey: currentPlayerKey,
-      x,
-      y,
+      playerKey,
+      ...this.toMove(position),
+      ...(ability === 'gust' && { to: this.toMove(this.toPosition(destination)) }),
       timestamp: Date.now(),
       moveNumber: newGameState.moveHistory.length + 1
-    });
+    };
+
+    if (ability === 'freeze') {
+      newGameState.frozen.push({
+        ...this.toMove(position),
+        playerKey: this.getCell(newGameState.board, position),
+        frozenBy: playerKey
+      });
+    } else if (ability === 'quake') {
+      newGameState.frozen = newGameState.frozen
+        .filter(piece => !this.isSamePosition(this.toPosition(piece), position));
+    }
+
+    this.applyAbilityToBoard(newGameState.board, entry);
+    newGameState.abilities[playerKey][ability].usesLeft--;
+    newGameState.turnAbilityUsed = true;
+    newGameState.moveHistory.push(entry);
+    newGameState.lastMoveAt = Date.now();
 
-    // Check for win condition
-    const winner = this.checkWinner(newGameState.board);
-    if (winner) {
+    // A piece blown into place can complete a line; burning the last empty cell ends the game
+    const winningLine = ability === 'gust'
+      ? this.findLineThrough(this.getLineBoard(newGameState), this.toPosition(entry.to), this.getWinLength(newGameState))
+      : null;
+    if (winningLine) {
       newGameState.status = 'finished';
-      newGameState.winner = newGameState.players[winner].id;
+      newGameState.result = 'win';
+      newGameState.winner = playerId;
+      newGameState.winningLine = winningLine;
       newGameState.finishedAt = Date.now();
-      
-      logger.gameEvent('game_won', {
-        gameId: newGameState.id,
-        winner: newGameState.winner,
-        moves: newGameState.moveHistory.length
-      });
     } else if (this.isBoardFull(newGameState.board)) {
-      // Check for draw
       newGameState.status = 'draw';
+      newGameState.result = 'draw';
       newGameState.finishedAt = Date.now();
-      
-      logger.gameEvent('game_draw', {
-        gameId: newGameState.id,
-        moves: newGameState.moveHistory.length
-      });
-    } else {
-      // Switch to next player
-      newGameState.currentPlayer = currentPlayerKey === 'player1' ? 'player2' : 'player1';
     }
 
+    logger.gameEvent('ability_used', {
+      gameId: newGameState.id,
+      playerId,
+      ability,
+      status: newGameState.status
+    });
+
     return {
       success: true,
       gameState: newGameState
@@ -202,67 +1051,352 @@ class GameService {
   }
 
   /**
-   * Check if coordinates are valid
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @returns {boolean} Whether coordinates are valid
+   * Apply the board effect of an ability history entry
+   * Freeze leaves the board as it is; frozen pieces are tracked in the game state
+   * @param {Array} board - Game board (mutated)
+   * @param {Object} entry - Ability entry {ability, x, y, z, to}
    */
-  isValidCoordinate(x, y) {
-    return Number.isInteger(x) && Number.isInteger(y) && 
-           x >= 0 && x < this.BOARD_SIZE && 
-           y >= 0 && y < this.BOARD_SIZE;
+  applyAbilityToBoard(board, entry) {
+    const position = this.toPosition(entry);
+
+    if (entry.ability === 'burn') {
+      this.setCell(board, position, this.BURNED);
+    } else if (entry.ability === 'quake') {
+      this.setCell(board, position, null);
+    } else if (entry.ability === 'gust') {
+      this.setCell(board, this.toPosition(entry.to), this.getCell(board, position));
+      this.setCell(board, position, null);
+    }
   }
 
   /**
-   * Check for winner
+   * Finish a player's turn in the abilities ruleset
+   * Their cooldowns tick down and their frozen pieces thaw; thawed pieces are remembered
+   * so the seat's next placement also checks the lines through them
+   * @param {Object} gameState - Game state (mutated)
+   * @param {string} playerKey - Seat that just placed a piece
+   */
+  endAbilityTurn(gameState, playerKey) {
+    for (const power of Object.values(gameState.abilities[playerKey])) {
+      power.cooldown = Math.max(0, power.cooldown - 1);
+    }
+
+    gameState.thawed = [
+      ...(gameState.thawed || []).filter(piece => piece.playerKey !== playerKey),
+      ...gameState.frozen.filter(piece => piece.playerKey === playerKey)
+    ];
+    gameState.frozen = gameState.frozen.filter(piece => piece.playerKey !== playerKey);
+    gameState.turnAbilityUsed = false;
+  }
+
+  /**
+   * Get the board used to look for lines, with frozen pieces left out
+   * @param {Object} gameState - Game state
+   * @returns {Array} Game board (a copy when pieces are frozen)
+   */
+  getLineBoard(gameState) {
+    if (!gameState.frozen?.length) {
+      return gameState.board;
+    }
+
+    const board = JSON.parse(JSON.stringify(gameState.board));
+    for (const piece of gameState.frozen) {
+      this.setCell(board, this.toPosition(piece), null);
+    }
+    return board;
+  }
+
+  /**
+   * Check whether a piece is frozen
+   * @param {Object} gameState - Game state
+   * @param {Array} position - Cell position
+   * @returns {boolean} Whether the piece is frozen
+   */
+  isFrozen(gameState, position) {
+    return (gameState.frozen || []).some(piece => this.isSamePosition(this.toPosition(piece), position));
+  }
+
+  /**
+   * Get the placed pieces of a move history, leaving out abilities
+   * @param {Array} moveHistory - Move history
+   * @returns {Array} Piece placements
+   */
+  getPlacements(moveHistory) {
+    return moveHistory.filter(move => move.type !== 'ability');
+  }
+
+  /**
+   * Count the moves a takeback by a player has to undo
+   * That is the player's own last move plus any reply the opponent has made since
+   * @param {Object} gameState - Current game state
+   * @param {string} playerId - ID of the player asking for the takeback
+   * @returns {number} Moves to undo, 0 if the player has nothing to take back
+   */
+  getTakebackMoveCount(gameState, playerId) {
+    const history = gameState.moveHistory;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].playerId === playerId) {
+        return history.length - i;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Undo the last moves of a running game
+   * The player to move is charged for the time they have used so far, and every undone
+   * move gives back the increment it earned
+   * @param {Object} gameState - Current game state
+   * @param {number} count - Number of moves to undo
+   * @returns {Object} Takeback result with updated game state and undone moves
+   */
+  takebackMoves(gameState, count) {
+    if (gameState.status !== 'playing') {
+      return {
+        success: false,
+        reason: 'GAME_NOT_ACTIVE',
+        message: 'Game is not active'
+      };
+    }
+
+    if (count < 1 || count > gameState.moveHistory.length) {
+      return {
+        success: false,
+        reason: 'NOTHING_TO_UNDO',
+        message: 'There are no moves to take back'
+      };
+    }
+
+    const newGameState = JSON.parse(JSON.stringify(gameState));
+    const now = Date.now();
+
+    if (newGameState.clock) {
+      const clock = newGameState.clock;
+      if (clock.remaining) {
+        const playerKey = newGameState.currentPlayer;
+        clock.remaining[playerKey] = Math.max(0, clock.remaining[playerKey] - (now - clock.turnStartedAt));
+      }
+      clock.turnStartedAt = now;
+    }
+
+    const undoneMoves = newGameState.moveHistory.splice(-count);
+    for (const move of undoneMoves) {
+      this.setCell(newGameState.board, this.toPosition(move), null);
+
+      // The increment was earned by the move, so it goes with it
+      if (newGameState.clock?.remaining) {
+        const remaining = newGameState.clock.remaining;
+        remaining[move.playerKey] = Math.max(0, remaining[move.playerKey] - newGameState.clock.incrementMs);
+      }
+    }
+
+    newGameState.currentPlayer = undoneMoves[0].playerKey;
+    newGameState.lastMoveAt = now;
+
+    logger.gameEvent('moves_taken_back', {
+      gameId: newGameState.id,
+      count,
+      moves: newGameState.moveHistory.length
+    });
+
+    return {
+      success: true,
+      gameState: newGameState,
+      undoneMoves
+    };
+  }
+
+  /**
+   * Forfeit a game on behalf of a player
+   * A 1v1 game ends in favour of the opponent; a free-for-all plays on
+   * until only one player is left
+   * @param {Object} gameState - Current game state
+   * @param {string} playerId - ID of the forfeiting player
+   * @param {string} reason - Why the game was forfeited (e.g. disconnect)
+   * @returns {Object} Forfeit result with updated game state
+   */
+  forfeitGame(gameState, playerId, reason) {
+    if (gameState.status !== 'playing') {
+      return {
+        success: false,
+        reason: 'GAME_NOT_ACTIVE',
+        message: 'Game is not currently active'
+      };
+    }
+
+    const loserKey = Object.keys(gameState.players)
+      .find(key => gameState.players[key]?.id === playerId);
+    if (!loserKey) {
+      return {
+        success: false,
+        reason: 'NOT_IN_GAME',
+        message: 'Player is not part of this game'
+      };
+    }
+
+    if (gameState.players[loserKey].eliminated) {
+      return {
+        success: false,
+        reason: 'PLAYER_ELIMINATED',
+        message: 'Player is already out of this game'
+      };
+    }
+
+    const newGameState = JSON.parse(JSON.stringify(gameState));
+    const remainingKeys = this.eliminatePlayer(newGameState, loserKey, reason);
+    if (remainingKeys.length > 1) {
+      return {
+        success: true,
+        gameState: newGameState
+      };
+    }
+
+    newGameState.status = 'finished';
+    newGameState.result = 'forfeit';
+    newGameState.endReason = reason;
+    newGameState.winner = newGameState.players[remainingKeys[0]].id;
+    newGameState.finishedAt = Date.now();
+
+    logger.gameEvent('game_forfeited', {
+      gameId: newGameState.id,
+      loser: playerId,
+      winner: newGameState.winner,
+      reason
+    });
+
+    return {
+      success: true,
+      gameState: newGameState
+    };
+  }
+
+  /**
+   * Check if a position lies on the board
+   * @param {Array} position - [x, y] or [x, y, z]
+   * @param {number} size - Board size
+   * @returns {boolean} Whether the position is valid
+   */
+  isValidPosition(position, size = this.DEFAULT_BOARD_SIZE) {
+    return position.every(index => Number.isInteger(index) && index >= 0 && index < size);
+  }
+
+  /**
+   * Check if a position lies on a board and matches its dimensions
    * @param {Array} board - Game board
-   * @returns {string|null} Winner player key or null
+   * @param {Array} position - [x, y] or [x, y, z]
+   * @returns {boolean} Whether the position is on the board
+   */
+  isOnBoard(board, position) {
+    return position.length === this.getDimensions(board) && this.isValidPosition(position, board.length);
+  }
+
+  /**
+   * Check if two positions are the same cell
+   * @param {Array} a - First position
+   * @param {Array} b - Second position
+   * @returns {boolean} Whether they are the same cell
+   */
+  isSamePosition(a, b) {
+    return a.length === b.length && a.every((index, axis) => index === b[axis]);
+  }
+
+  /**
+   * Check if two cells touch, sideways or diagonally
+   * @param {Array} a - First position
+   * @param {Array} b - Second position
+   * @returns {boolean} Whether the cells are neighbours
+   */
+  areNeighbours(a, b) {
+    return !this.isSamePosition(a, b) && a.every((index, axis) => Math.abs(index - b[axis]) <= 1);
+  }
+
+  /**
+   * List the cells touching a cell, sideways or diagonally
+   * @param {Array} board - Game board
+   * @param {Array} position - Cell position
+   * @returns {Array} Neighbouring positions on the board
    */
-  checkWinner(board) {
-    for (const combination of this.WINNING_COMBINATIONS) {
-      const [pos1, pos2, pos3] = combination;
-      const cell1 = board[pos1[0]][pos1[1]];
-      const cell2 = board[pos2[0]][pos2[1]];
-      const cell3 = board[pos3[0]][pos3[1]];
+  getNeighbours(board, position) {
+    return this.getLineDirections(board)
+      .flatMap(direction => [1, -1].map(sign => position.map((index, axis) => index + direction[axis] * sign)))
+      .filter(neighbour => this.isValidPosition(neighbour, board.length));
+  }
+
+  /**
+   * Find a winning line passing through a cell
+   * Only the lines around the given cell are inspected, so this is cheap to run after every move
+   * @param {Array} board - Game board
+   * @param {Array} position - Cell position
+   * @param {number} winLength - Marks in a row needed to win
+   * @returns {Array|null} Coordinates of the line or null
+   */
+  findLineThrough(board, position, winLength = this.DEFAULT_WIN_LENGTH) {
+    const size = board.length;
+    const playerKey = this.getCell(board, position);
+    if (!playerKey || playerKey === this.BURNED) {
+      return null;
+    }
+
+    for (const direction of this.getLineDirections(board)) {
+      const line = [position];
+
+      // Walk forwards, then backwards
+      for (const sign of [1, -1]) {
+        let current = position.map((index, axis) => index + direction[axis] * sign);
+        while (this.isValidPosition(current, size) && this.getCell(board, current) === playerKey) {
+          if (sign === 1) line.push(current);
+          else line.unshift(current);
+          current = current.map((index, axis) => index + direction[axis] * sign);
+        }
+      }
 
-      if (cell1 && cell1 === cell2 && cell2 === cell3) {
-        return cell1; // Return the player key (player1 or player2)
+      if (line.length >= winLength) {
+        return line;
       }
     }
 
     return null;
   }
 
+  /**
+   * Check for winner
+   * @param {Array} board - Game board
+   * @param {number} winLength - Marks in a row needed to win
+   * @returns {string|null} Winner player key or null
+   */
+  checkWinner(board, winLength = this.DEFAULT_WIN_LENGTH) {
+    const combination = this.getWinningCombination(board, winLength);
+    if (combination) {
+      return this.getCell(board, combination[0]); // Return the player key (player1 or player2)
+    }
+
+    return null;
+  }
+
   /**
    * Check if board is full
    * @param {Array} board - Game board
    * @returns {boolean} Whether board is full
    */
   isBoardFull(board) {
-    for (let x = 0; x < this.BOARD_SIZE; x++) {
-      for (let y = 0; y < this.BOARD_SIZE; y++) {
-        if (board[x][y] === null) {
-          return false;
-        }
-      }
-    }
-    return true;
+    return board.flat(Infinity).every(cell => cell !== null);
   }
 
   /**
    * Get winning combination if game is won
    * @param {Array} board - Game board
+   * @param {number} winLength - Marks in a row needed to win
    * @returns {Array|null} Winning combination coordinates or null
    */
-  getWinningCombination(board) {
-    for (const combination of this.WINNING_COMBINATIONS) {
-      const [pos1, pos2, pos3] = combination;
-      const cell1 = board[pos1[0]][pos1[1]];
-      const cell2 = board[pos2[0]][pos2[1]];
-      const cell3 = board[pos3[0]][pos3[1]];
-
-      if (cell1 && cell1 === cell2 && cell2 === cell3) {
-        return combination;
+  getWinningCombination(board, winLength = this.DEFAULT_WIN_LENGTH) {
+    for (const position of this.getAllPositions(board)) {
+      if (this.getCell(board, position) !== null) {
+        const line = this.findLineThrough(board, position, winLength);
+        if (line) {
+          return line;
+        }
       }
     }
 
@@ -272,20 +1406,12 @@ class GameService {
   /**
    * Get available moves
    * @param {Array} board - Game board
-   * @returns {Array} Array of available move coordinates
+   * @returns {Array} Array of available move coordinates ({x, y} or {x, y, z})
    */
   getAvailableMoves(board) {
-    const moves = [];
-    
-    for (let x = 0; x < this.BOARD_SIZE; x++) {
-      for (let y = 0; y < this.BOARD_SIZE; y++) {
-        if (board[x][y] === null) {
-          moves.push({ x, y });
-        }
-      }
-    }
-
-    return moves;
+    return this.getAllPositions(board)
+      .filter(position => this.getCell(board, position) === null)
+      .map(position => this.toMove(position));
   }
 
   /**
@@ -298,82 +1424,40 @@ class GameService {
       ? gameState.finishedAt - gameState.startedAt 
       : Date.now() - gameState.startedAt;
 
-    const player1Moves = gameState.moveHistory.filter(move => move.playerKey === 'player1').length;
-    const player2Moves = gameState.moveHistory.filter(move => move.playerKey === 'player2').length;
+    const placements = this.getPlacements(gameState.moveHistory);
+    const movesByPlayer = Object.fromEntries(Object.keys(gameState.players).map(key => [
+      `${key}Moves`,
+      placements.filter(move => move.playerKey === key).length
+    ]));
 
     return {
       duration,
-      totalMoves: gameState.moveHistory.length,
-      player1Moves,
-      player2Moves,
-      averageTimePerMove: gameState.moveHistory.length > 0 ? duration / gameState.moveHistory.length : 0,
+      totalMoves: placements.length,
+      ...movesByPlayer,
+      averageTimePerMove: placements.length > 0 ? duration / placements.length : 0,
       status: gameState.status,
       winner: gameState.winner
     };
   }
 
-  /**
-   * Simulate AI move (for future AI opponent feature)
-   * @param {Array} board - Game board
-   * @param {string} playerKey - AI player key
-   * @returns {Object|null} Best move coordinates or null
-   */
-  getAIMove(board, playerKey) {
-    // Simple AI: try to win, then block opponent, then take center, then corners, then edges
-    const opponent = playerKey === 'player1' ? 'player2' : 'player1';
-
-    // Try to win
-    const winMove = this.findWinningMove(board, playerKey);
-    if (winMove) return winMove;
-
-    // Try to block opponent
-    const blockMove = this.findWinningMove(board, opponent);
-    if (blockMove) return blockMove;
-
-    // Take center if available
-    if (board[1][1] === null) {
-      return { x: 1, y: 1 };
-    }
-
-    // Take corners
-    const corners = [[0, 0], [0, 2], [2, 0], [2, 2]];
-    for (const [x, y] of corners) {
-      if (board[x][y] === null) {
-        return { x, y };
-      }
-    }
-
-    // Take edges
-    const edges = [[0, 1], [1, 0], [1, 2], [2, 1]];
-    for (const [x, y] of edges) {
-      if (board[x][y] === null) {
-        return { x, y };
-      }
-    }
-
-    return null;
-  }
-
   /**
    * Find winning move for a player
    * @param {Array} board - Game board
    * @param {string} playerKey - Player key
+   * @param {number} winLength - Marks in a row needed to win
    * @returns {Object|null} Winning move coordinates or null
    */
-  findWinningMove(board, playerKey) {
-    for (let x = 0; x < this.BOARD_SIZE; x++) {
-      for (let y = 0; y < this.BOARD_SIZE; y++) {
-        if (board[x][y] === null) {
-          // Try this move
-          board[x][y] = playerKey;
-          
-          if (this.checkWinner(board) === playerKey) {
-            board[x][y] = null; // Undo move
-            return { x, y };
-          }
-          
-          board[x][y] = null; // Undo move
-        }
+  findWinningMove(board, playerKey, winLength = this.DEFAULT_WIN_LENGTH) {
+    for (const move of this.getAvailableMoves(board)) {
+      const position = this.toPosition(move);
+
+      // Try this move
+      this.setCell(board, position, playerKey);
+      const wins = this.findLineThrough(board, position, winLength) !== null;
+      this.setCell(board, position, null); // Undo move
+
+      if (wins) {
+        return move;
       }
     }
     
@@ -395,23 +1479,41 @@ class GameService {
     if (!gameState.players) errors.push('Missing players');
 
     // Check board structure
+    const boardSize = gameState.settings?.boardSize || this.DEFAULT_BOARD_SIZE;
+    const dimensions = gameState.settings?.dimensions || 2;
     if (gameState.board && !Array.isArray(gameState.board)) {
       errors.push('Board must be an array');
-    } else if (gameState.board && gameState.board.length !== this.BOARD_SIZE) {
-      errors.push(`Board must be ${this.BOARD_SIZE}x${this.BOARD_SIZE}`);
+    } else if (gameState.board && !this.hasBoardShape(gameState.board, boardSize, dimensions)) {
+      errors.push(`Board must be ${Array(dimensions).fill(boardSize).join('x')}`);
+    }
+
+    // Check win rule
+    if (gameState.settings && gameState.settings.winLength > boardSize) {
+      errors.push('Win length cannot exceed board size');
     }
 
-    // Check players
+    // Check players: seats are filled in order, from player1 up
+    const playerCount = gameState.settings?.playerCount || 2;
+    const seatKeys = this.SEATS.slice(0, playerCount).map(seat => seat.key);
     if (gameState.players) {
-      if (!gameState.players.player1) errors.push('Missing player1');
-      if (!gameState.players.player2) errors.push('Missing player2');
+      for (const key of seatKeys) {
+        if (!gameState.players[key]) errors.push(`Missing ${key}`);
+      }
+      if (Object.keys(gameState.players).some(key => !seatKeys.includes(key))) {
+        errors.push(`Game must have exactly ${playerCount} players`);
+      }
     }
 
     // Check current player
-    if (gameState.currentPlayer && !['player1', 'player2'].includes(gameState.currentPlayer)) {
+    if (gameState.currentPlayer && !seatKeys.includes(gameState.currentPlayer)) {
       errors.push('Invalid current player');
     }
 
+    // Check clock
+    if (gameState.clock && gameState.clock.baseMs && !gameState.clock.remaining) {
+      errors.push('Clock is missing remaining time');
+    }
+
     // Check status
     if (gameState.status && !['waiting', 'playing', 'finished', 'draw', 'abandoned'].includes(gameState.status)) {
       errors.push('Invalid game status');
@@ -422,6 +1524,25 @@ class GameService {
       errors
     };
   }
+
+  /**
+   * Check that a board has the expected size along every axis
+   * @param {Array} board - Board or sub-board
+   * @param {number} size - Expected size
+   * @param {number} dimensions - Remaining dimensions
+   * @returns {boolean} Whether the board has that shape
+   */
+  hasBoardShape(board, size, dimensions) {
+    if (!Array.isArray(board) || board.length !== size) {
+      return false;
+    }
+
+    if (dimensions === 1) {
+      return board.every(cell => !Array.isArray(cell));
+    }
+
+    return board.every(row => this.hasBoardShape(row, size, dimensions - 1));
+  }
 }
 
 module.exports = GameService;
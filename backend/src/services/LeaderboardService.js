@@ -0,0 +1,173 @@
+/**
+ * Leaderboard Service
+ * Ranks players by rating, or by results in finished games over a recent window
+ */
+
+const { getDatabase } = require('../config/database');
+
+class LeaderboardService {
+  constructor() {
+    // Rolling windows in milliseconds; null ranks by current rating over all time
+    this.PERIODS = {
+      all: null,
+      monthly: 30 * 24 * 60 * 60 * 1000,
+      weekly: 7 * 24 * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Get one page of the leaderboard
+   * @param {Object} options - {period, page, limit, minGames, playerId}
+   * @returns {Promise<Object>} {period, page, limit, total, totalPages, minGames, entries, player}
+   */
+  async getLeaderboard({ period = 'all', page = 1, limit = 20, minGames = 1, playerId = null } = {}) {
+    const db = getDatabase();
+    const { sql, params } = this.buildRankingQuery(period, minGames);
+
+    const rows = await db.all(
+      `${sql} SELECT * FROM ranked ORDER BY rank, name LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+    const { total } = await db.get(`${sql} SELECT COUNT(*) AS total FROM ranked`, params);
+
+    // The caller's row is looked up separately so it is there even off the current page
+    const playerRow = playerId
+      ? await db.get(`${sql} SELECT * FROM ranked WHERE id = ?`, [...params, playerId])
+      : null;
+
+    const streaks = await this.getStreaks([
+      ...rows.map(row => row.id),
+      ...(playerRow ? [playerRow.id] : [])
+    ]);
+
+    return {
+      period,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      minGames,
+      entries: rows.map(row => this.formatEntry(row, period, streaks)),
+      player: playerRow ? this.formatEntry(playerRow, period, streaks) : null
+    };
+  }
+
+  /**
+   * Build the CTE that ranks every eligible player for a period
+   * Bots are rated like players but are left off the leaderboard
+   * @param {string} period - all, monthly or weekly
+   * @param {number} minGames - Games needed in the period to be listed
+   * @returns {Object} {sql, params} ending in a "ranked" CTE
+   */
+  buildRankingQuery(period, minGames) {
+    const windowMs = this.PERIODS[period];
+
+    if (!windowMs) {
+      return {
+        sql: `
+          WITH ranked AS (
+            SELECT id, name, rating, games_played, games_won,
+              RANK() OVER (ORDER BY rating DESC) AS rank
+            FROM players
+            WHERE games_played >= ? AND id NOT LIKE 'bot\\_%' ESCAPE '\\'
+          )`,
+        params: [minGames]
+      };
+    }
+
+    // Only rated games have rating_history rows, so imported games never count;
+    // free-for-all rows belong to the separate free-for-all rating
+    return {
+      sql: `
+        WITH totals AS (
+          SELECT rh.player_id,
+            COUNT(*) AS games_played,
+            SUM(rh.score = 1) AS games_won,
+            SUM(rh.score) AS points,
+            SUM(rh.rating_after - rh.rating_before) AS rating_change
+          FROM rating_history rh
+          JOIN games g ON g.id = rh.game_id
+          WHERE rh.mode = 'duel' AND g.status IN ('finished', 'draw') AND g.finished_at >= ?
+          GROUP BY rh.player_id
+          HAVING COUNT(*) >= ?
+        ),
+        ranked AS (
+          SELECT p.id, p.name, p.rating, t.games_played, t.games_won, t.points, t.rating_change,
+            RANK() OVER (ORDER BY t.points DESC, t.rating_change DESC) AS rank
+          FROM totals t
+          JOIN players p ON p.id = t.player_id
+          WHERE p.id NOT LIKE 'bot\\_%' ESCAPE '\\'
+        )`,
+      params: [new Date(Date.now() - windowMs).toISOString(), Math.max(1, minGames)]
+    };
+  }
+
+  /**
+   * Get each player's current run of wins, losses or draws in rated 1v1 games
+   * @param {Array<string>} playerIds - Player IDs
+   * @returns {Promise<Map>} Streak {type, count} by player ID
+   */
+  async getStreaks(playerIds) {
+    const streaks = new Map();
+    if (playerIds.length === 0) {
+      return streaks;
+    }
+
+    const db = getDatabase();
+    const ids = [...new Set(playerIds)];
+    const history = await db.all(`
+      SELECT player_id, score
+      FROM rating_history
+      WHERE mode = 'duel' AND player_id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY id DESC
+    `, ids);
+
+    const finished = new Set(); // Players whose streak was already broken
+    for (const { player_id: id, score } of history) {
+      if (finished.has(id)) {
+        continue;
+      }
+
+      const type = score === 1 ? 'win' : score === 0 ? 'loss' : 'draw';
+      const streak = streaks.get(id);
+
+      if (!streak) {
+        streaks.set(id, { type, count: 1 });
+      } else if (streak.type === type) {
+        streak.count++;
+      } else {
+        finished.add(id);
+      }
+    }
+
+    return streaks;
+  }
+
+  /**
+   * Format a ranked row as a leaderboard entry
+   * @param {Object} row - Row from the ranked CTE
+   * @param {string} period - Leaderboard period
+   * @param {Map} streaks - Streaks by player ID
+   * @returns {Object} Leaderboard entry
+   */
+  formatEntry(row, period, streaks) {
+    return {
+      rank: row.rank,
+      playerId: row.id,
+      name: row.name,
+      rating: row.rating,
+      gamesPlayed: row.games_played,
+      gamesWon: row.games_won,
+      winRate: row.games_played > 0
+        ? Math.round((row.games_won / row.games_played) * 1000) / 10 // Percent, one decimal
+        : 0,
+      streak: streaks.get(row.id) || null,
+      ...(period !== 'all' && {
+        points: row.points,
+        ratingChange: row.rating_change
+      })
+    };
+  }
+}
+
+module.exports = LeaderboardService;
@@ -0,0 +1,177 @@
+/**
+ * Live Games Service
+ * Directory of public games in progress for spectators
+ */
+
+const logger = require('../utils/logger');
+const { getDatabase } = require('../config/database');
+
+class LiveGamesService {
+  constructor() {
+    this.SORT_OPTIONS = ['rating', 'spectators', 'closeness'];
+    this.DEFAULT_LIMIT = 20;
+    this.live = null; // {io, gameController, roomController}, set once sockets are configured
+  }
+
+  /**
+   * Register the live sources and push directory updates as games start and finish
+   * @param {Object} sources - {io, gameController, roomController}
+   */
+  setLiveSources(sources) {
+    this.live = sources;
+
+    // RoomController subscribed first, so a finished room is already marked when this runs
+    sources.gameController.on('game-started', () => this.broadcastUpdate());
+    sources.gameController.on('game-ended', () => this.broadcastUpdate());
+  }
+
+  /**
+   * List public, watchable games in progress
+   * @param {Object} options - {sortBy, limit}
+   * @returns {Promise<Array>} Live game entries
+   */
+  async getLiveGames({ sortBy = 'rating', limit = this.DEFAULT_LIMIT } = {}) {
+    if (!this.live) {
+      return [];
+    }
+
+    const { gameController, roomController } = this.live;
+    const games = [];
+
+    for (const room of roomController.activeRooms.values()) {
+      if (room.isPrivate || !room.allowSpectators || room.status !== 'playing') {
+        continue;
+      }
+
+      const gameState = gameController.activeGames.get(room.id);
+      if (gameState?.status === 'playing') {
+        games.push({ room, gameState });
+      }
+    }
+
+    const ratings = await this.getRatings(games.flatMap(({ gameState }) =>
+      Object.values(gameState.players).filter(Boolean).map(player => player.id)
+    ));
+
+    const entries = games.map(({ room, gameState }) => this.formatEntry(room, gameState, ratings));
+    return this.sortEntries(entries, sortBy).slice(0, limit);
+  }
+
+  /**
+   * Build a directory entry for a room and its game
+   * @param {Object} room - Room object
+   * @param {Object} gameState - Game state
+   * @param {Map} ratings - Ratings by player ID
+   * @returns {Object} Live game entry
+   */
+  formatEntry(room, gameState, ratings) {
+    const { gameService, aiService } = this.live.gameController;
+    const symbols = Object.fromEntries(gameService.SEATS.map(seat => [seat.key, seat.symbol]));
+    symbols[gameService.BURNED] = '#';
+    const playerKeys = Object.keys(gameState.players).filter(key => gameState.players[key]);
+    const players = playerKeys.map(key => ({
+      id: gameState.players[key].id,
+      name: gameState.players[key].name,
+      symbol: symbols[key],
+      rating: ratings.get(gameState.players[key].id) ?? null,
+      ...(gameState.players[key].eliminated && { eliminated: true })
+    }));
+
+    return {
+      roomId: room.id,
+      roomName: room.name,
+      gameId: gameState.id,
+      players,
+      combinedRating: players.reduce((sum, player) => sum + (player.rating || 0), 0),
+      spectatorCount: room.spectators.size,
+      moveCount: gameState.moveHistory.length,
+      currentPlayer: gameState.currentPlayer,
+      closeness: Math.round(aiService.estimateCloseness(
+        gameState.board,
+        gameState.currentPlayer,
+        gameService.getWinLength(gameState),
+        playerKeys
+      ) * 100) / 100,
+      settings: {
+        variant: gameState.settings.variant,
+        boardSize: gameState.settings.boardSize,
+        winLength: gameState.settings.winLength,
+        playerCount: gameState.settings.playerCount,
+        timeControl: gameState.settings.timeControl
+      },
+      preview: this.getBoardPreview(gameState.board, symbols),
+      startedAt: gameState.startedAt
+    };
+  }
+
+  /**
+   * Sort entries, most interesting first; newer games break ties
+   * @param {Array} entries - Live game entries
+   * @param {string} sortBy - rating, spectators or closeness
+   * @returns {Array} Sorted entries
+   */
+  sortEntries(entries, sortBy) {
+    const keys = {
+      rating: entry => entry.combinedRating,
+      spectators: entry => entry.spectatorCount,
+      closeness: entry => entry.closeness
+    };
+    const key = keys[sortBy] || keys.rating;
+
+    return entries.sort((a, b) => key(b) - key(a) || b.startedAt - a.startedAt);
+  }
+
+  /**
+   * Render a board as a compact string: each player's symbol in lower case,
+   * . for empty cells, # for burned ones, / between rows and | between cube layers
+   * @param {Array} board - Game board
+   * @param {Object} symbols - Symbol by player key
+   * @returns {string} Board preview, e.g. "x.o/.x./..o"
+   */
+  getBoardPreview(board, symbols) {
+    const renderCell = cell => (cell ? symbols[cell].toLowerCase() : '.');
+    const renderLayer = layer => layer.map(row => row.map(renderCell).join('')).join('/');
+
+    return Array.isArray(board[0][0])
+      ? board.map(renderLayer).join('|')
+      : renderLayer(board);
+  }
+
+  /**
+   * Load current ratings for a set of players
+   * @param {Array<string>} playerIds - Player IDs
+   * @returns {Promise<Map>} Ratings by player ID
+   */
+  async getRatings(playerIds) {
+    const ratings = new Map();
+    if (playerIds.length === 0) {
+      return ratings;
+    }
+
+    const ids = [...new Set(playerIds)];
+    const db = getDatabase();
+    const rows = await db.all(
+      `SELECT id, rating FROM players WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+
+    for (const row of rows) {
+      ratings.set(row.id, row.rating);
+    }
+    return ratings;
+  }
+
+  /**
+   * Send the default directory view to every client
+   */
+  async broadcastUpdate() {
+    try {
+      const games = await this.getLiveGames();
+      this.live.io.emit('live-games-update', { games });
+    } catch (error) {
+      logger.error('Error broadcasting live games:', error);
+    }
+  }
+}
+
+module.exports = LiveGamesService;
@@ -0,0 +1,155 @@
+/**
+ * Matchmaking Service
+ * Rating-based queue: the acceptable rating gap widens the longer a player waits
+ */
+
+class MatchmakingService {
+  constructor() {
+    this.queue = new Map(); // playerId -> queue entry
+    this.recentWaitTimes = []; // Wait times of recent matches, for estimates
+
+    this.INITIAL_WINDOW = 100; // Rating gap accepted right away
+    this.WINDOW_GROWTH = 50; // Extra gap per growth interval waited
+    this.WINDOW_GROWTH_INTERVAL = 10000; // 10 seconds
+    this.MAX_WINDOW = 600;
+    this.DEFAULT_WAIT_ESTIMATE = 30000;
+    this.WAIT_SAMPLE_SIZE = 20;
+  }
+
+  /**
+   * Add a player to the queue
+   * @param {Object} entry - {playerId, playerName, rating, queueKey, ...}
+   * @returns {Object} Queue entry
+   */
+  enqueue(entry) {
+    const queued = {
+      ...entry,
+      joinedAt: Date.now()
+    };
+
+    this.queue.set(entry.playerId, queued);
+    return queued;
+  }
+
+  /**
+   * Remove a player from the queue
+   * @param {string} playerId - Player ID
+   * @returns {boolean} Whether the player was queued
+   */
+  dequeue(playerId) {
+    return this.queue.delete(playerId);
+  }
+
+  /**
+   * Check whether a player is queued
+   * @param {string} playerId - Player ID
+   * @returns {boolean} Whether the player is queued
+   */
+  isQueued(playerId) {
+    return this.queue.has(playerId);
+  }
+
+  /**
+   * Get the rating window of a queued player
+   * @param {Object} entry - Queue entry
+   * @param {number} now - Current timestamp
+   * @returns {number} Accepted rating difference
+   */
+  getRatingWindow(entry, now = Date.now()) {
+    const steps = Math.floor((now - entry.joinedAt) / this.WINDOW_GROWTH_INTERVAL);
+    return Math.min(this.MAX_WINDOW, this.INITIAL_WINDOW + steps * this.WINDOW_GROWTH);
+  }
+
+  /**
+   * Pair up queued players
+   * Longest-waiting players are matched first, each with the closest rating in range
+   * @param {number} now - Current timestamp
+   * @returns {Array} Pairs of queue entries (removed from the queue)
+   */
+  findMatches(now = Date.now()) {
+    const waiting = Array.from(this.queue.values()).sort((a, b) => a.joinedAt - b.joinedAt);
+    const matched = new Set();
+    const pairs = [];
+
+    for (const entry of waiting) {
+      if (matched.has(entry.playerId)) continue;
+
+      let best = null;
+      for (const candidate of waiting) {
+        if (candidate === entry || matched.has(candidate.playerId)) continue;
+        if (candidate.queueKey !== entry.queueKey) continue;
+
+        const gap = Math.abs(candidate.rating - entry.rating);
+        const window = Math.max(this.getRatingWindow(entry, now), this.getRatingWindow(candidate, now));
+        if (gap <= window && (!best || gap < Math.abs(best.rating - entry.rating))) {
+          best = candidate;
+        }
+      }
+
+      if (best) {
+        matched.add(entry.playerId);
+        matched.add(best.playerId);
+        pairs.push([entry, best]);
+      }
+    }
+
+    for (const [a, b] of pairs) {
+      this.queue.delete(a.playerId);
+      this.queue.delete(b.playerId);
+      this.recordWaitTime(now - a.joinedAt);
+      this.recordWaitTime(now - b.joinedAt);
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Remember how long a matched player waited
+   * @param {number} waitTime - Wait time in milliseconds
+   */
+  recordWaitTime(waitTime) {
+    this.recentWaitTimes.push(waitTime);
+    if (this.recentWaitTimes.length > this.WAIT_SAMPLE_SIZE) {
+      this.recentWaitTimes.shift();
+    }
+  }
+
+  /**
+   * Estimate the wait for a newly queued player
+   * @param {Object} entry - Queue entry
+   * @returns {number} Estimated wait in milliseconds
+   */
+  estimateWaitTime(entry) {
+    const hasCandidate = Array.from(this.queue.values()).some(other =>
+      other.playerId !== entry.playerId &&
+      other.queueKey === entry.queueKey &&
+      Math.abs(other.rating - entry.rating) <= this.MAX_WINDOW
+    );
+
+    if (hasCandidate) {
+      return 0;
+    }
+
+    if (this.recentWaitTimes.length === 0) {
+      return this.DEFAULT_WAIT_ESTIMATE;
+    }
+
+    const total = this.recentWaitTimes.reduce((sum, waitTime) => sum + waitTime, 0);
+    return Math.round(total / this.recentWaitTimes.length);
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Queue statistics
+   */
+  getStats() {
+    return {
+      queued: this.queue.size,
+      averageWait: this.recentWaitTimes.length > 0
+        ? Math.round(this.recentWaitTimes.reduce((sum, waitTime) => sum + waitTime, 0) / this.recentWaitTimes.length)
+        : null
+    };
+  }
+}
+
+module.exports = MatchmakingService;
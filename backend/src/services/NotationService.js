@@ -0,0 +1,511 @@
+/**
+ * Notation Service
+ * Text notation for games, modelled on chess PGN
+ *
+ *   [X "Alice"]
+ *   [O "Bob"]
+ *   [Variant "classic"]
+ *   [BoardSize "3"]
+ *   [WinLength "3"]
+ *   [TimeControl "180+2"]
+ *   [Result "1-0"]
+ *   [Termination "win"]
+ *   [Date "2024.05.01"]
+ *
+ *   1. b2 {1.2s} a1 {3.0s} 2. c3 a3 3. c1 b1 4. a2 1-0
+ *
+ * A cell is its column letter (x) and row number (y + 1); cube moves add the layer (z + 1): b2:3.
+ * Think times in braces are optional.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { getDatabase } = require('../config/database');
+const GameService = require('./GameService');
+
+const RESULTS = {
+  player1: '1-0',
+  player2: '0-1',
+  draw: '1/2-1/2',
+  unfinished: '*'
+};
+
+const HEADER_PATTERN = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+const MOVE_PATTERN = /^([a-o])(\d{1,2})(?::(\d{1,2}))?$/;
+const THINK_TIME_PATTERN = /^\{(\d+(?:\.\d+)?)s\}$/;
+const DEFAULT_THINK_TIME = 1000;
+
+class NotationService {
+  constructor(authService, gameService = new GameService()) {
+    this.authService = authService;
+    this.gameService = gameService;
+    this.MAX_MOVES = 15 * 15; // Largest board
+  }
+
+  /**
+   * Write a game replay as notation
+   * @param {Object} replay - Replay from ReplayService
+   * @returns {string} Notation text
+   * @throws {Error} With code UNSUPPORTED_GAME for free-for-all and abilities games
+   */
+  exportGame(replay) {
+    const { settings, players } = replay;
+    if (Object.keys(players).length > 2) {
+      throw this.createError('Only 1v1 games can be exported as notation', 'UNSUPPORTED_GAME', 422);
+    }
+
+    // Notation only records placed pieces
+    if (settings.ruleset === 'abilities') {
+      throw this.createError('Games played with abilities can\'t be exported as notation', 'UNSUPPORTED_GAME', 422);
+    }
+
+    const headers = [
+      ['Event', settings.ranked ? 'Ranked game' : 'Casual game'],
+      ['Date', this.formatDate(replay.startedAt || replay.createdAt)],
+      ['X', players.player1.name || players.player1.id],
+      ['O', players.player2?.name || players.player2?.id || '?'],
+      ['XId', players.player1.id],
+      ...(players.player2 ? [['OId', players.player2.id]] : []),
+      ['Variant', settings.variant],
+      ['BoardSize', String(settings.boardSize)],
+      ['WinLength', String(settings.winLength)],
+      ['TimeControl', this.formatTimeControl(settings.timeControl)],
+      ['Result', this.getResultToken(replay)],
+      ['Termination', replay.result || 'unfinished'],
+      ['GameId', replay.gameId]
+    ];
+
+    const tokens = [];
+    replay.moves.forEach((move, index) => {
+      if (index % 2 === 0) {
+        tokens.push(`${index / 2 + 1}.`);
+      }
+      tokens.push(this.formatCell(move));
+      if (move.thinkTime !== null && move.thinkTime !== undefined) {
+        tokens.push(`{${(move.thinkTime / 1000).toFixed(1)}s}`);
+      }
+    });
+    tokens.push(this.getResultToken(replay));
+
+    return [
+      ...headers.map(([name, value]) => `[${name} "${this.escapeHeader(value)}"]`),
+      '',
+      this.wrapTokens(tokens),
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Parse notation text
+   * @param {string} text - Notation text
+   * @returns {Object} {headers, moves: [{x, y, z, token, thinkTime}], result}
+   * @throws {Error} With code INVALID_NOTATION
+   */
+  parse(text) {
+    const headers = {};
+    const movetext = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      const header = line.match(HEADER_PATTERN);
+
+      if (header) {
+        headers[header[1]] = header[2].replace(/\\(.)/g, '$1');
+      } else if (line.startsWith('[')) {
+        throw this.createError(`Malformed header: ${line}`, 'INVALID_NOTATION', 400);
+      } else if (line) {
+        movetext.push(line);
+      }
+    }
+
+    const moves = [];
+    let result = null;
+
+    for (const token of movetext.join(' ').match(/\{[^}]*\}|\S+/g) || []) {
+      if (result) {
+        throw this.createError(`Unexpected "${token}" after the result`, 'INVALID_NOTATION', 400);
+      }
+
+      if (/^\d+\.$/.test(token)) {
+        continue;
+      }
+
+      if (Object.values(RESULTS).includes(token)) {
+        result = token;
+        continue;
+      }
+
+      const thinkTime = token.match(THINK_TIME_PATTERN);
+      if (thinkTime) {
+        if (moves.length === 0) {
+          throw this.createError('Think time before the first move', 'INVALID_NOTATION', 400);
+        }
+        moves[moves.length - 1].thinkTime = Math.round(parseFloat(thinkTime[1]) * 1000);
+        continue;
+      }
+
+      if (token.startsWith('{')) {
+        continue; // Other comments are ignored
+      }
+
+      const cell = token.toLowerCase().match(MOVE_PATTERN);
+      if (!cell) {
+        throw this.createError(`Unrecognised move "${token}"`, 'INVALID_NOTATION', 400);
+      }
+
+      moves.push({
+        token,
+        x: cell[1].charCodeAt(0) - 'a'.charCodeAt(0),
+        y: parseInt(cell[2], 10) - 1,
+        ...(cell[3] && { z: parseInt(cell[3], 10) - 1 }),
+        thinkTime: null
+      });
+
+      if (moves.length > this.MAX_MOVES) {
+        throw this.createError('Too many moves', 'INVALID_NOTATION', 400);
+      }
+    }
+
+    if (result && headers.Result && result !== headers.Result) {
+      throw this.createError(`Result header ${headers.Result} differs from the movetext result ${result}`, 'INVALID_NOTATION', 400);
+    }
+
+    return {
+      headers,
+      moves,
+      result: result || headers.Result || RESULTS.unfinished
+    };
+  }
+
+  /**
+   * Import a game from notation
+   * Every move is checked with GameService.validateMove before the game is stored
+   * @param {string} text - Notation text
+   * @param {Object} importer - Authenticated player importing the game {id, name, isGuest}
+   * @returns {Promise<Object>} {gameId, totalMoves, result, winner}
+   * @throws {Error} With code INVALID_NOTATION, INVALID_MOVE or RESULT_MISMATCH
+   */
+  async importGame(text, importer) {
+    const { headers, moves, result } = this.parse(text);
+
+    let settings;
+    try {
+      settings = this.gameService.normalizeSettings({
+        variant: headers.Variant,
+        boardSize: headers.BoardSize ? parseInt(headers.BoardSize, 10) : undefined,
+        winLength: headers.WinLength ? parseInt(headers.WinLength, 10) : undefined,
+        timeControl: this.parseTimeControl(headers.TimeControl),
+        ranked: false // Imported games never change ratings
+      });
+    } catch (error) {
+      throw this.createError(error.message, 'INVALID_NOTATION', 400);
+    }
+
+    // Moves are checked against placeholder seats so nothing is stored for invalid notation
+    const seats = [
+      { id: 'player1', name: headers.X || 'Player_X' },
+      { id: 'player2', name: headers.O || 'Player_O' }
+    ];
+
+    let gameState = this.gameService.createGame(uuidv4(), seats, settings);
+
+    for (const [index, move] of moves.entries()) {
+      const playerId = gameState.players[gameState.currentPlayer].id;
+      const moveResult = this.gameService.makeMove(gameState, playerId, move.x, move.y, move.z);
+
+      if (!moveResult.success) {
+        throw this.createError(`Move ${index + 1} (${move.token}): ${moveResult.message}`, 'INVALID_MOVE', 422);
+      }
+      gameState = moveResult.gameState;
+    }
+
+    gameState = this.applyResult(gameState, result, headers.Termination);
+    this.applyTimestamps(gameState, moves, headers.Date);
+    gameState.clock = null; // Clock readings are not part of the notation
+
+    await this.assignPlayers(gameState, headers, importer);
+
+    await this.saveImportedGame(gameState);
+
+    logger.gameEvent('game_imported', {
+      gameId: gameState.id,
+      importedBy: importer.id,
+      moves: moves.length,
+      result: gameState.result
+    });
+
+    return {
+      gameId: gameState.id,
+      totalMoves: gameState.moveHistory.length,
+      result: gameState.result,
+      winner: gameState.winner
+    };
+  }
+
+  /**
+   * Check the declared result against the moves, finishing forfeits and timeouts
+   * @param {Object} gameState - Game state after all moves
+   * @param {string} result - Result token
+   * @param {string} termination - Termination header
+   * @returns {Object} Finished game state
+   */
+  applyResult(gameState, result, termination) {
+    if (gameState.status !== 'playing') {
+      const played = gameState.status === 'draw' ? RESULTS.draw : RESULTS[this.getWinnerKey(gameState)];
+      if (result !== played && result !== RESULTS.unfinished) {
+        throw this.createError(`Result ${result} does not match the moves (${played})`, 'RESULT_MISMATCH', 422);
+      }
+      return gameState;
+    }
+
+    // A game that isn't decided on the board must have been forfeited or lost on time
+    const loserKey = result === RESULTS.player1 ? 'player2' : result === RESULTS.player2 ? 'player1' : null;
+    if (!loserKey || !['forfeit', 'timeout'].includes(termination)) {
+      throw this.createError(
+        'Unfinished games need a 1-0 or 0-1 result with a forfeit or timeout termination',
+        'RESULT_MISMATCH',
+        422
+      );
+    }
+
+    const forfeitResult = this.gameService.forfeitGame(gameState, gameState.players[loserKey].id, 'imported');
+    const finalState = forfeitResult.gameState;
+    finalState.result = termination;
+    return finalState;
+  }
+
+  /**
+   * Rebuild move timestamps from think times
+   * @param {Object} gameState - Game state (updated in place)
+   * @param {Array} moves - Parsed moves
+   * @param {string} date - Date header (YYYY.MM.DD)
+   */
+  applyTimestamps(gameState, moves, date) {
+    const parsedDate = date && Date.parse(date.replace(/\./g, '-'));
+    const startedAt = Number.isNaN(parsedDate) || !parsedDate ? Date.now() : parsedDate;
+
+    let timestamp = startedAt;
+    gameState.moveHistory.forEach((entry, index) => {
+      timestamp += moves[index].thinkTime ?? DEFAULT_THINK_TIME;
+      entry.timestamp = timestamp;
+    });
+
+    gameState.createdAt = startedAt;
+    gameState.startedAt = startedAt;
+    gameState.lastMoveAt = timestamp;
+    gameState.finishedAt = timestamp;
+  }
+
+  /**
+   * Replace the placeholder seats with stored players
+   * @param {Object} gameState - Game state played with placeholder seats (updated in place)
+   * @param {Object} headers - Notation headers
+   * @param {Object} importer - Player importing the game
+   */
+  async assignPlayers(gameState, headers, importer) {
+    const winnerKey = this.getWinnerKey(gameState);
+    const player1 = await this.resolvePlayer(headers.XId, gameState.players.player1.name, importer);
+    // Both ID headers naming the importer still only bind one seat to them
+    const player2 = await this.resolvePlayer(
+      headers.OId,
+      gameState.players.player2.name,
+      player1.id === importer.id ? null : importer
+    );
+    const ids = { player1: player1.id, player2: player2.id };
+
+    for (const key of Object.keys(ids)) {
+      gameState.players[key].id = ids[key];
+    }
+    for (const entry of gameState.moveHistory) {
+      entry.playerId = ids[entry.playerKey];
+    }
+    gameState.winner = winnerKey ? ids[winnerKey] : null;
+  }
+
+  /**
+   * Bind a seat to the importer when the notation names them, otherwise create a guest row
+   * ID headers are not trusted for anyone else, so nobody can file results under another player
+   * @param {string} playerId - Player ID header (optional)
+   * @param {string} name - Player name header
+   * @param {Object|null} importer - Player importing the game
+   * @returns {Promise<Object>} Player {id, name}
+   */
+  async resolvePlayer(playerId, name, importer) {
+    if (importer && playerId === importer.id) {
+      if (importer.isGuest) {
+        await this.authService.saveGuest(importer);
+      }
+      return { id: importer.id, name: importer.name };
+    }
+
+    const { player } = await this.authService.createGuest(name.substring(0, 40));
+    return { id: player.id, name: player.name };
+  }
+
+  /**
+   * Store an imported game; imported games never touch ratings
+   * @param {Object} gameState - Finished game state
+   */
+  async saveImportedGame(gameState) {
+    const db = getDatabase();
+    await db.run(`
+      INSERT INTO games (
+        id, room_id, player1_id, player2_id, winner_id, status, result,
+        board, moves, settings, clock, created_at, started_at, finished_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      gameState.id,
+      gameState.roomId,
+      gameState.players.player1.id,
+      gameState.players.player2.id,
+      gameState.winner,
+      gameState.status,
+      gameState.result,
+      JSON.stringify(gameState.board),
+      JSON.stringify(gameState.moveHistory),
+      JSON.stringify(gameState.settings),
+      null,
+      new Date(gameState.createdAt).toISOString(),
+      new Date(gameState.startedAt).toISOString(),
+      new Date(gameState.finishedAt).toISOString()
+    ]);
+  }
+
+  /**
+   * Get the result token of a replay
+   * @param {Object} replay - Replay from ReplayService
+   * @returns {string} 1-0, 0-1, 1/2-1/2 or *
+   */
+  getResultToken(replay) {
+    if (replay.status === 'draw') {
+      return RESULTS.draw;
+    }
+    if (!replay.winner) {
+      return RESULTS.unfinished;
+    }
+    return replay.winner === replay.players.player1.id ? RESULTS.player1 : RESULTS.player2;
+  }
+
+  /**
+   * Get the seat of a game's winner
+   * @param {Object} gameState - Finished game state
+   * @returns {string|null} 'player1', 'player2' or null
+   */
+  getWinnerKey(gameState) {
+    return Object.keys(gameState.players).find(key => gameState.players[key].id === gameState.winner) || null;
+  }
+
+  /**
+   * Format a move as a cell: column letter, row number and, in a cube, the layer
+   * @param {Object} move - Move {x, y, z}
+   * @returns {string} Cell, e.g. b2 or b2:3
+   */
+  formatCell(move) {
+    const cell = `${String.fromCharCode('a'.charCodeAt(0) + move.x)}${move.y + 1}`;
+    return move.z !== undefined && move.z !== null ? `${cell}:${move.z + 1}` : cell;
+  }
+
+  /**
+   * Format a time control header
+   * @param {Object|null} timeControl - Normalized time control
+   * @returns {string} e.g. 180+2, 30/move, 180+2 30/move, or - for untimed games
+   */
+  formatTimeControl(timeControl) {
+    if (!timeControl) {
+      return '-';
+    }
+
+    const parts = [];
+    if (timeControl.baseSeconds) {
+      parts.push(`${timeControl.baseSeconds}+${timeControl.incrementSeconds || 0}`);
+    }
+    if (timeControl.perMoveSeconds) {
+      parts.push(`${timeControl.perMoveSeconds}/move`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Parse a time control header
+   * @param {string} header - TimeControl header
+   * @returns {Object|undefined} Time control settings
+   */
+  parseTimeControl(header) {
+    if (!header || header === '-') {
+      return undefined;
+    }
+
+    const bank = header.match(/(\d+)\+(\d+)/);
+    const perMove = header.match(/(\d+)\/move/);
+    if (!bank && !perMove) {
+      throw this.createError(`Unrecognised time control "${header}"`, 'INVALID_NOTATION', 400);
+    }
+
+    return {
+      ...(bank && { baseSeconds: parseInt(bank[1], 10), incrementSeconds: parseInt(bank[2], 10) }),
+      ...(perMove && { perMoveSeconds: parseInt(perMove[1], 10) })
+    };
+  }
+
+  /**
+   * Format a date header
+   * @param {string|number} value - Date
+   * @returns {string} YYYY.MM.DD or ????.??.?? if unknown
+   */
+  formatDate(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      return '????.??.??';
+    }
+    return date.toISOString().substring(0, 10).replace(/-/g, '.');
+  }
+
+  /**
+   * Escape a header value
+   * @param {string} value - Header value
+   * @returns {string} Escaped value
+   */
+  escapeHeader(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
+
+  /**
+   * Join movetext tokens into lines of at most 80 characters
+   * @param {Array} tokens - Movetext tokens
+   * @returns {string} Movetext
+   */
+  wrapTokens(tokens) {
+    const lines = [];
+    let line = '';
+
+    for (const token of tokens) {
+      if (line && line.length + token.length + 1 > 80) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Create an error carrying an error code and HTTP status
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {number} status - HTTP status
+   * @returns {Error} Error
+   */
+  createError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = NotationService;
@@ -0,0 +1,235 @@
+/**
+ * Profile Service
+ * Player profiles built from finished games, players and game_stats
+ */
+
+const { getDatabase } = require('../config/database');
+
+// Finished 1v1 games of one player with the opponent resolved; takes the player ID three times
+const PLAYER_GAMES = `
+  WITH player_games AS (
+    SELECT g.*,
+      CASE WHEN g.player1_id = ? THEN g.player2_id ELSE g.player1_id END AS opponent_id
+    FROM games g
+    WHERE (g.player1_id = ? OR g.player2_id = ?)
+      AND g.status IN ('finished', 'draw')
+      AND g.player2_id IS NOT NULL
+      AND g.seats IS NULL
+  )`;
+
+class ProfileService {
+  /**
+   * Get a player's profile
+   * @param {string} playerId - Player ID
+   * @param {Object} options - {page, limit} for the recent match list
+   * @returns {Promise<Object>} Profile
+   * @throws {Error} With code PLAYER_NOT_FOUND
+   */
+  async getProfile(playerId, { page = 1, limit = 10 } = {}) {
+    const db = getDatabase();
+    const player = await db.get(`
+      SELECT id, name, is_guest, rating, created_at, last_seen,
+        ffa_rating, ffa_games_played, ffa_games_won
+      FROM players
+      WHERE id = ?
+    `, [playerId]);
+
+    if (!player) {
+      throw this.createError('Player not found', 'PLAYER_NOT_FOUND', 404);
+    }
+
+    const [record, favouriteCharacter, longestWinStreak, recentMatches, headToHead] = await Promise.all([
+      this.getRecord(playerId),
+      this.getFavouriteCharacter(playerId),
+      this.getLongestWinStreak(playerId),
+      this.getRecentMatches(playerId, page, limit),
+      this.getHeadToHead(playerId)
+    ]);
+
+    return {
+      id: player.id,
+      name: player.name,
+      isGuest: Boolean(player.is_guest),
+      rating: player.rating,
+      createdAt: player.created_at,
+      lastSeen: player.last_seen,
+      ...record,
+      freeForAll: {
+        rating: player.ffa_rating,
+        gamesPlayed: player.ffa_games_played,
+        gamesWon: player.ffa_games_won
+      },
+      favouriteCharacter,
+      longestWinStreak,
+      recentMatches,
+      headToHead
+    };
+  }
+
+  /**
+   * Count a player's finished games by outcome
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Object>} {gamesPlayed, gamesWon, gamesDrawn, gamesLost}
+   */
+  async getRecord(playerId) {
+    const db = getDatabase();
+    const row = await db.get(`${PLAYER_GAMES}
+      SELECT COUNT(*) AS played,
+        COALESCE(SUM(winner_id = ?), 0) AS won,
+        COALESCE(SUM(status = 'draw'), 0) AS drawn
+      FROM player_games
+    `, [playerId, playerId, playerId, playerId]);
+
+    return {
+      gamesPlayed: row.played,
+      gamesWon: row.won,
+      gamesDrawn: row.drawn,
+      gamesLost: row.played - row.won - row.drawn
+    };
+  }
+
+  /**
+   * Get the character a player has used most
+   * @param {string} playerId - Player ID
+   * @returns {Promise<string|null>} Character, or null if none was ever chosen
+   */
+  async getFavouriteCharacter(playerId) {
+    const db = getDatabase();
+    const row = await db.get(`
+      SELECT character_used, COUNT(*) AS uses
+      FROM game_stats
+      WHERE player_id = ? AND character_used IS NOT NULL
+      GROUP BY character_used
+      ORDER BY uses DESC, MAX(id) DESC
+      LIMIT 1
+    `, [playerId]);
+
+    return row ? row.character_used : null;
+  }
+
+  /**
+   * Get a player's longest run of consecutive wins
+   * @param {string} playerId - Player ID
+   * @returns {Promise<number>} Longest win streak
+   */
+  async getLongestWinStreak(playerId) {
+    const db = getDatabase();
+    const games = await db.all(`${PLAYER_GAMES}
+      SELECT winner_id FROM player_games ORDER BY finished_at, created_at
+    `, [playerId, playerId, playerId]);
+
+    let longest = 0;
+    let current = 0;
+    for (const { winner_id: winnerId } of games) {
+      current = winnerId === playerId ? current + 1 : 0;
+      longest = Math.max(longest, current);
+    }
+
+    return longest;
+  }
+
+  /**
+   * Get one page of a player's most recent matches
+   * @param {string} playerId - Player ID
+   * @param {number} page - Page number, from 1
+   * @param {number} limit - Matches per page
+   * @returns {Promise<Object>} {page, limit, total, totalPages, matches}
+   */
+  async getRecentMatches(playerId, page, limit) {
+    const db = getDatabase();
+    const params = [playerId, playerId, playerId];
+
+    const rows = await db.all(`${PLAYER_GAMES}
+      SELECT pg.id, pg.opponent_id, o.name AS opponent_name, pg.winner_id, pg.status, pg.result,
+        pg.started_at, pg.finished_at, pg.settings,
+        gs.moves_count, gs.time_played, gs.character_used,
+        rh.rating_before, rh.rating_after
+      FROM player_games pg
+      LEFT JOIN players o ON o.id = pg.opponent_id
+      LEFT JOIN game_stats gs ON gs.game_id = pg.id AND gs.player_id = ?
+      LEFT JOIN rating_history rh ON rh.game_id = pg.id AND rh.player_id = ?
+      ORDER BY pg.finished_at DESC, pg.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, playerId, playerId, limit, (page - 1) * limit]);
+
+    const { total } = await db.get(`${PLAYER_GAMES} SELECT COUNT(*) AS total FROM player_games`, params);
+
+    return {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      matches: rows.map(row => ({
+        gameId: row.id,
+        opponent: { id: row.opponent_id, name: row.opponent_name },
+        outcome: this.getOutcome(row, playerId),
+        result: row.result,
+        settings: JSON.parse(row.settings || '{}'),
+        movesCount: row.moves_count,
+        timePlayed: row.time_played,
+        character: row.character_used,
+        ratingChange: row.rating_after !== null ? row.rating_after - row.rating_before : null,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+      }))
+    };
+  }
+
+  /**
+   * Get the player's record against each opponent, most played first
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Array>} Head-to-head records
+   */
+  async getHeadToHead(playerId) {
+    const db = getDatabase();
+    const rows = await db.all(`${PLAYER_GAMES}
+      SELECT pg.opponent_id, o.name AS opponent_name,
+        COUNT(*) AS played,
+        SUM(pg.winner_id = ?) AS won,
+        SUM(pg.status = 'draw') AS drawn,
+        MAX(pg.finished_at) AS last_played
+      FROM player_games pg
+      LEFT JOIN players o ON o.id = pg.opponent_id
+      GROUP BY pg.opponent_id
+      ORDER BY played DESC, last_played DESC
+    `, [playerId, playerId, playerId, playerId]);
+
+    return rows.map(row => ({
+      opponent: { id: row.opponent_id, name: row.opponent_name },
+      gamesPlayed: row.played,
+      gamesWon: row.won,
+      gamesDrawn: row.drawn,
+      gamesLost: row.played - row.won - row.drawn,
+      lastPlayed: row.last_played
+    }));
+  }
+
+  /**
+   * Get the outcome of a game for one player
+   * @param {Object} game - Games row
+   * @param {string} playerId - Player ID
+   * @returns {string} win, loss or draw
+   */
+  getOutcome(game, playerId) {
+    if (game.status === 'draw') {
+      return 'draw';
+    }
+    return game.winner_id === playerId ? 'win' : 'loss';
+  }
+
+  /**
+   * Create an error carrying an error code and HTTP status
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {number} status - HTTP status
+   * @returns {Error} Error
+   */
+  createError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = ProfileService;
@@ -0,0 +1,115 @@
+/**
+ * Rating Service
+ * Elo rating calculations with provisional K-factors
+ */
+
+class RatingService {
+  constructor() {
+    this.DEFAULT_RATING = 1000;
+    this.MIN_RATING = 100;
+    this.PROVISIONAL_GAMES = 30; // Games before a rating is considered established
+
+    // K-factors: how far a single game can move a rating
+    this.K_PROVISIONAL = 40;
+    this.K_ESTABLISHED = 20;
+    this.K_MASTER = 10;
+    this.MASTER_RATING = 2400;
+  }
+
+  /**
+   * Expected score of player A against player B
+   * @param {number} ratingA - Rating of player A
+   * @param {number} ratingB - Rating of player B
+   * @returns {number} Expected score between 0 and 1
+   */
+  expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  }
+
+  /**
+   * Get the K-factor for a player
+   * @param {number} rating - Current rating
+   * @param {number} gamesPlayed - Rated games played so far
+   * @returns {number} K-factor
+   */
+  getKFactor(rating, gamesPlayed) {
+    if (gamesPlayed < this.PROVISIONAL_GAMES) {
+      return this.K_PROVISIONAL;
+    }
+
+    return rating >= this.MASTER_RATING ? this.K_MASTER : this.K_ESTABLISHED;
+  }
+
+  /**
+   * Calculate the new rating of one player after a game
+   * @param {Object} player - {rating, gamesPlayed}
+   * @param {Object} opponent - {rating}
+   * @param {number} score - 1 for a win, 0.5 for a draw, 0 for a loss
+   * @returns {Object} {before, after, change, expected, kFactor}
+   */
+  calculateRating(player, opponent, score) {
+    const before = player.rating ?? this.DEFAULT_RATING;
+    const expected = this.expectedScore(before, opponent.rating ?? this.DEFAULT_RATING);
+    const kFactor = this.getKFactor(before, player.gamesPlayed || 0);
+    const after = Math.max(this.MIN_RATING, Math.round(before + kFactor * (score - expected)));
+
+    return {
+      before,
+      after,
+      change: after - before,
+      expected,
+      kFactor
+    };
+  }
+
+  /**
+   * Calculate rating changes for both players of a game
+   * @param {Object} playerA - {rating, gamesPlayed}
+   * @param {Object} playerB - {rating, gamesPlayed}
+   * @param {number} scoreA - Score of player A (1, 0.5 or 0)
+   * @returns {Object} {a, b} rating results
+   */
+  calculateMatch(playerA, playerB, scoreA) {
+    return {
+      a: this.calculateRating(playerA, playerB, scoreA),
+      b: this.calculateRating(playerB, playerA, 1 - scoreA)
+    };
+  }
+
+  /**
+   * Calculate rating changes for a free-for-all
+   * Each player is scored against every other one: the winner beats everybody,
+   * everybody else draws among themselves. The pairwise changes are averaged so a
+   * game moves a rating about as far as a 1v1 game would
+   * @param {Array} players - [{id, rating, gamesPlayed}]
+   * @param {string|null} winnerId - ID of the winner, null for a draw
+   * @returns {Object} Rating results by player ID
+   */
+  calculateFreeForAll(players, winnerId) {
+    const results = {};
+
+    for (const player of players) {
+      const before = player.rating ?? this.DEFAULT_RATING;
+      const kFactor = this.getKFactor(before, player.gamesPlayed || 0);
+      const opponents = players.filter(other => other.id !== player.id);
+
+      let delta = 0;
+      for (const opponent of opponents) {
+        const score = player.id === winnerId ? 1 : (opponent.id === winnerId ? 0 : 0.5);
+        delta += score - this.expectedScore(before, opponent.rating ?? this.DEFAULT_RATING);
+      }
+
+      const after = Math.max(this.MIN_RATING, Math.round(before + kFactor * delta / opponents.length));
+      results[player.id] = {
+        before,
+        after,
+        change: after - before,
+        kFactor
+      };
+    }
+
+    return results;
+  }
+}
+
+module.exports = RatingService;
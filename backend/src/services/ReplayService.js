@@ -0,0 +1,148 @@
+/**
+ * Replay Service
+ * Rebuilds finished games move by move from their saved move history
+ */
+
+const { getDatabase } = require('../config/database');
+const GameService = require('./GameService');
+
+class ReplayService {
+  constructor(gameService = new GameService()) {
+    this.gameService = gameService;
+    this.FINISHED_STATUSES = ['finished', 'draw'];
+  }
+
+  /**
+   * Load a finished game and rebuild its replay
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} Replay
+   * @throws {Error} With code GAME_NOT_FOUND or GAME_NOT_FINISHED
+   */
+  async getReplay(gameId) {
+    const db = getDatabase();
+    const gameData = await db.get(`
+      SELECT g.*, p1.name AS player1_name, p2.name AS player2_name
+      FROM games g
+      LEFT JOIN players p1 ON p1.id = g.player1_id
+      LEFT JOIN players p2 ON p2.id = g.player2_id
+      WHERE g.id = ?
+    `, [gameId]);
+
+    if (!gameData) {
+      throw this.createError('Game not found', 'GAME_NOT_FOUND', 404);
+    }
+
+    if (!this.FINISHED_STATUSES.includes(gameData.status)) {
+      throw this.createError('Only finished games can be replayed', 'GAME_NOT_FINISHED', 409);
+    }
+
+    // Free-for-all games list every seat, beyond player1 and player2
+    if (gameData.seats) {
+      const seatIds = JSON.parse(gameData.seats);
+      gameData.seat_players = await db.all(
+        `SELECT id, name FROM players WHERE id IN (${seatIds.map(() => '?').join(', ')})`,
+        seatIds
+      );
+    }
+
+    return this.buildReplay(gameData);
+  }
+
+  /**
+   * Build a replay from a games row
+   * @param {Object} gameData - Row from the games table (with player names, and seat_players for free-for-all games)
+   * @returns {Object} Replay with moves, intermediate boards and timing
+   */
+  buildReplay(gameData) {
+    const settings = this.gameService.normalizeSettings(JSON.parse(gameData.settings || '{}'));
+    const history = JSON.parse(gameData.moves || '[]');
+    const startedAt = gameData.started_at
+      ? new Date(gameData.started_at).getTime()
+      : history[0]?.timestamp ?? null;
+
+    let board = this.gameService.createEmptyBoard(settings.boardSize, settings.dimensions);
+    const boards = [board];
+
+    const moves = history.map((move, index) => {
+      const playerKey = move.playerKey || (index % 2 === 0 ? 'player1' : 'player2');
+
+      board = JSON.parse(JSON.stringify(board));
+      if (move.type === 'ability') {
+        this.gameService.applyAbilityToBoard(board, move);
+      } else {
+        this.gameService.setCell(board, this.gameService.toPosition(move), playerKey);
+      }
+      boards.push(board);
+
+      const previousTimestamp = index > 0 ? history[index - 1].timestamp : startedAt;
+
+      return {
+        moveNumber: index + 1,
+        playerId: move.playerId,
+        playerKey,
+        ...(move.type === 'ability' && { type: 'ability', ability: move.ability }),
+        x: move.x,
+        y: move.y,
+        ...(move.z !== undefined && move.z !== null && { z: move.z }),
+        ...(move.to && { to: move.to }),
+        timestamp: move.timestamp,
+        elapsed: startedAt ? move.timestamp - startedAt : null, // Since the game started
+        thinkTime: previousTimestamp ? move.timestamp - previousTimestamp : null // Since the previous move
+      };
+    });
+
+    return {
+      gameId: gameData.id,
+      roomId: gameData.room_id,
+      settings,
+      players: this.buildPlayers(gameData),
+      status: gameData.status,
+      result: gameData.result,
+      winner: gameData.winner_id,
+      createdAt: gameData.created_at,
+      startedAt: gameData.started_at,
+      finishedAt: gameData.finished_at,
+      totalMoves: moves.length,
+      moves,
+      boards // boards[i] is the position after i moves
+    };
+  }
+
+  /**
+   * Describe the players of a game by seat
+   * @param {Object} gameData - Row from the games table (with player names)
+   * @returns {Object} Players by key with ID, name and symbol
+   */
+  buildPlayers(gameData) {
+    if (!gameData.seats) {
+      return {
+        player1: { id: gameData.player1_id, name: gameData.player1_name, symbol: 'X' },
+        player2: gameData.player2_id
+          ? { id: gameData.player2_id, name: gameData.player2_name, symbol: 'O' }
+          : null
+      };
+    }
+
+    const names = new Map((gameData.seat_players || []).map(player => [player.id, player.name]));
+    return Object.fromEntries(JSON.parse(gameData.seats).map((id, index) => {
+      const seat = this.gameService.SEATS[index];
+      return [seat.key, { id, name: names.get(id) ?? null, symbol: seat.symbol }];
+    }));
+  }
+
+  /**
+   * Create an error carrying an error code and HTTP status
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {number} status - HTTP status
+   * @returns {Error} Error
+   */
+  createError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = ReplayService;
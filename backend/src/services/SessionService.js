@@ -0,0 +1,81 @@
+/**
+ * Session Service
+ * Issues resumable session tokens so a player keeps their identity across reconnects
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+class SessionService {
+  constructor() {
+    this.sessions = new Map(); // token -> session
+    this.SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours since last use
+  }
+
+  /**
+   * Create a session for a player
+   * @param {string} playerId - Player ID the session resumes as
+   * @returns {string} Session token
+   */
+  createSession(playerId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    this.sessions.set(token, {
+      token,
+      playerId,
+      createdAt: Date.now(),
+      lastSeen: Date.now()
+    });
+
+    return token;
+  }
+
+  /**
+   * Look up a session and refresh its expiry
+   * @param {string} token - Session token
+   * @returns {Object|null} Session or null if unknown or expired
+   */
+  getSession(token) {
+    const session = this.sessions.get(token);
+    if (!session) {
+      return null;
+    }
+
+    if (Date.now() - session.lastSeen > this.SESSION_TTL) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} token - Session token
+   */
+  revokeSession(token) {
+    this.sessions.delete(token);
+  }
+
+  /**
+   * Remove expired sessions
+   */
+  cleanup() {
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const [token, session] of this.sessions.entries()) {
+      if (now - session.lastSeen > this.SESSION_TTL) {
+        this.sessions.delete(token);
+        cleanedCount++;
+      }
+    }
+
+    if (cleanedCount > 0) {
+      logger.info(`Cleaned up ${cleanedCount} expired sessions`);
+    }
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,136 @@
+/**
+ * Stats Service
+ * Server statistics from stored games and players plus the live controllers
+ */
+
+const { getDatabase } = require('../config/database');
+
+class StatsService {
+  constructor() {
+    this.CACHE_TTL = 30000; // Historical aggregates are recomputed at most every 30 seconds
+    this.cache = null; // {promise, expiresAt}
+    this.live = null; // {io, gameController, roomController}, set once sockets are configured
+  }
+
+  /**
+   * Register the live sources of online players, rooms and games
+   * @param {Object} sources - {io, gameController, roomController}
+   */
+  setLiveSources(sources) {
+    this.live = sources;
+  }
+
+  /**
+   * Get server statistics
+   * @returns {Promise<Object>} Historical and live statistics
+   */
+  async getStats() {
+    const historical = await this.getHistoricalStats();
+
+    return {
+      ...historical,
+      ...this.getLiveStats(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get aggregates over stored games and players, cached for CACHE_TTL
+   * Concurrent requests share one computation
+   * @returns {Promise<Object>} Historical statistics
+   */
+  getHistoricalStats() {
+    const now = Date.now();
+    if (this.cache && this.cache.expiresAt > now) {
+      return this.cache.promise;
+    }
+
+    const promise = this.computeHistoricalStats();
+    this.cache = { promise, expiresAt: now + this.CACHE_TTL };
+
+    // A failed computation is not cached
+    promise.catch(() => {
+      if (this.cache?.promise === promise) {
+        this.cache = null;
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Compute aggregates over stored games and players
+   * Bots are not counted as players
+   * @returns {Promise<Object>} Historical statistics
+   */
+  async computeHistoricalStats() {
+    const db = getDatabase();
+
+    const outcomes = await db.all(`
+      SELECT COALESCE(result, status) AS outcome, COUNT(*) AS count
+      FROM games
+      WHERE status IN ('finished', 'draw')
+      GROUP BY outcome
+    `);
+
+    const averages = await db.get(`
+      SELECT
+        AVG((julianday(finished_at) - julianday(started_at)) * 86400) AS duration,
+        AVG(json_array_length(moves)) AS moves
+      FROM games
+      WHERE status IN ('finished', 'draw') AND started_at IS NOT NULL AND finished_at IS NOT NULL
+    `);
+
+    const players = await db.get(`
+      SELECT COUNT(*) AS total, COALESCE(SUM(is_guest = 1), 0) AS guests
+      FROM players
+      WHERE id NOT LIKE 'bot\\_%' ESCAPE '\\'
+    `);
+
+    const gamesByOutcome = { win: 0, draw: 0, forfeit: 0, timeout: 0 };
+    for (const { outcome, count } of outcomes) {
+      gamesByOutcome[outcome] = count;
+    }
+
+    return {
+      totalGames: outcomes.reduce((sum, { count }) => sum + count, 0),
+      gamesByOutcome,
+      totalPlayers: players.total,
+      registeredPlayers: players.total - players.guests,
+      guestPlayers: players.guests,
+      averageGameDuration: averages.duration !== null ? Math.round(averages.duration) : 0, // Seconds
+      averageMoveCount: averages.moves !== null ? Math.round(averages.moves * 10) / 10 : 0,
+      computedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Read live numbers from the socket server and controllers
+   * @returns {Object} Live statistics
+   */
+  getLiveStats() {
+    if (!this.live) {
+      return { onlinePlayers: 0, activeRooms: 0, activeGames: 0 };
+    }
+
+    const { io, gameController, roomController } = this.live;
+    const onlinePlayers = new Set();
+    for (const socket of io.sockets.sockets.values()) {
+      onlinePlayers.add(socket.playerId || socket.id);
+    }
+
+    const rooms = roomController.getStats();
+    const games = gameController.getStats();
+
+    return {
+      onlinePlayers: onlinePlayers.size, // Players with several tabs open count once
+      connections: io.sockets.sockets.size,
+      activeRooms: rooms.activeRooms,
+      roomsByStatus: rooms.roomsByStatus,
+      spectators: rooms.spectators,
+      activeGames: games.gamesInMemory.filter(game => game.status === 'playing').length
+    };
+  }
+}
+
+module.exports = StatsService;
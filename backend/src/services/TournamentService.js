@@ -0,0 +1,833 @@
+/**
+ * Tournament Service
+ * Brackets, pairings and standings for single-elimination, round-robin and Swiss
+ * tournaments, kept in memory while in use and persisted to the tournament tables
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { getDatabase } = require('../config/database');
+
+// Standing fields compared in order to rank players; the better seed breaks any remaining tie
+const TIEBREAKS = {
+  'single-elimination': ['roundReached', 'points'],
+  'round-robin': ['points', 'sonnebornBerger', 'wins'],
+  swiss: ['points', 'buchholz', 'sonnebornBerger']
+};
+
+const toDate = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+const toTimestamp = date => (date ? Date.parse(date) : null);
+
+class TournamentService {
+  constructor() {
+    this.FORMATS = Object.keys(TIEBREAKS);
+    this.STATUSES = ['registration', 'running', 'finished'];
+    this.MIN_PLAYERS = 2;
+    this.MAX_PLAYERS = 64;
+    this.ELIMINATION_REPLAYS = 2; // Drawn knockout games replayed before the better seed goes through
+    this.SWISS_PAIRING_ATTEMPTS = 10000; // Pairings tried before a Swiss round accepts rematches
+    this.tournaments = new Map(); // Tournaments in use by ID
+    this.loading = new Map(); // Loads in progress by tournament ID
+  }
+
+  /**
+   * Create a tournament open for registration
+   * @param {Object} options - {name, format, maxPlayers, rounds, gameSettings, createdBy}
+   * @returns {Object} Tournament
+   * @throws {Error} With code INVALID_FORMAT
+   */
+  createTournament({ name, format, maxPlayers = 8, rounds = null, gameSettings, createdBy }) {
+    if (!this.FORMATS.includes(format)) {
+      throw this.createError(`Format must be one of ${this.FORMATS.join(', ')}`, 'INVALID_FORMAT', 400);
+    }
+
+    const tournament = {
+      id: uuidv4(),
+      name,
+      format,
+      status: 'registration',
+      createdBy,
+      maxPlayers: Math.min(Math.max(maxPlayers, this.MIN_PLAYERS), this.MAX_PLAYERS),
+      requestedRounds: format === 'swiss' ? rounds : null,
+      totalRounds: null, // Known once the field is set at the start
+      currentRound: 0,
+      gameSettings,
+      players: new Map(), // playerId -> {id, name, rating, seed, registeredAt}
+      matches: [],
+      winnerId: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.tournaments.set(tournament.id, tournament);
+    return tournament;
+  }
+
+  /**
+   * Get a tournament, loading it from the database when it isn't in memory
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object|null>} Tournament
+   */
+  async getTournament(tournamentId) {
+    if (this.tournaments.has(tournamentId)) {
+      return this.tournaments.get(tournamentId);
+    }
+
+    // Concurrent lookups share one load so only one copy of the tournament is ever in memory
+    if (!this.loading.has(tournamentId)) {
+      const load = this.loadTournament(tournamentId).finally(() => this.loading.delete(tournamentId));
+      this.loading.set(tournamentId, load);
+    }
+    return this.loading.get(tournamentId);
+  }
+
+  /**
+   * Seed the registered players by rating, best first
+   * Players who registered earlier go first among equal ratings
+   * @param {Object} tournament - Tournament
+   * @returns {Promise<Array>} Players in seed order
+   */
+  async seedPlayers(tournament) {
+    const ids = Array.from(tournament.players.keys());
+    const db = getDatabase();
+    const rows = await db.all(
+      `SELECT id, rating FROM players WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+    const ratings = new Map(rows.map(row => [row.id, row.rating]));
+
+    const seeded = Array.from(tournament.players.values())
+      .map(player => ({ ...player, rating: ratings.get(player.id) ?? player.rating }))
+      .sort((a, b) => b.rating - a.rating || a.registeredAt - b.registeredAt);
+
+    seeded.forEach((player, index) => {
+      player.seed = index + 1;
+      tournament.players.set(player.id, player);
+    });
+
+    return seeded;
+  }
+
+  /**
+   * Work out how many rounds a tournament lasts
+   * @param {Object} tournament - Tournament
+   * @returns {number} Number of rounds
+   */
+  getRoundCount(tournament) {
+    const playerCount = tournament.players.size;
+
+    if (tournament.format === 'single-elimination') {
+      return Math.ceil(Math.log2(playerCount));
+    }
+
+    if (tournament.format === 'round-robin') {
+      return playerCount % 2 === 0 ? playerCount - 1 : playerCount;
+    }
+
+    // Enough Swiss rounds to leave a single unbeaten player, unless the organizer chose
+    const rounds = tournament.requestedRounds || Math.ceil(Math.log2(playerCount));
+    return Math.min(rounds, playerCount - 1);
+  }
+
+  /**
+   * Seed the field, draw up the schedule and open the first round
+   * @param {Object} tournament - Tournament with its players registered
+   * @returns {Promise<Object>} Tournament
+   */
+  async startTournament(tournament) {
+    // Close registration before seeding so a second start or a late registration is turned away
+    tournament.status = 'running';
+    tournament.startedAt = Date.now();
+
+    let players;
+    try {
+      players = await this.seedPlayers(tournament);
+    } catch (error) {
+      tournament.status = 'registration';
+      tournament.startedAt = null;
+      throw error;
+    }
+
+    tournament.totalRounds = this.getRoundCount(tournament);
+    tournament.currentRound = 1;
+
+    if (tournament.format === 'single-elimination') {
+      this.createBracket(tournament, players);
+    } else if (tournament.format === 'round-robin') {
+      this.createRoundRobin(tournament, players);
+    } else {
+      this.createSwissRound(tournament, 1);
+    }
+
+    return tournament;
+  }
+
+  /**
+   * Draw the whole knockout bracket
+   * Seeds are placed so the best two can only meet in the final; with an incomplete
+   * field the top seeds get a bye through the first round
+   * @param {Object} tournament - Tournament
+   * @param {Array} players - Players in seed order
+   */
+  createBracket(tournament, players) {
+    const size = 2 ** tournament.totalRounds;
+
+    // Standard seeding order, e.g. 1, 8, 4, 5, 2, 7, 3, 6 for eight places
+    let order = [1];
+    for (let places = 2; places <= size; places *= 2) {
+      order = order.flatMap(seed => [seed, places + 1 - seed]);
+    }
+
+    for (let round = 1; round <= tournament.totalRounds; round++) {
+      const matchCount = size / 2 ** round;
+      for (let slot = 0; slot < matchCount; slot++) {
+        const [player1, player2] = round === 1
+          ? [players[order[slot * 2] - 1], players[order[slot * 2 + 1] - 1]]
+          : [];
+        tournament.matches.push(this.createMatch(tournament, round, slot, player1?.id, player2?.id));
+      }
+    }
+
+    for (const match of this.getRoundMatches(tournament, 1)) {
+      if (!match.player2Id) {
+        this.recordResult(tournament, match, match.player1Id, 'bye');
+      }
+    }
+  }
+
+  /**
+   * Schedule every round of an all-play-all tournament (circle method)
+   * With an odd field one player sits out each round
+   * @param {Object} tournament - Tournament
+   * @param {Array} players - Players in seed order
+   */
+  createRoundRobin(tournament, players) {
+    const ids = players.map(player => player.id);
+    if (ids.length % 2 === 1) {
+      ids.push(null);
+    }
+
+    for (let round = 1; round <= tournament.totalRounds; round++) {
+      let slot = 0;
+      for (let i = 0; i < ids.length / 2; i++) {
+        const pair = [ids[i], ids[ids.length - 1 - i]];
+        if (!pair[0] || !pair[1]) {
+          continue;
+        }
+
+        // The fixed first seat would otherwise always move first
+        if (i === 0 && round % 2 === 0) {
+          pair.reverse();
+        }
+        tournament.matches.push(this.createMatch(tournament, round, slot++, ...pair));
+      }
+
+      ids.splice(1, 0, ids.pop());
+    }
+  }
+
+  /**
+   * Pair a Swiss round
+   * The first round pits the top half of the seeds against the bottom half; later rounds
+   * pair players on equal or near scores who haven't met. With an odd field the lowest
+   * ranked player without a bye yet gets one, worth a win
+   * @param {Object} tournament - Tournament
+   * @param {number} round - Round number
+   */
+  createSwissRound(tournament, round) {
+    const ids = this.getStandings(tournament).map(standing => standing.playerId);
+    let slot = 0;
+
+    if (ids.length % 2 === 1) {
+      const byeId = [...ids].reverse().find(id => !this.getPlayerMatches(tournament, id).some(m => !m.player2Id)) ||
+        ids[ids.length - 1];
+      ids.splice(ids.indexOf(byeId), 1);
+
+      const bye = this.createMatch(tournament, round, slot++, byeId, null);
+      tournament.matches.push(bye);
+      this.recordResult(tournament, bye, byeId, 'bye');
+    }
+
+    const pairs = [];
+    if (round === 1) {
+      const half = ids.length / 2;
+      for (let i = 0; i < half; i++) {
+        pairs.push([ids[i], ids[i + half]]);
+      }
+    } else {
+      const opponents = new Map(ids.map(id => [id, this.getOpponents(tournament, id)]));
+      const swissPairs = this.findSwissPairs(ids, opponents);
+
+      if (swissPairs) {
+        pairs.push(...swissPairs);
+      } else {
+        // Every pairing repeats a match: pair greedily, avoiding rematches where possible
+        const unpaired = [...ids];
+        while (unpaired.length > 0) {
+          const playerId = unpaired.shift();
+          const index = Math.max(0, unpaired.findIndex(id => !opponents.get(playerId).includes(id)));
+          pairs.push([playerId, ...unpaired.splice(index, 1)]);
+        }
+      }
+    }
+
+    for (const pair of pairs) {
+      // Whoever has moved first less often does so this time
+      const [first, second] = pair.map(id => this.getPlayerMatches(tournament, id)
+        .filter(match => match.player1Id === id && match.player2Id).length);
+      if (second < first) {
+        pair.reverse();
+      }
+      tournament.matches.push(this.createMatch(tournament, round, slot++, ...pair));
+    }
+  }
+
+  /**
+   * Pair players without rematches, searching in standing order
+   * A player who can't meet anyone near their score floats down to the next opponent they haven't played
+   * The search is capped, since late rounds of a long event can have no rematch-free pairing at all
+   * @param {Array} ids - Unpaired player IDs, best standing first
+   * @param {Map} opponents - Previous opponent IDs by player ID
+   * @param {Object} budget - {attempts} left in the search, shared by every level
+   * @returns {Array|null} Pairs of player IDs, or null if no pairing avoids a rematch
+   */
+  findSwissPairs(ids, opponents, budget = { attempts: this.SWISS_PAIRING_ATTEMPTS }) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const [playerId, ...rest] = ids;
+    for (const opponentId of rest) {
+      if (opponents.get(playerId).includes(opponentId)) {
+        continue;
+      }
+
+      budget.attempts -= 1;
+      if (budget.attempts < 0) {
+        return null;
+      }
+
+      const pairs = this.findSwissPairs(rest.filter(id => id !== opponentId), opponents, budget);
+      if (pairs) {
+        return [[playerId, opponentId], ...pairs];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a match between two players (either may still be unknown)
+   * @param {Object} tournament - Tournament
+   * @param {number} round - Round number
+   * @param {number} slot - Position within the round
+   * @param {string} player1Id - Player who moves first (optional)
+   * @param {string} player2Id - Second player (optional)
+   * @returns {Object} Match
+   */
+  createMatch(tournament, round, slot, player1Id = null, player2Id = null) {
+    return {
+      id: uuidv4(),
+      tournamentId: tournament.id,
+      round,
+      slot,
+      player1Id,
+      player2Id,
+      winnerId: null,
+      result: null, // win, draw, forfeit, timeout, bye, walkover, tiebreak
+      status: 'pending', // pending, playing, finished
+      roomId: null,
+      gameId: null,
+      gamesPlayed: 0,
+      startedAt: null,
+      finishedAt: null
+    };
+  }
+
+  /**
+   * Settle a match and move the winner on in a knockout bracket
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Match
+   * @param {string|null} winnerId - Winner, or null for a draw or when both players lose
+   * @param {string} result - How the match was settled
+   */
+  recordResult(tournament, match, winnerId, result) {
+    match.winnerId = winnerId;
+    match.result = result;
+    match.status = 'finished';
+    match.finishedAt = Date.now();
+
+    if (tournament.format !== 'single-elimination' || match.round === tournament.totalRounds) {
+      return;
+    }
+
+    const next = tournament.matches.find(m => m.round === match.round + 1 && m.slot === Math.floor(match.slot / 2));
+    next[match.slot % 2 === 0 ? 'player1Id' : 'player2Id'] = winnerId;
+  }
+
+  /**
+   * Apply a finished game to its match
+   * Drawn knockout games are replayed a limited number of times before the better seed goes through
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Match the game was played for
+   * @param {Object} gameState - Finished game state
+   * @returns {boolean} Whether the match is settled
+   */
+  applyGameResult(tournament, match, gameState) {
+    match.gamesPlayed += 1;
+    match.gameId = gameState.id;
+
+    if (gameState.winner) {
+      this.recordResult(tournament, match, gameState.winner, gameState.result);
+      return true;
+    }
+
+    if (tournament.format !== 'single-elimination') {
+      this.recordResult(tournament, match, null, 'draw');
+      return true;
+    }
+
+    if (match.gamesPlayed <= this.ELIMINATION_REPLAYS) {
+      return false;
+    }
+
+    this.recordResult(tournament, match, this.getBetterSeed(tournament, match), 'tiebreak');
+    return true;
+  }
+
+  /**
+   * Get the better seeded player of a match
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Match
+   * @returns {string} Player ID
+   */
+  getBetterSeed(tournament, match) {
+    const seed = id => tournament.players.get(id).seed;
+    return seed(match.player1Id) < seed(match.player2Id) ? match.player1Id : match.player2Id;
+  }
+
+  /**
+   * Get the matches of a round
+   * @param {Object} tournament - Tournament
+   * @param {number} round - Round number
+   * @returns {Array} Matches in slot order
+   */
+  getRoundMatches(tournament, round) {
+    return tournament.matches.filter(match => match.round === round);
+  }
+
+  /**
+   * Get every match a player is drawn in
+   * @param {Object} tournament - Tournament
+   * @param {string} playerId - Player ID
+   * @returns {Array} Matches
+   */
+  getPlayerMatches(tournament, playerId) {
+    return tournament.matches.filter(match => match.player1Id === playerId || match.player2Id === playerId);
+  }
+
+  /**
+   * Get the players someone has already been paired with
+   * @param {Object} tournament - Tournament
+   * @param {string} playerId - Player ID
+   * @returns {Array<string>} Opponent IDs
+   */
+  getOpponents(tournament, playerId) {
+    return this.getPlayerMatches(tournament, playerId)
+      .map(match => (match.player1Id === playerId ? match.player2Id : match.player1Id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether every match of the current round is settled
+   * @param {Object} tournament - Tournament
+   * @returns {boolean} Whether the round is over
+   */
+  isRoundComplete(tournament) {
+    return this.getRoundMatches(tournament, tournament.currentRound).every(match => match.status === 'finished');
+  }
+
+  /**
+   * Move on to the next round, pairing it first in a Swiss tournament
+   * @param {Object} tournament - Tournament
+   * @returns {Array} Matches of the new round
+   */
+  advanceRound(tournament) {
+    tournament.currentRound += 1;
+
+    if (tournament.format === 'swiss') {
+      this.createSwissRound(tournament, tournament.currentRound);
+    }
+
+    return this.getRoundMatches(tournament, tournament.currentRound);
+  }
+
+  /**
+   * Close a tournament whose last round is over and name the winner
+   * @param {Object} tournament - Tournament
+   * @returns {Object} Winner {id, name}
+   */
+  finishTournament(tournament) {
+    const [leader] = this.getStandings(tournament);
+
+    tournament.status = 'finished';
+    tournament.finishedAt = Date.now();
+    tournament.winnerId = leader.playerId;
+
+    return { id: leader.playerId, name: leader.name };
+  }
+
+  /**
+   * Rank the players
+   * A win (byes and walkovers included) scores 1 and a draw 0.5. Buchholz is the sum of
+   * the opponents' scores and Sonneborn-Berger the scores of beaten opponents plus half of
+   * those drawn with; each format ranks on its own list of these (see TIEBREAKS)
+   * @param {Object} tournament - Tournament
+   * @returns {Array} Standings, best first
+   */
+  getStandings(tournament) {
+    const entries = new Map(Array.from(tournament.players.values()).map(player => [player.id, {
+      playerId: player.id,
+      name: player.name,
+      seed: player.seed,
+      rating: player.rating,
+      played: 0,
+      wins: 0,
+      draws: 0,
+      losses: 0,
+      byes: 0,
+      points: 0,
+      roundReached: 0
+    }]));
+    const results = new Map(Array.from(entries.keys()).map(id => [id, []])); // {opponentId, score} by player ID
+
+    for (const match of tournament.matches) {
+      for (const [playerId, opponentId] of [[match.player1Id, match.player2Id], [match.player2Id, match.player1Id]]) {
+        const entry = entries.get(playerId);
+        if (!entry) {
+          continue;
+        }
+
+        entry.roundReached = Math.max(entry.roundReached, match.winnerId === playerId ? match.round + 1 : match.round);
+        if (match.status !== 'finished') {
+          continue;
+        }
+
+        const score = match.winnerId === playerId ? 1 : (match.result === 'draw' ? 0.5 : 0);
+        entry.points += score;
+
+        if (!opponentId) {
+          entry.byes += 1;
+          continue;
+        }
+
+        entry.played += 1;
+        entry.wins += score === 1 ? 1 : 0;
+        entry.draws += score === 0.5 ? 1 : 0;
+        entry.losses += score === 0 ? 1 : 0;
+        results.get(playerId).push({ opponentId, score });
+      }
+    }
+
+    for (const entry of entries.values()) {
+      const opponents = results.get(entry.playerId);
+      entry.buchholz = opponents.reduce((sum, { opponentId }) => sum + entries.get(opponentId).points, 0);
+      entry.sonnebornBerger = opponents.reduce((sum, { opponentId, score }) =>
+        sum + score * entries.get(opponentId).points, 0);
+    }
+
+    const tiebreaks = TIEBREAKS[tournament.format];
+    return Array.from(entries.values())
+      .sort((a, b) => {
+        for (const key of tiebreaks) {
+          if (b[key] !== a[key]) {
+            return b[key] - a[key];
+          }
+        }
+        // Nobody is seeded before the start, when registration order stands
+        return (a.seed || 0) - (b.seed || 0);
+      })
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+  }
+
+  /**
+   * List the matches round by round for clients (the bracket of a knockout tournament)
+   * @param {Object} tournament - Tournament
+   * @returns {Array} Rounds {round, matches}
+   */
+  getRounds(tournament) {
+    const rounds = [];
+    for (let round = 1; round <= (tournament.totalRounds || 0); round++) {
+      rounds.push({
+        round,
+        matches: this.getRoundMatches(tournament, round).map(match => this.formatMatch(tournament, match))
+      });
+    }
+    return rounds;
+  }
+
+  /**
+   * Describe a match for clients
+   * @param {Object} tournament - Tournament
+   * @param {Object} match - Match
+   * @returns {Object} Match entry
+   */
+  formatMatch(tournament, match) {
+    const formatPlayer = id => {
+      const player = id && tournament.players.get(id);
+      return player ? { id: player.id, name: player.name, seed: player.seed } : null;
+    };
+
+    return {
+      id: match.id,
+      round: match.round,
+      slot: match.slot,
+      player1: formatPlayer(match.player1Id),
+      player2: formatPlayer(match.player2Id),
+      winnerId: match.winnerId,
+      result: match.result,
+      status: match.status,
+      roomId: match.roomId,
+      gameId: match.gameId,
+      gamesPlayed: match.gamesPlayed
+    };
+  }
+
+  /**
+   * Describe a tournament for clients, with its standings and schedule
+   * @param {Object} tournament - Tournament
+   * @returns {Object} Tournament details
+   */
+  formatTournament(tournament) {
+    const winner = tournament.winnerId && tournament.players.get(tournament.winnerId);
+
+    return {
+      id: tournament.id,
+      name: tournament.name,
+      format: tournament.format,
+      status: tournament.status,
+      createdBy: tournament.createdBy,
+      maxPlayers: tournament.maxPlayers,
+      playerCount: tournament.players.size,
+      currentRound: tournament.currentRound,
+      totalRounds: tournament.totalRounds,
+      gameSettings: tournament.gameSettings,
+      tiebreaks: TIEBREAKS[tournament.format],
+      players: Array.from(tournament.players.values()).map(player => ({
+        id: player.id,
+        name: player.name,
+        seed: player.seed,
+        rating: player.rating
+      })),
+      standings: this.getStandings(tournament),
+      rounds: this.getRounds(tournament),
+      winner: winner ? { id: winner.id, name: winner.name } : null,
+      createdAt: tournament.createdAt,
+      startedAt: tournament.startedAt,
+      finishedAt: tournament.finishedAt
+    };
+  }
+
+  /**
+   * List tournaments, newest first
+   * @param {Object} options - {status, page, limit}
+   * @returns {Promise<Object>} {page, limit, total, totalPages, tournaments}
+   */
+  async listTournaments({ status, page = 1, limit = 20 } = {}) {
+    const db = getDatabase();
+    const where = status ? 'WHERE t.status = ?' : '';
+    const params = status ? [status] : [];
+
+    const rows = await db.all(`
+      SELECT t.*, w.name AS winner_name,
+        (SELECT COUNT(*) FROM tournament_players tp WHERE tp.tournament_id = t.id) AS player_count
+      FROM tournaments t
+      LEFT JOIN players w ON w.id = t.winner_id
+      ${where}
+      ORDER BY t.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, (page - 1) * limit]);
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM tournaments t ${where}`, params);
+
+    return {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      tournaments: rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        format: row.format,
+        status: row.status,
+        maxPlayers: row.max_players,
+        playerCount: row.player_count,
+        currentRound: row.current_round,
+        totalRounds: row.total_rounds,
+        gameSettings: JSON.parse(row.game_settings || '{}'),
+        winner: row.winner_id ? { id: row.winner_id, name: row.winner_name } : null,
+        createdAt: toTimestamp(row.created_at),
+        startedAt: toTimestamp(row.started_at),
+        finishedAt: toTimestamp(row.finished_at)
+      }))
+    };
+  }
+
+  /**
+   * Write a tournament with its players and matches
+   * @param {Object} tournament - Tournament
+   */
+  async saveTournament(tournament) {
+    try {
+      const db = getDatabase();
+      await db.transaction(async (tx) => {
+        await tx.run(`
+          INSERT INTO tournaments (
+            id, name, format, status, created_by, max_players, requested_rounds, total_rounds,
+            current_round, game_settings, winner_id, created_at, started_at, finished_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(id) DO UPDATE SET
+            status = excluded.status, total_rounds = excluded.total_rounds,
+            current_round = excluded.current_round, winner_id = excluded.winner_id,
+            started_at = excluded.started_at, finished_at = excluded.finished_at
+        `, [
+          tournament.id,
+          tournament.name,
+          tournament.format,
+          tournament.status,
+          tournament.createdBy,
+          tournament.maxPlayers,
+          tournament.requestedRounds,
+          tournament.totalRounds,
+          tournament.currentRound,
+          JSON.stringify(tournament.gameSettings),
+          tournament.winnerId,
+          toDate(tournament.createdAt),
+          toDate(tournament.startedAt),
+          toDate(tournament.finishedAt)
+        ]);
+
+        // Registration can be withdrawn, so the player list is rewritten as a whole
+        await tx.run('DELETE FROM tournament_players WHERE tournament_id = ?', [tournament.id]);
+        for (const player of tournament.players.values()) {
+          await tx.run(`
+            INSERT INTO tournament_players (tournament_id, player_id, player_name, rating, seed, registered_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `, [tournament.id, player.id, player.name, player.rating, player.seed, toDate(player.registeredAt)]);
+        }
+
+        for (const match of tournament.matches) {
+          await tx.run(`
+            INSERT INTO tournament_matches (
+              id, tournament_id, round, slot, player1_id, player2_id, winner_id, result, status,
+              room_id, game_id, games_played, started_at, finished_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+              player1_id = excluded.player1_id, player2_id = excluded.player2_id,
+              winner_id = excluded.winner_id, result = excluded.result, status = excluded.status,
+              room_id = excluded.room_id, game_id = excluded.game_id,
+              games_played = excluded.games_played, started_at = excluded.started_at,
+              finished_at = excluded.finished_at
+          `, [
+            match.id,
+            tournament.id,
+            match.round,
+            match.slot,
+            match.player1Id,
+            match.player2Id,
+            match.winnerId,
+            match.result,
+            match.status,
+            match.roomId,
+            match.gameId,
+            match.gamesPlayed,
+            toDate(match.startedAt),
+            toDate(match.finishedAt)
+          ]);
+        }
+      });
+    } catch (error) {
+      logger.error('Error saving tournament to database:', error);
+    }
+  }
+
+  /**
+   * Load a tournament with its players and matches into memory
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object|null>} Tournament, or null if there is none
+   */
+  async loadTournament(tournamentId) {
+    const db = getDatabase();
+    const row = await db.get('SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+    if (!row) {
+      return null;
+    }
+
+    const [players, matches] = await Promise.all([
+      db.all('SELECT * FROM tournament_players WHERE tournament_id = ? ORDER BY registered_at', [tournamentId]),
+      db.all('SELECT * FROM tournament_matches WHERE tournament_id = ? ORDER BY round, slot', [tournamentId])
+    ]);
+
+    const tournament = {
+      id: row.id,
+      name: row.name,
+      format: row.format,
+      status: row.status,
+      createdBy: row.created_by,
+      maxPlayers: row.max_players,
+      requestedRounds: row.requested_rounds,
+      totalRounds: row.total_rounds,
+      currentRound: row.current_round,
+      gameSettings: JSON.parse(row.game_settings || '{}'),
+      players: new Map(players.map(player => [player.player_id, {
+        id: player.player_id,
+        name: player.player_name,
+        rating: player.rating,
+        seed: player.seed,
+        registeredAt: toTimestamp(player.registered_at)
+      }])),
+      matches: matches.map(match => ({
+        id: match.id,
+        tournamentId: match.tournament_id,
+        round: match.round,
+        slot: match.slot,
+        player1Id: match.player1_id,
+        player2Id: match.player2_id,
+        winnerId: match.winner_id,
+        result: match.result,
+        status: match.status,
+        roomId: match.room_id,
+        gameId: match.game_id,
+        gamesPlayed: match.games_played,
+        startedAt: toTimestamp(match.started_at),
+        finishedAt: toTimestamp(match.finished_at)
+      })),
+      winnerId: row.winner_id,
+      createdAt: toTimestamp(row.created_at),
+      startedAt: toTimestamp(row.started_at),
+      finishedAt: toTimestamp(row.finished_at)
+    };
+
+    this.tournaments.set(tournament.id, tournament);
+    return tournament;
+  }
+
+  /**
+   * Create an error carrying an error code and HTTP status
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {number} status - HTTP status
+   * @returns {Error} Error
+   */
+  createError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+}
+
+TournamentService.TIEBREAKS = TIEBREAKS;
+
+module.exports = TournamentService;
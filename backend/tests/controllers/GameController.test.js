@@ -0,0 +1,171 @@
+process.env.DB_PATH = ':memory:';
+
+const GameController = require('../../src/controllers/GameController');
+const { initializeDatabase, getDatabase } = require('../../src/config/database');
+
+describe('GameController', () => {
+  let gameController;
+  let emit;
+  const players = [{ id: 'alice', name: 'Alice' }, { id: 'bob', name: 'Bob' }];
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    for (const player of players) {
+      await getDatabase().run('INSERT INTO players (id, name) VALUES (?, ?)', [player.id, player.name]);
+    }
+  });
+
+  afterAll(async () => {
+    await getDatabase().close();
+  });
+
+  beforeEach(() => {
+    emit = jest.fn();
+    gameController = new GameController({ to: () => ({ emit }) });
+  });
+
+  describe('persistence', () => {
+    it('restores a game in the middle of a series', async () => {
+      let gameState = gameController.gameService.createGame('room-series', players, { bestOf: 3 });
+      gameState.series = gameController.gameService.createSeries(3, players);
+      gameController.gameService.recordSeriesResult(gameState.series, { winner: 'bob' });
+      gameState = gameController.gameService.makeMove(gameState, 'alice', 1, 1).gameState;
+
+      await gameController.saveGameToDatabase(gameState);
+      const restored = await gameController.loadGameFromDatabase('room-series');
+
+      expect(restored.id).toBe(gameState.id);
+      expect(restored.board).toEqual(gameState.board);
+      expect(restored.currentPlayer).toBe('player2');
+      expect(restored.series).toEqual(gameState.series);
+      expect(restored.lastMoveAt).toBe(gameState.lastMoveAt);
+    });
+
+    it('keeps the winning line of a finished game', async () => {
+      let gameState = gameController.gameService.createGame('room-finished', players, { boardSize: 3, winLength: 3 });
+      for (const [playerId, x, y] of [['alice', 0, 0], ['bob', 1, 0], ['alice', 0, 1], ['bob', 1, 1], ['alice', 0, 2]]) {
+        gameState = gameController.gameService.makeMove(gameState, playerId, x, y).gameState;
+      }
+
+      await gameController.saveGameToDatabase(gameState);
+      const row = await getDatabase().get('SELECT * FROM games WHERE id = ?', [gameState.id]);
+
+      expect(row.winner_id).toBe('alice');
+      expect(JSON.parse(row.winning_line)).toEqual([[0, 0], [0, 1], [0, 2]]);
+      expect(row.finished_at).not.toBeNull();
+    });
+
+    it('keeps why a forfeited game ended', async () => {
+      const gameState = gameController.gameService.createGame('room-forfeit', players);
+      const { gameState: forfeited } = gameController.gameService.forfeitGame(gameState, 'bob', 'disconnect');
+
+      await gameController.saveGameToDatabase(forfeited);
+      const row = await getDatabase().get('SELECT * FROM games WHERE id = ?', [forfeited.id]);
+
+      expect(row.winner_id).toBe('alice');
+      expect(row.end_reason).toBe('disconnect');
+    });
+  });
+
+  describe('takebacks', () => {
+    const socket = (playerId) => ({ id: `socket-${playerId}`, playerId, emit: jest.fn() });
+
+    const startCasualGame = (roomId) => {
+      let gameState = gameController.gameService.createGame(roomId, players, { ranked: false });
+      gameState = gameController.gameService.makeMove(gameState, 'alice', 0, 0).gameState;
+      gameState = gameController.gameService.makeMove(gameState, 'bob', 1, 1).gameState;
+      gameController.activeGames.set(roomId, gameState);
+      return gameState;
+    };
+
+    it('rewinds the game once the opponent accepts', async () => {
+      startCasualGame('room-takeback');
+
+      await gameController.requestTakeback(socket('bob'), { roomId: 'room-takeback' });
+      expect(emit).toHaveBeenCalledWith('takeback-requested', expect.objectContaining({ playerId: 'bob', moveCount: 1 }));
+
+      await gameController.respondToTakeback(socket('alice'), { roomId: 'room-takeback' }, true);
+
+      const rewound = gameController.activeGames.get('room-takeback');
+      expect(rewound.moveHistory).toHaveLength(1);
+      expect(rewound.currentPlayer).toBe('player2');
+      expect(gameController.takebackRequests.has('room-takeback')).toBe(false);
+    });
+
+    it('leaves the game alone when the opponent declines', async () => {
+      const gameState = startCasualGame('room-declined');
+
+      await gameController.requestTakeback(socket('bob'), { roomId: 'room-declined' });
+      await gameController.respondToTakeback(socket('alice'), { roomId: 'room-declined' }, false);
+
+      expect(gameController.activeGames.get('room-declined')).toBe(gameState);
+      expect(emit).toHaveBeenCalledWith('takeback-declined', { playerId: 'bob', reason: 'declined' });
+    });
+
+    it('does not let players answer their own request', async () => {
+      startCasualGame('room-self');
+      const bobSocket = socket('bob');
+
+      await gameController.requestTakeback(bobSocket, { roomId: 'room-self' });
+      await gameController.respondToTakeback(bobSocket, { roomId: 'room-self' }, true);
+
+      expect(bobSocket.emit).toHaveBeenCalledWith('game-error', expect.objectContaining({ code: 'NO_TAKEBACK_REQUEST' }));
+      gameController.cancelTakeback('room-self', 'timeout');
+    });
+
+    it('refuses takebacks in rated games', async () => {
+      const gameState = gameController.gameService.createGame('room-rated', players);
+      gameController.activeGames.set('room-rated', gameController.gameService.makeMove(gameState, 'alice', 0, 0).gameState);
+      const aliceSocket = socket('alice');
+
+      await gameController.requestTakeback(aliceSocket, { roomId: 'room-rated' });
+
+      expect(aliceSocket.emit).toHaveBeenCalledWith('game-error', expect.objectContaining({ code: 'TAKEBACKS_DISABLED' }));
+    });
+  });
+
+  describe('ratings', () => {
+    const finishGame = async (roomId, seats, settings) => {
+      for (const seat of seats) {
+        await getDatabase().run('INSERT INTO players (id, name, rating) VALUES (?, ?, 1000)', [seat.id, seat.name]);
+      }
+
+      let gameState = gameController.gameService.createGame(roomId, seats, settings);
+      gameState = gameController.gameService.forfeitGame(gameState, seats[1].id, 'resign').gameState;
+      await gameController.saveGameToDatabase(gameState);
+      return gameState;
+    };
+
+    const getRating = async (playerId) => (await getDatabase().get(
+      'SELECT rating, games_played FROM players WHERE id = ?', [playerId]
+    ));
+
+    it('rates games that are not made casual and records the history', async () => {
+      const gameState = await finishGame('room-ranked', [{ id: 'erin', name: 'Erin' }, { id: 'frank', name: 'Frank' }], {});
+
+      const changes = await gameController.updatePlayerStats(gameState);
+
+      expect(changes.erin.change).toBeGreaterThan(0);
+      expect(await getRating('frank')).toEqual({ rating: changes.frank.after, games_played: 1 });
+      const history = await getDatabase().all('SELECT player_id FROM rating_history WHERE game_id = ?', [gameState.id]);
+      expect(history.map(row => row.player_id).sort()).toEqual(['erin', 'frank']);
+    });
+
+    it('only counts casual games', async () => {
+      const gameState = await finishGame('room-casual', [{ id: 'gina', name: 'Gina' }, { id: 'hal', name: 'Hal' }], { ranked: false });
+
+      expect(await gameController.updatePlayerStats(gameState)).toEqual({});
+      expect(await getRating('gina')).toEqual({ rating: 1000, games_played: 1 });
+    });
+
+    it('never rates a game against a bot', async () => {
+      const gameState = await finishGame('room-bot', [
+        { id: 'ivy', name: 'Ivy' },
+        { id: 'bot-1', name: 'Bot', isBot: true, difficulty: 'easy' }
+      ], { ranked: true });
+
+      expect(await gameController.updatePlayerStats(gameState)).toEqual({});
+      expect(await getRating('ivy')).toEqual({ rating: 1000, games_played: 1 });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const MatchmakingController = require('../../src/controllers/MatchmakingController');
+const GameService = require('../../src/services/GameService');
+const RatingService = require('../../src/services/RatingService');
+
+describe('MatchmakingController', () => {
+  let controller;
+  let roomController;
+  let connected;
+
+  const socket = (playerId) => ({ id: `socket-${playerId}`, playerId, playerName: playerId, emit: jest.fn() });
+
+  beforeEach(() => {
+    connected = new Set(['socket-alice', 'socket-bob']);
+    roomController = {
+      playerRooms: new Map(),
+      activeRooms: new Map(),
+      gameController: { gameService: new GameService(), ratingService: new RatingService() },
+      createMatchRoom: jest.fn().mockResolvedValue(),
+      leaveRoom: jest.fn().mockResolvedValue()
+    };
+    const io = { sockets: { sockets: { has: id => connected.has(id) } }, to: () => ({ emit: jest.fn() }) };
+
+    controller = new MatchmakingController(io, roomController);
+    controller.getPlayerRating = jest.fn().mockResolvedValue(1000);
+  });
+
+  afterEach(() => {
+    clearInterval(controller.matchInterval);
+  });
+
+  it('creates a room for two compatible players', async () => {
+    await controller.findMatch(socket('alice'), {});
+    await controller.findMatch(socket('bob'), {});
+
+    expect(roomController.createMatchRoom).toHaveBeenCalledTimes(1);
+    const [pair, settings] = roomController.createMatchRoom.mock.calls[0];
+    expect(pair.map(entry => entry.playerId)).toEqual(['alice', 'bob']);
+    expect(settings.ranked).toBe(true);
+  });
+
+  it('refuses a player who is still in a game', async () => {
+    roomController.playerRooms.set('alice', 'room-1');
+    roomController.activeRooms.set('room-1', { status: 'playing' });
+    const aliceSocket = socket('alice');
+
+    await controller.findMatch(aliceSocket, {});
+
+    expect(aliceSocket.emit).toHaveBeenCalledWith('matchmaking-error', expect.objectContaining({ code: 'ALREADY_IN_GAME' }));
+    expect(controller.matchmakingService.isQueued('alice')).toBe(false);
+  });
+
+  it('refuses free-for-all settings', async () => {
+    const aliceSocket = socket('alice');
+    await controller.findMatch(aliceSocket, { gameSettings: { playerCount: 3 } });
+
+    expect(aliceSocket.emit).toHaveBeenCalledWith('matchmaking-error', expect.objectContaining({ code: 'INVALID_SETTINGS' }));
+  });
+
+  it('drops disconnected players and keeps the other one queued', async () => {
+    await controller.findMatch(socket('alice'), {});
+    connected.delete('socket-alice');
+    await controller.findMatch(socket('bob'), {});
+
+    expect(roomController.createMatchRoom).not.toHaveBeenCalled();
+    expect(controller.matchmakingService.isQueued('alice')).toBe(false);
+    expect(controller.matchmakingService.isQueued('bob')).toBe(true);
+  });
+
+  it('leaves the queue when the player joins a room', async () => {
+    const aliceSocket = socket('alice');
+    await controller.findMatch(aliceSocket, {});
+
+    controller.leaveQueue(aliceSocket);
+
+    expect(controller.matchmakingService.isQueued('alice')).toBe(false);
+    expect(aliceSocket.emit).toHaveBeenCalledWith('matchmaking-cancelled', { wasQueued: true, reason: 'joined-room' });
+  });
+});
@@ -0,0 +1,74 @@
+const AIService = require('../../src/services/AIService');
+const GameService = require('../../src/services/GameService');
+
+describe('AIService', () => {
+  let gameService;
+  let aiService;
+
+  const boardFrom = (rows) => rows.map(row => row.split('').map(cell => ({
+    X: 'player1',
+    O: 'player2'
+  })[cell] || null));
+
+  beforeEach(() => {
+    gameService = new GameService();
+    aiService = new AIService(gameService);
+  });
+
+  it('completes its own line when it can', () => {
+    const board = boardFrom(['XX.', 'OO.', '...']);
+    expect(aiService.getMove(board, 'player1', 'perfect', 3)).toEqual({ x: 0, y: 2 });
+  });
+
+  it('blocks the opponent\'s line', () => {
+    const board = boardFrom(['OO.', 'X..', '..X']);
+    expect(aiService.getMove(board, 'player1', 'perfect', 3)).toEqual({ x: 0, y: 2 });
+  });
+
+  it('returns null on a full board', () => {
+    const board = boardFrom(['XOX', 'XOO', 'OXX']);
+    expect(aiService.getMove(board, 'player1', 'perfect', 3)).toBeNull();
+  });
+
+  it('never loses at perfect difficulty on a 3×3 board', () => {
+    for (let game = 0; game < 10; game++) {
+      const board = gameService.createEmptyBoard(3, 2);
+      let toMove = game % 2 === 0 ? 'player1' : 'player2';
+
+      for (let turn = 0; turn < 9; turn++) {
+        let position;
+        if (toMove === 'player1') {
+          position = gameService.toPosition(aiService.getMove(board, 'player1', 'perfect', 3));
+        } else {
+          const empty = gameService.getAllPositions(board).filter(p => gameService.getCell(board, p) === null);
+          position = empty[(game * 7 + turn * 3) % empty.length];
+        }
+
+        gameService.setCell(board, position, toMove);
+        if (gameService.findLineThrough(board, position, 3)) {
+          expect(toMove).toBe('player1');
+          break;
+        }
+        toMove = toMove === 'player1' ? 'player2' : 'player1';
+      }
+    }
+  });
+
+  it('leaves no search state behind between moves', () => {
+    const board = boardFrom(['X..', '.O.', '...']);
+    aiService.getMove(board, 'player1', 'perfect', 3);
+    expect(aiService.transpositionTable.size).toBe(0);
+  });
+
+  it('answers within its time budget on a large board', () => {
+    const board = gameService.createEmptyBoard(15, 2);
+    gameService.setCell(board, [7, 7], 'player1');
+    gameService.setCell(board, [7, 8], 'player2');
+
+    const started = Date.now();
+    const move = aiService.getMove(board, 'player1', 'perfect', 5);
+
+    expect(move).not.toBeNull();
+    expect(Date.now() - started).toBeLessThan(aiService.SEARCH_TIME_MS * 4);
+  });
+});
@@ -0,0 +1,89 @@
+process.env.DB_PATH = ':memory:';
+
+const AuthService = require('../../src/services/AuthService');
+const { initializeDatabase, getDatabase } = require('../../src/config/database');
+
+describe('AuthService', () => {
+  let authService;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  afterAll(async () => {
+    await getDatabase().close();
+  });
+
+  beforeEach(() => {
+    authService = new AuthService();
+    authService.BCRYPT_ROUNDS = 4;
+  });
+
+  describe('tokens', () => {
+    it('round-trips a signed token', () => {
+      const token = authService.issueToken({ id: 'alice', isGuest: false });
+      expect(authService.verifyToken(token)).toMatchObject({ sub: 'alice', guest: false });
+    });
+
+    it('rejects a token with a changed payload', () => {
+      const token = authService.issueToken({ id: 'alice', isGuest: false });
+      const forged = Buffer.from(JSON.stringify({ sub: 'bob', guest: false, exp: Date.now() + 60000 })).toString('base64url');
+
+      expect(authService.verifyToken(`${forged}.${token.split('.')[1]}`)).toBeNull();
+      expect(authService.verifyToken('not-a-token')).toBeNull();
+      expect(authService.verifyToken(undefined)).toBeNull();
+    });
+
+    it('rejects a token signed with another secret', () => {
+      const other = new AuthService();
+      other.secret = 'another-secret';
+
+      const token = other.issueToken({ id: 'alice', isGuest: false });
+      expect(authService.verifyToken(token)).toBeNull();
+    });
+
+    it('rejects an expired token', () => {
+      authService.TOKEN_TTL = -1;
+      expect(authService.verifyToken(authService.issueToken({ id: 'alice', isGuest: false }))).toBeNull();
+    });
+  });
+
+  describe('accounts', () => {
+    it('registers and logs in with a case-insensitive email', async () => {
+      const { player } = await authService.register({ name: 'Alice', email: 'Alice@Example.com', password: 'secret123' });
+      const { player: loggedIn, token } = await authService.login({ email: 'alice@example.com', password: 'secret123' });
+
+      expect(loggedIn.id).toBe(player.id);
+      expect(loggedIn.isGuest).toBe(false);
+      expect(await authService.authenticate(token)).toMatchObject({ id: player.id, name: 'Alice' });
+    });
+
+    it('refuses a taken email and a wrong password', async () => {
+      await authService.register({ name: 'Bob', email: 'bob@example.com', password: 'secret123' });
+
+      await expect(authService.register({ name: 'Bobby', email: 'BOB@example.com', password: 'other123' }))
+        .rejects.toMatchObject({ code: 'EMAIL_TAKEN', status: 409 });
+      await expect(authService.login({ email: 'bob@example.com', password: 'wrong' }))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS', status: 401 });
+    });
+  });
+
+  describe('guests', () => {
+    it('authenticates a guest before it has a player row', async () => {
+      const { player, token } = authService.issueGuest('Carol');
+
+      expect(await authService.getPlayer(player.id)).toBeNull();
+      expect(await authService.authenticate(token)).toMatchObject({ id: player.id, name: 'Carol', isGuest: true });
+    });
+
+    it('keeps the guest ID on upgrade and retires the guest token', async () => {
+      const { player, token } = await authService.createGuest('Dave');
+      const upgraded = await authService.register({ name: 'Dave', email: 'dave@example.com', password: 'secret123' }, player.id);
+
+      expect(upgraded.player.id).toBe(player.id);
+      expect(upgraded.player.isGuest).toBe(false);
+      expect(await authService.authenticate(token)).toBeNull();
+      expect(await authService.authenticate(upgraded.token)).toMatchObject({ id: player.id });
+    });
+  });
+});
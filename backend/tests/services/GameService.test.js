@@ -0,0 +1,345 @@
+const GameService = require('../../src/services/GameService');
+
+describe('GameService', () => {
+  let gameService;
+
+  beforeEach(() => {
+    gameService = new GameService();
+  });
+
+  describe('board size and win length', () => {
+    const players = [{ id: 'alice', name: 'Alice' }, { id: 'bob', name: 'Bob' }];
+
+    // Alice plays along row 7 while Bob answers on row 0
+    const playRow = (gameState, length) => {
+      for (let i = 0; i < length; i++) {
+        gameState = gameService.makeMove(gameState, 'alice', 7, i).gameState;
+        if (gameState.status !== 'playing') {
+          break;
+        }
+        gameState = gameService.makeMove(gameState, 'bob', 0, i).gameState;
+      }
+      return gameState;
+    };
+
+    it('applies the gomoku preset', () => {
+      expect(gameService.normalizeBoardSettings({ preset: 'gomoku' })).toMatchObject({
+        variant: 'classic',
+        dimensions: 2,
+        boardSize: 15,
+        winLength: 5
+      });
+    });
+
+    it('rejects a win length longer than the board', () => {
+      expect(() => gameService.normalizeBoardSettings({ boardSize: 4, winLength: 5 })).toThrow('Win length');
+      expect(() => gameService.normalizeBoardSettings({ boardSize: 2 })).toThrow('Board size');
+    });
+
+    it('needs five in a row on a gomoku board', () => {
+      const gameState = gameService.createGame('room-1', players, { preset: 'gomoku' });
+
+      expect(playRow(gameState, 4).status).toBe('playing');
+
+      const finished = playRow(gameState, 5);
+      expect(finished.status).toBe('finished');
+      expect(finished.winner).toBe('alice');
+      expect(finished.winningLine).toHaveLength(5);
+    });
+
+    it('rejects moves off the board or on an occupied cell', () => {
+      const gameState = gameService.createGame('room-1', players, { boardSize: 5, winLength: 4 });
+      const afterMove = gameService.makeMove(gameState, 'alice', 4, 4).gameState;
+
+      expect(gameService.validateMove(gameState, 'alice', 5, 0).reason).toBe('INVALID_COORDINATES');
+      expect(gameService.validateMove(gameState, 'alice', 0, 0, 0).reason).toBe('INVALID_COORDINATES');
+      expect(gameService.validateMove(afterMove, 'bob', 4, 4).reason).toBe('CELL_OCCUPIED');
+      expect(gameService.validateMove(afterMove, 'alice', 0, 0).reason).toBe('NOT_YOUR_TURN');
+    });
+  });
+
+  describe('cube variant', () => {
+    const players = [{ id: 'alice', name: 'Alice' }, { id: 'bob', name: 'Bob' }];
+
+    it('builds a cube whose lines span the whole cube', () => {
+      const gameState = gameService.createGame('room-1', players, { preset: 'qubic', winLength: 3 });
+
+      expect(gameState.settings).toMatchObject({ variant: 'cube', dimensions: 3, boardSize: 4, winLength: 4 });
+      expect(gameService.getDimensions(gameState.board)).toBe(3);
+      expect(gameService.getAllPositions(gameState.board)).toHaveLength(64);
+      expect(() => gameService.normalizeBoardSettings({ variant: 'cube', boardSize: 5 })).toThrow('Cube size');
+    });
+
+    it('wins along a space diagonal', () => {
+      let gameState = gameService.createGame('room-1', players, { preset: 'cube' });
+      const moves = [
+        ['alice', 0, 0, 0], ['bob', 0, 1, 0],
+        ['alice', 1, 1, 1], ['bob', 0, 2, 0],
+        ['alice', 2, 2, 2]
+      ];
+
+      for (const [playerId, x, y, z] of moves) {
+        const result = gameService.makeMove(gameState, playerId, x, y, z);
+        expect(result.success).toBe(true);
+        gameState = result.gameState;
+      }
+
+      expect(gameState.winner).toBe('alice');
+      expect(gameState.winningLine).toEqual([[0, 0, 0], [1, 1, 1], [2, 2, 2]]);
+    });
+
+    it('requires all three coordinates', () => {
+      const gameState = gameService.createGame('room-1', players, { preset: 'cube' });
+      expect(gameService.validateMove(gameState, 'alice', 1, 1).reason).toBe('INVALID_COORDINATES');
+    });
+  });
+
+  describe('series', () => {
+    const players = [{ id: 'alice', name: 'Alice' }, { id: 'bob', name: 'Bob' }];
+
+    it('ends a best of three after two wins and replays draws', () => {
+      const series = gameService.createSeries(3, players);
+      expect(series.winsNeeded).toBe(2);
+
+      gameService.recordSeriesResult(series, { winner: 'alice' });
+      gameService.recordSeriesResult(series, { winner: null });
+      gameService.recordSeriesResult(series, { winner: 'bob' });
+      expect(series.winner).toBeNull();
+
+      gameService.recordSeriesResult(series, { winner: 'alice' });
+      expect(series).toMatchObject({
+        score: { alice: 2, bob: 1 },
+        draws: 1,
+        gamesPlayed: 4,
+        winner: 'alice'
+      });
+    });
+
+    it('only accepts the supported series lengths', () => {
+      expect(gameService.normalizeSettings({}).bestOf).toBe(1);
+      expect(gameService.normalizeSettings({ bestOf: 5 }).bestOf).toBe(5);
+      expect(() => gameService.normalizeSettings({ bestOf: 4 })).toThrow('best of');
+    });
+  });
+
+  describe('takebacks', () => {
+    const players = [{ id: 'alice', name: 'Alice' }, { id: 'bob', name: 'Bob' }];
+
+    const playMoves = (moves) => moves.reduce(
+      (gameState, [playerId, x, y]) => gameService.makeMove(gameState, playerId, x, y).gameState,
+      gameService.createGame('room-1', players, { ranked: false })
+    );
+
+    it('undoes the asking player\'s last move and any reply to it', () => {
+      const gameState = playMoves([['alice', 0, 0], ['bob', 1, 1]]);
+
+      expect(gameService.getTakebackMoveCount(gameState, 'bob')).toBe(1);
+      expect(gameService.getTakebackMoveCount(gameState, 'alice')).toBe(2);
+      expect(gameService.getTakebackMoveCount(playMoves([]), 'alice')).toBe(0);
+    });
+
+    it('hands the turn back to the player whose move was undone', () => {
+      const gameState = playMoves([['alice', 0, 0], ['bob', 1, 1], ['alice', 2, 2]]);
+      const result = gameService.takebackMoves(gameState, gameService.getTakebackMoveCount(gameState, 'bob'));
+
+      expect(result.success).toBe(true);
+      expect(result.undoneMoves.map(move => move.playerId)).toEqual(['bob', 'alice']);
+      expect(result.gameState.currentPlayer).toBe('player2');
+      expect(result.gameState.board[1][1]).toBeNull();
+      expect(result.gameState.board[0][0]).toBe('player1');
+    });
+
+    it('refuses when there is nothing to undo or the game is over', () => {
+      expect(gameService.takebackMoves(playMoves([]), 1).reason).toBe('NOTHING_TO_UNDO');
+
+      const { gameState: forfeited } = gameService.forfeitGame(playMoves([['alice', 0, 0]]), 'bob', 'resign');
+      expect(gameService.takebackMoves(forfeited, 1).reason).toBe('GAME_NOT_ACTIVE');
+    });
+
+    it('only allows takebacks in casual 1v1 games with the standard rules', () => {
+      expect(gameService.normalizeSettings({ ranked: false }).takebacksAllowed).toBe(true);
+      expect(gameService.normalizeSettings({ ranked: false, takebacksAllowed: false }).takebacksAllowed).toBe(false);
+      expect(gameService.normalizeSettings({ ranked: false, ruleset: 'abilities' }).takebacksAllowed).toBe(false);
+      expect(gameService.normalizeSettings({ ranked: false, playerCount: 3 }).takebacksAllowed).toBe(false);
+    });
+  });
+
+  describe('free-for-all', () => {
+    const players = [
+      { id: 'alice', name: 'Alice' },
+      { id: 'bob', name: 'Bob' },
+      { id: 'carol', name: 'Carol' }
+    ];
+
+    it('gives three players the matching preset board and symbols', () => {
+      const gameState = gameService.createGame('room-1', players, { playerCount: 3 });
+
+      expect(gameState.settings).toMatchObject({ playerCount: 3, boardSize: 6, winLength: 4 });
+      expect(Object.keys(gameState.players)).toEqual(['player1', 'player2', 'player3']);
+      expect(new Set(Object.values(gameState.players).map(player => player.symbol)).size).toBe(3);
+      expect(() => gameService.createGame('room-1', players.slice(0, 2), { playerCount: 3 })).toThrow('exactly 3');
+    });
+
+    it('needs a flat board big enough for everybody', () => {
+      expect(() => gameService.normalizeSettings({ playerCount: 3, boardSize: 4 })).toThrow('Free-for-all');
+      expect(() => gameService.normalizeSettings({ playerCount: 4, preset: 'cube' })).toThrow('Free-for-all');
+      expect(() => gameService.normalizeSettings({ playerCount: 5 })).toThrow('2, 3, 4 players');
+    });
+
+    it('passes the turn round the table and skips players who are out', () => {
+      let gameState = gameService.createGame('room-1', players, { playerCount: 3 });
+      gameState = gameService.makeMove(gameState, 'alice', 0, 0).gameState;
+      expect(gameState.currentPlayer).toBe('player2');
+
+      gameState = gameService.forfeitGame(gameState, 'carol', 'resign').gameState;
+      expect(gameState.status).toBe('playing');
+
+      gameState = gameService.makeMove(gameState, 'bob', 1, 0).gameState;
+      expect(gameState.currentPlayer).toBe('player1');
+      expect(gameService.validateMove(gameState, 'carol', 2, 2).reason).toBe('NOT_YOUR_TURN');
+    });
+
+    it('moves the turn on when the player to move drops out', () => {
+      let gameState = gameService.createGame('room-1', players, { playerCount: 3 });
+      gameState = gameService.forfeitGame(gameState, 'alice', 'disconnect').gameState;
+
+      expect(gameState.currentPlayer).toBe('player2');
+      expect(gameService.forfeitGame(gameState, 'alice', 'disconnect').reason).toBe('PLAYER_ELIMINATED');
+    });
+
+    it('ends when a single player is left', () => {
+      let gameState = gameService.createGame('room-1', players, { playerCount: 3 });
+      gameState = gameService.forfeitGame(gameState, 'alice', 'resign').gameState;
+      gameState = gameService.forfeitGame(gameState, 'carol', 'resign').gameState;
+
+      expect(gameState.status).toBe('finished');
+      expect(gameState.winner).toBe('bob');
+    });
+  });
+
+  describe('room settings', () => {
+    it('makes games rated unless they are explicitly casual', () => {
+      expect(gameService.normalizeSettings({}).ranked).toBe(true);
+      expect(gameService.normalizeSettings({ ranked: false })).toMatchObject({ ranked: false, takebacksAllowed: true });
+      expect(gameService.normalizeSettings({ takebacksAllowed: true }).takebacksAllowed).toBe(false);
+    });
+
+    it('fills in defaults and rejects unknown options', () => {
+      expect(gameService.normalizeSettings({})).toMatchObject({
+        variant: 'classic',
+        playerCount: 2,
+        ruleset: 'standard',
+        firstMove: 'alternate',
+        allowSpectators: true,
+        autoStart: false
+      });
+      expect(() => gameService.normalizeSettings({ ruleset: 'chaos' })).toThrow('Unknown ruleset');
+      expect(() => gameService.normalizeSettings({ firstMove: 'coin' })).toThrow('First move');
+    });
+  });
+
+  describe('clocks and takebacks', () => {
+    const players = [{ id: 'alice', name: 'Alice' }, { id: 'bob', name: 'Bob' }];
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: 0 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('charges the time used and adds the increment after each move', () => {
+      const gameState = gameService.createGame('room-1', players, {
+        ranked: false,
+        timeControl: { baseSeconds: 60, incrementSeconds: 2 }
+      });
+
+      jest.setSystemTime(5000);
+      const { gameState: afterMove } = gameService.makeMove(gameState, 'alice', 0, 0);
+
+      expect(afterMove.clock.remaining).toEqual({ player1: 57000, player2: 60000 });
+    });
+
+    it('takes back the increment the undone moves earned', () => {
+      let gameState = gameService.createGame('room-1', players, {
+        ranked: false,
+        timeControl: { baseSeconds: 60, incrementSeconds: 2 }
+      });
+
+      jest.setSystemTime(5000);
+      gameState = gameService.makeMove(gameState, 'alice', 0, 0).gameState;
+      jest.setSystemTime(8000);
+      gameState = gameService.makeMove(gameState, 'bob', 1, 1).gameState;
+
+      jest.setSystemTime(9000);
+      const result = gameService.takebackMoves(gameState, 2);
+
+      expect(result.success).toBe(true);
+      expect(result.gameState.currentPlayer).toBe('player1');
+      // Alice is on move and pays for the second she spent before asking
+      expect(result.gameState.clock.remaining).toEqual({ player1: 54000, player2: 57000 });
+      expect(result.gameState.moveHistory).toEqual([]);
+    });
+
+    it('only ends a free-for-all on time once one player is left', () => {
+      const gameState = gameService.createGame('room-1', [
+        ...players,
+        { id: 'carol', name: 'Carol' }
+      ], { playerCount: 3, timeControl: { perMoveSeconds: 10 } });
+
+      const afterFirst = gameService.timeoutGame(gameState, 'player1');
+      expect(afterFirst.status).toBe('playing');
+      expect(afterFirst.players.player1.eliminated).toBe(true);
+
+      const afterSecond = gameService.timeoutGame(afterFirst, 'player2');
+      expect(afterSecond.status).toBe('finished');
+      expect(afterSecond.result).toBe('timeout');
+      expect(afterSecond.winner).toBe('carol');
+    });
+  });
+
+  describe('abilities ruleset', () => {
+    const createAbilityGame = () => gameService.createGame('room-1', [
+      { id: 'alice', name: 'Alice', character: 'fire_warrior' },
+      { id: 'bob', name: 'Bob', character: 'ice_guardian' }
+    ], { ruleset: 'abilities', boardSize: 3, winLength: 3 });
+
+    const play = (gameState, playerId, x, y) => {
+      const result = gameService.makeMove(gameState, playerId, x, y);
+      expect(result.success).toBe(true);
+      return result.gameState;
+    };
+
+    // Alice holds (0,0) and (0,1); Bob freezes (0,1) before Alice can play (0,2)
+    const freezeAliceLine = () => {
+      let gameState = createAbilityGame();
+      gameState = play(gameState, 'alice', 0, 0);
+      gameState = play(gameState, 'bob', 2, 2);
+      gameState = play(gameState, 'alice', 0, 1);
+
+      const freeze = gameService.useAbility(gameState, 'bob', 'freeze', { x: 0, y: 1 });
+      expect(freeze.success).toBe(true);
+      return play(freeze.gameState, 'bob', 1, 1);
+    };
+
+    it('does not count a frozen piece towards its owner\'s next line', () => {
+      const gameState = play(freezeAliceLine(), 'alice', 0, 2);
+
+      expect(gameState.status).toBe('playing');
+      expect(gameState.winner).toBeNull();
+      expect(gameState.currentPlayer).toBe('player2');
+      expect(gameState.frozen).toEqual([]);
+    });
+
+    it('wins with a thawed line the opponent leaves standing', () => {
+      let gameState = play(freezeAliceLine(), 'alice', 0, 2);
+      gameState = play(gameState, 'bob', 2, 0);
+      gameState = play(gameState, 'alice', 1, 0);
+
+      expect(gameState.status).toBe('finished');
+      expect(gameState.winner).toBe('alice');
+      expect(gameState.winningLine).toEqual([[0, 0], [0, 1], [0, 2]]);
+    });
+  });
+});
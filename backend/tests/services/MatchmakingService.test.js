@@ -0,0 +1,51 @@
+const MatchmakingService = require('../../src/services/MatchmakingService');
+
+describe('MatchmakingService', () => {
+  let matchmakingService;
+
+  const queue = (playerId, rating, joinedAt = 0, queueKey = 'classic') => {
+    const entry = matchmakingService.enqueue({ playerId, rating, queueKey, socketId: `socket-${playerId}` });
+    entry.joinedAt = joinedAt;
+    return entry;
+  };
+
+  beforeEach(() => {
+    matchmakingService = new MatchmakingService();
+  });
+
+  it('pairs the closest rating within the window and empties the queue', () => {
+    queue('alice', 1000);
+    queue('bob', 1090);
+    queue('carol', 1020);
+
+    const pairs = matchmakingService.findMatches(0);
+
+    expect(pairs.map(pair => pair.map(entry => entry.playerId))).toEqual([['alice', 'carol']]);
+    expect(matchmakingService.isQueued('alice')).toBe(false);
+    expect(matchmakingService.isQueued('bob')).toBe(true);
+  });
+
+  it('widens the rating window the longer a player waits', () => {
+    queue('alice', 1000);
+    queue('bob', 1250);
+
+    expect(matchmakingService.findMatches(0)).toEqual([]);
+    expect(matchmakingService.findMatches(3 * matchmakingService.WINDOW_GROWTH_INTERVAL)).toHaveLength(1);
+  });
+
+  it('never pairs players looking for different games', () => {
+    queue('alice', 1000, 0, 'classic');
+    queue('bob', 1000, 0, 'gomoku');
+
+    expect(matchmakingService.findMatches(0)).toEqual([]);
+  });
+
+  it('estimates no wait when a compatible opponent is already queued', () => {
+    queue('alice', 1000);
+    const bob = queue('bob', 1400);
+    const carol = queue('carol', 1000, 0, 'gomoku');
+
+    expect(matchmakingService.estimateWaitTime(bob)).toBe(0);
+    expect(matchmakingService.estimateWaitTime(carol)).toBe(matchmakingService.DEFAULT_WAIT_ESTIMATE);
+  });
+});
@@ -0,0 +1,98 @@
+process.env.DB_PATH = ':memory:';
+
+const NotationService = require('../../src/services/NotationService');
+const ReplayService = require('../../src/services/ReplayService');
+const AuthService = require('../../src/services/AuthService');
+const { initializeDatabase, getDatabase } = require('../../src/config/database');
+
+describe('NotationService', () => {
+  let notationService;
+  let importer;
+
+  const notation = (movetext, headers = {}) => [
+    ...Object.entries({ X: 'Alice', O: 'Bob', Variant: 'classic', BoardSize: '3', WinLength: '3', ...headers })
+      .map(([name, value]) => `[${name} "${value}"]`),
+    '',
+    movetext
+  ].join('\n');
+
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  afterAll(async () => {
+    await getDatabase().close();
+  });
+
+  beforeEach(() => {
+    const authService = new AuthService();
+    notationService = new NotationService(authService);
+    importer = authService.issueGuest('Importer').player;
+  });
+
+  describe('parse', () => {
+    it('reads headers, moves, cube layers and think times', () => {
+      const parsed = notationService.parse(notation('1. b2 {1.5s} a1 2. c3:2 * ', { Event: 'Say \\"hi\\"' }));
+
+      expect(parsed.headers.Event).toBe('Say "hi"');
+      expect(parsed.moves).toEqual([
+        { token: 'b2', x: 1, y: 1, thinkTime: 1500 },
+        { token: 'a1', x: 0, y: 0, thinkTime: null },
+        { token: 'c3:2', x: 2, y: 2, z: 1, thinkTime: null }
+      ]);
+      expect(parsed.result).toBe('*');
+    });
+
+    it('rejects malformed notation', () => {
+      expect(() => notationService.parse(notation('1. b2 zz9'))).toThrow('Unrecognised move');
+      expect(() => notationService.parse(notation('1. b2 1-0 a1'))).toThrow('after the result');
+      expect(() => notationService.parse(notation('1. b2 0-1', { Result: '1-0' }))).toThrow('differs');
+      expect(() => notationService.parse('[X Alice]\n1. b2')).toThrow('Malformed header');
+    });
+  });
+
+  describe('import and export', () => {
+    it('round-trips an imported game through its replay', async () => {
+      const text = notation('1. a1 {2.0s} b1 {1.0s} 2. a2 b2 3. a3 1-0', { XId: importer.id });
+      const imported = await notationService.importGame(text, importer);
+
+      expect(imported).toMatchObject({ totalMoves: 5, result: 'win', winner: importer.id });
+
+      const replay = await new ReplayService().getReplay(imported.gameId);
+      const exported = notationService.parse(notationService.exportGame(replay));
+
+      expect(exported.result).toBe('1-0');
+      expect(exported.headers).toMatchObject({ X: 'Importer', O: 'Bob', BoardSize: '3', WinLength: '3' });
+      expect(exported.moves.map(move => move.token)).toEqual(['a1', 'b1', 'a2', 'b2', 'a3']);
+      expect(exported.moves[0].thinkTime).toBe(2000);
+    });
+
+    it('rejects an illegal move', async () => {
+      await expect(notationService.importGame(notation('1. a1 a1'), importer))
+        .rejects.toMatchObject({ code: 'INVALID_MOVE' });
+      await expect(notationService.importGame(notation('1. d1'), importer))
+        .rejects.toMatchObject({ code: 'INVALID_MOVE' });
+    });
+
+    it('rejects a result the moves do not support', async () => {
+      await expect(notationService.importGame(notation('1. a1 b1 2. a2 b2 3. a3 0-1'), importer))
+        .rejects.toMatchObject({ code: 'RESULT_MISMATCH' });
+      await expect(notationService.importGame(notation('1. a1 b1 1-0'), importer))
+        .rejects.toMatchObject({ code: 'RESULT_MISMATCH' });
+    });
+
+    it('accepts an undecided game that was forfeited', async () => {
+      const imported = await notationService.importGame(notation('1. a1 b1 0-1', { Termination: 'forfeit' }), importer);
+      expect(imported.result).toBe('forfeit');
+    });
+
+    it('does not file results under another player named in the ID headers', async () => {
+      const text = notation('1. a1 b1 2. a2 b2 3. a3 1-0', { XId: 'someone-else', OId: importer.id });
+      const imported = await notationService.importGame(text, importer);
+
+      const row = await getDatabase().get('SELECT player1_id, player2_id FROM games WHERE id = ?', [imported.gameId]);
+      expect(row.player1_id).not.toBe('someone-else');
+      expect(row.player2_id).toBe(importer.id);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const RatingService = require('../../src/services/RatingService');
+
+describe('RatingService', () => {
+  let ratingService;
+
+  beforeEach(() => {
+    ratingService = new RatingService();
+  });
+
+  it('gives equal players an even expected score', () => {
+    expect(ratingService.expectedScore(1500, 1500)).toBe(0.5);
+    expect(ratingService.expectedScore(1600, 1400) + ratingService.expectedScore(1400, 1600)).toBeCloseTo(1);
+    expect(ratingService.expectedScore(1800, 1400)).toBeCloseTo(10 / 11);
+  });
+
+  it('picks the K-factor from games played and rating', () => {
+    expect(ratingService.getKFactor(1000, 0)).toBe(ratingService.K_PROVISIONAL);
+    expect(ratingService.getKFactor(1000, ratingService.PROVISIONAL_GAMES)).toBe(ratingService.K_ESTABLISHED);
+    expect(ratingService.getKFactor(2400, ratingService.PROVISIONAL_GAMES)).toBe(ratingService.K_MASTER);
+  });
+
+  it('moves both ratings by the same amount between equal established players', () => {
+    const player = { rating: 1200, gamesPlayed: 50 };
+    const { a, b } = ratingService.calculateMatch(player, player, 1);
+
+    expect(a.change).toBe(10);
+    expect(b.change).toBe(-10);
+  });
+
+  it('leaves equal ratings alone on a draw', () => {
+    const { a, b } = ratingService.calculateMatch({ rating: 1200 }, { rating: 1200 }, 0.5);
+    expect(a.change).toBe(0);
+    expect(b.change).toBe(0);
+  });
+
+  it('rewards an upset more than an expected win', () => {
+    const underdog = ratingService.calculateRating({ rating: 1000, gamesPlayed: 50 }, { rating: 1400 }, 1);
+    const favourite = ratingService.calculateRating({ rating: 1400, gamesPlayed: 50 }, { rating: 1000 }, 1);
+
+    expect(underdog.change).toBeGreaterThan(favourite.change);
+  });
+
+  it('never drops a rating below the floor', () => {
+    const result = ratingService.calculateRating({ rating: ratingService.MIN_RATING, gamesPlayed: 0 }, { rating: 100 }, 0);
+    expect(result.after).toBe(ratingService.MIN_RATING);
+  });
+
+  it('treats new players as starting from the default rating', () => {
+    const result = ratingService.calculateRating({}, {}, 1);
+    expect(result.before).toBe(ratingService.DEFAULT_RATING);
+    expect(result.after).toBe(ratingService.DEFAULT_RATING + ratingService.K_PROVISIONAL / 2);
+  });
+
+  it('scores a free-for-all winner against everybody and the rest as draws', () => {
+    const players = [
+      { id: 'alice', rating: 1000, gamesPlayed: 50 },
+      { id: 'bob', rating: 1000, gamesPlayed: 50 },
+      { id: 'carol', rating: 1000, gamesPlayed: 50 }
+    ];
+    const results = ratingService.calculateFreeForAll(players, 'alice');
+
+    // Like a 1v1 win: twice half a point over the expected score, averaged over two opponents
+    expect(results.alice.change).toBe(10);
+    expect(results.bob.change).toBe(-5);
+    expect(results.carol.change).toBe(-5);
+  });
+
+  it('leaves equal free-for-all ratings alone on a draw', () => {
+    const players = [{ id: 'alice' }, { id: 'bob' }, { id: 'carol' }, { id: 'dave' }];
+    const results = ratingService.calculateFreeForAll(players, null);
+
+    expect(Object.values(results).map(result => result.change)).toEqual([0, 0, 0, 0]);
+  });
+});
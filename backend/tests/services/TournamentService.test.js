@@ -0,0 +1,203 @@
+process.env.DB_PATH = ':memory:';
+
+const TournamentService = require('../../src/services/TournamentService');
+const { initializeDatabase, getDatabase } = require('../../src/config/database');
+
+describe('TournamentService', () => {
+  let tournamentService;
+
+  // Players p1..pN, rated so p1 is the top seed
+  const createTournament = (format, playerCount, options = {}) => {
+    const tournament = tournamentService.createTournament({
+      name: 'Test Cup',
+      format,
+      maxPlayers: playerCount,
+      gameSettings: {},
+      createdBy: 'p1',
+      ...options
+    });
+
+    for (let i = 1; i <= playerCount; i++) {
+      tournament.players.set(`p${i}`, { id: `p${i}`, name: `Player ${i}`, rating: 2000 - i * 10, registeredAt: i });
+    }
+    return tournament;
+  };
+
+  // Settle every open match of the current round, the better seed winning unless told otherwise
+  const playRound = (tournament, pickWinner = match => tournamentService.getBetterSeed(tournament, match)) => {
+    for (const match of tournamentService.getRoundMatches(tournament, tournament.currentRound)) {
+      if (match.status !== 'finished') {
+        tournamentService.applyGameResult(tournament, match, { id: `game-${match.id}`, winner: pickWinner(match), result: 'win' });
+      }
+    }
+  };
+
+  const pairKey = match => [match.player1Id, match.player2Id].sort().join('-');
+
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  afterAll(async () => {
+    await getDatabase().close();
+  });
+
+  beforeEach(() => {
+    tournamentService = new TournamentService();
+  });
+
+  describe('single elimination', () => {
+    it('seeds the bracket and gives the top seeds the byes', async () => {
+      const tournament = await tournamentService.startTournament(createTournament('single-elimination', 6));
+
+      expect(tournament.totalRounds).toBe(3);
+      expect(tournament.matches).toHaveLength(7);
+
+      const firstRound = tournamentService.getRoundMatches(tournament, 1);
+      expect(firstRound.map(match => [match.player1Id, match.player2Id])).toEqual([
+        ['p1', null], ['p4', 'p5'], ['p2', null], ['p3', 'p6']
+      ]);
+      expect(firstRound.filter(match => match.result === 'bye').map(match => match.winnerId)).toEqual(['p1', 'p2']);
+
+      // Byes already wait in the next round; the top two seeds can only meet in the final
+      const secondRound = tournamentService.getRoundMatches(tournament, 2);
+      expect(secondRound.map(match => match.player1Id)).toEqual(['p1', 'p2']);
+    });
+
+    it('plays through to a champion', async () => {
+      const tournament = await tournamentService.startTournament(createTournament('single-elimination', 4));
+
+      playRound(tournament);
+      expect(tournamentService.isRoundComplete(tournament)).toBe(true);
+      tournamentService.advanceRound(tournament);
+      playRound(tournament, match => (match.player1Id === 'p2' ? 'p2' : match.player2Id));
+
+      expect(tournamentService.finishTournament(tournament)).toEqual({ id: 'p2', name: 'Player 2' });
+      expect(tournamentService.getStandings(tournament).map(standing => standing.playerId)).toEqual(['p2', 'p1', 'p3', 'p4']);
+    });
+
+    it('replays drawn games before sending the better seed through', async () => {
+      const tournament = await tournamentService.startTournament(createTournament('single-elimination', 2));
+      const [final] = tournament.matches;
+      const draw = { id: 'game-draw', winner: null, result: 'draw' };
+
+      for (let replay = 0; replay < tournamentService.ELIMINATION_REPLAYS; replay++) {
+        expect(tournamentService.applyGameResult(tournament, final, draw)).toBe(false);
+      }
+
+      expect(tournamentService.applyGameResult(tournament, final, draw)).toBe(true);
+      expect(final).toMatchObject({ winnerId: 'p1', result: 'tiebreak', gamesPlayed: 3 });
+    });
+  });
+
+  describe('round robin', () => {
+    it('pairs everybody exactly once, with one player sitting out each round of an odd field', async () => {
+      const tournament = await tournamentService.startTournament(createTournament('round-robin', 5));
+
+      expect(tournament.totalRounds).toBe(5);
+      expect(tournament.matches).toHaveLength(10);
+      expect(new Set(tournament.matches.map(pairKey)).size).toBe(10);
+
+      for (let round = 1; round <= 5; round++) {
+        const playing = tournamentService.getRoundMatches(tournament, round).flatMap(m => [m.player1Id, m.player2Id]);
+        expect(new Set(playing).size).toBe(4);
+      }
+    });
+
+    it('breaks a tie on points with Sonneborn-Berger before the seeding', async () => {
+      const tournament = await tournamentService.startTournament(createTournament('round-robin', 4));
+      const beats = {
+        'p1-p2': 'p2', 'p1-p3': 'p1', 'p1-p4': 'p1',
+        'p2-p3': 'p2', 'p2-p4': 'p4', 'p3-p4': 'p3'
+      };
+
+      playRound(tournament, match => beats[pairKey(match)]);
+      while (tournament.currentRound < tournament.totalRounds) {
+        tournamentService.advanceRound(tournament);
+        playRound(tournament, match => beats[pairKey(match)]);
+      }
+
+      // p2 beat p1 and p3 (3 points between them), p1 only p3 and p4 (2 points)
+      const standings = tournamentService.getStandings(tournament);
+      expect(standings.map(standing => standing.playerId)).toEqual(['p2', 'p1', 'p4', 'p3']);
+      expect(standings.map(standing => standing.points)).toEqual([2, 2, 1, 1]);
+      expect(standings.map(standing => standing.sonnebornBerger)).toEqual([3, 2, 2, 1]);
+    });
+  });
+
+  describe('swiss', () => {
+    it('pairs top half against bottom half first and avoids rematches after', async () => {
+      const tournament = await tournamentService.startTournament(createTournament('swiss', 8, { rounds: 3 }));
+
+      expect(tournamentService.getRoundMatches(tournament, 1).map(pairKey)).toEqual(['p1-p5', 'p2-p6', 'p3-p7', 'p4-p8']);
+
+      for (let round = 1; round < 3; round++) {
+        playRound(tournament);
+        tournamentService.advanceRound(tournament);
+      }
+      playRound(tournament);
+
+      expect(new Set(tournament.matches.map(pairKey)).size).toBe(tournament.matches.length);
+      expect(tournamentService.getStandings(tournament)[0]).toMatchObject({ playerId: 'p1', points: 3 });
+    });
+
+    it('gives the bye of an odd field to a different player each round', async () => {
+      const tournament = await tournamentService.startTournament(createTournament('swiss', 5, { rounds: 3 }));
+
+      for (let round = 1; round < 3; round++) {
+        playRound(tournament);
+        tournamentService.advanceRound(tournament);
+      }
+
+      const byes = tournament.matches.filter(match => !match.player2Id).map(match => match.player1Id);
+      expect(byes).toHaveLength(3);
+      expect(new Set(byes).size).toBe(3);
+    });
+
+    it('floats players down to avoid a rematch and reports when it can\'t', () => {
+      const opponents = new Map([
+        ['a', ['b', 'c', 'd']],
+        ['b', ['a']],
+        ['c', ['a']],
+        ['d', ['a']]
+      ]);
+
+      expect(tournamentService.findSwissPairs(['a', 'b', 'c', 'd'], opponents)).toBeNull();
+
+      opponents.set('a', ['b']);
+      expect(tournamentService.findSwissPairs(['a', 'b', 'c', 'd'], opponents)).toEqual([['a', 'c'], ['b', 'd']]);
+    });
+  });
+
+  describe('registration', () => {
+    it('reopens registration when seeding fails', async () => {
+      const tournament = createTournament('swiss', 4);
+      jest.spyOn(tournamentService, 'seedPlayers').mockRejectedValue(new Error('database is locked'));
+
+      await expect(tournamentService.startTournament(tournament)).rejects.toThrow('database is locked');
+      expect(tournament.status).toBe('registration');
+      expect(tournament.matches).toEqual([]);
+    });
+
+    it('rejects unknown formats', () => {
+      expect(() => createTournament('ladder', 4)).toThrow(expect.objectContaining({ code: 'INVALID_FORMAT' }));
+    });
+  });
+
+  describe('persistence', () => {
+    it('shares one load between concurrent lookups', async () => {
+      const tournament = await tournamentService.startTournament(createTournament('round-robin', 4));
+      for (const player of tournament.players.values()) {
+        await getDatabase().run('INSERT OR IGNORE INTO players (id, name) VALUES (?, ?)', [player.id, player.name]);
+      }
+      await tournamentService.saveTournament(tournament);
+
+      const fresh = new TournamentService();
+      const [first, second] = await Promise.all([fresh.getTournament(tournament.id), fresh.getTournament(tournament.id)]);
+
+      expect(first).toBe(second);
+      expect(first.matches).toHaveLength(tournament.matches.length);
+      expect(Array.from(first.players.keys())).toEqual(Array.from(tournament.players.keys()));
+    });
+  });
+});